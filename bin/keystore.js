@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+require('dotenv').config();
+const {
+    isEncryptedKeystore,
+    encryptSecretKey,
+    decryptKeystore,
+    readKeystoreFile,
+    writeKeystoreFile,
+    readPassphraseFile,
+    promptPassphrase
+} = require('../lib/keystore');
+const { decodeSecretKey } = require('../lib/walletRegistry');
+
+const USAGE = `Usage: npm run keystore -- <command> [options]
+
+Commands:
+  list                          List keystores and their public keys
+  create <name>                 Generate a new keypair and store it encrypted
+  import <name>                 Encrypt an existing secret key (prompted, or --from-file)
+  export <name>                 Print a decrypted secret key to stdout
+  rotate-passphrase             Re-encrypt every keystore with a new passphrase
+
+Options:
+  --dir <path>                  Keystore directory (default: WALLET_KEYSTORE_DIR or ./keystore)
+  --passphrase-file <path>      Read the current passphrase from a file (default: KEYSTORE_PASSPHRASE_FILE or prompt)
+  --new-passphrase-file <path>  Read the new passphrase for rotate-passphrase from a file
+  --from-file <path>            Secret key file for import (base58 or JSON byte array)
+  --format base58|json          Output format for export (default: base58)
+  --force                       Overwrite an existing keystore on create/import
+`;
+
+// Function to parse command line arguments into a command, positionals and options
+function parseArgs(argv) {
+    const options = {};
+    const positionals = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--force') {
+            options.force = true;
+        } else if (arg.startsWith('--')) {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options[arg.slice(2)] = argv[++i];
+        } else {
+            positionals.push(arg);
+        }
+    }
+    const [command, ...args] = positionals;
+    return { command, args, options };
+}
+
+// Function to list the encrypted keystore files in a directory
+function listKeystoreFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => path.extname(file) === '.json')
+        .sort()
+        .map(file => path.join(dir, file))
+        .filter(filePath => {
+            try {
+                return isEncryptedKeystore(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            } catch (error) {
+                return false;
+            }
+        });
+}
+
+// Function to get the current passphrase from a file or the terminal
+async function getPassphrase(options, question = 'Keystore passphrase: ') {
+    const passphraseFile = options['passphrase-file'] || process.env.KEYSTORE_PASSPHRASE_FILE;
+    return passphraseFile ? readPassphraseFile(passphraseFile) : promptPassphrase(question);
+}
+
+// Function to choose a new passphrase, asking twice when prompting
+async function getNewPassphrase(passphraseFile) {
+    if (passphraseFile) {
+        return readPassphraseFile(passphraseFile);
+    }
+    const passphrase = await promptPassphrase('New passphrase: ');
+    const confirmation = await promptPassphrase('Repeat new passphrase: ');
+    if (passphrase !== confirmation) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+// Function to get the passphrase for a new keystore
+// The server unlocks the whole directory with one passphrase, so reuse (and verify) the existing one.
+async function getPassphraseForNewKeystore(dir, options) {
+    const existing = listKeystoreFiles(dir);
+    if (existing.length === 0) {
+        return getNewPassphrase(options['passphrase-file'] || process.env.KEYSTORE_PASSPHRASE_FILE);
+    }
+    const passphrase = await getPassphrase(options);
+    decryptKeystore(readKeystoreFile(existing[0]), passphrase);
+    return passphrase;
+}
+
+// Function to resolve and validate the keystore path for a wallet name
+function keystorePath(dir, name) {
+    if (!name || !/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new Error('A wallet name (letters, digits, "-" or "_") is required');
+    }
+    return path.join(dir, `${name}.json`);
+}
+
+// Function to encrypt and save a secret key under a wallet name
+async function saveKeystore(dir, name, secretKey, options) {
+    const filePath = keystorePath(dir, name);
+    if (fs.existsSync(filePath) && !options.force) {
+        throw new Error(`${filePath} already exists (use --force to overwrite)`);
+    }
+    const passphrase = await getPassphraseForNewKeystore(dir, options);
+    const document = encryptSecretKey(secretKey, passphrase);
+    writeKeystoreFile(filePath, document);
+    console.log(`✅ Saved ${name} (${document.publicKey}) to ${filePath}`);
+}
+
+const commands = {
+    async list(dir) {
+        const files = listKeystoreFiles(dir);
+        if (files.length === 0) {
+            console.log(`No keystores in ${dir}`);
+            return;
+        }
+        files.forEach(filePath => {
+            console.log(`${path.basename(filePath, '.json')}\t${readKeystoreFile(filePath).publicKey}`);
+        });
+    },
+
+    async create(dir, [name], options) {
+        keystorePath(dir, name);
+        await saveKeystore(dir, name, Keypair.generate().secretKey, options);
+    },
+
+    async import(dir, [name], options) {
+        keystorePath(dir, name);
+        const secret = options['from-file']
+            ? fs.readFileSync(options['from-file'], 'utf8')
+            : await promptPassphrase('Secret key (base58 or JSON byte array): ');
+
+        let secretKey;
+        try {
+            secretKey = Keypair.fromSecretKey(decodeSecretKey(secret)).secretKey;
+        } catch (error) {
+            // Never echo the input - it is key material
+            throw new Error('Invalid secret key');
+        }
+        await saveKeystore(dir, name, secretKey, options);
+    },
+
+    async export(dir, [name], options) {
+        const format = options.format || 'base58';
+        if (format !== 'base58' && format !== 'json') {
+            throw new Error('--format must be base58 or json');
+        }
+        const keypair = decryptKeystore(readKeystoreFile(keystorePath(dir, name)), await getPassphrase(options));
+
+        console.error(`⚠️ Printing the secret key for ${name} (${keypair.publicKey.toString()}) - keep it out of shell history and logs`);
+        process.stdout.write(format === 'json'
+            ? `${JSON.stringify(Array.from(keypair.secretKey))}\n`
+            : `${bs58.encode(keypair.secretKey)}\n`);
+    },
+
+    async 'rotate-passphrase'(dir, args, options) {
+        const files = listKeystoreFiles(dir);
+        if (files.length === 0) {
+            throw new Error(`No keystores in ${dir}`);
+        }
+
+        // Unlock everything first so a wrong passphrase never leaves the directory half-rotated
+        const passphrase = await getPassphrase(options, 'Current passphrase: ');
+        const keypairs = files.map(filePath => {
+            try {
+                return decryptKeystore(readKeystoreFile(filePath), passphrase);
+            } catch (error) {
+                throw new Error(`Could not unlock ${path.basename(filePath)}: ${error.message}`);
+            }
+        });
+
+        const newPassphrase = await getNewPassphrase(options['new-passphrase-file']);
+        files.forEach((filePath, index) => {
+            writeKeystoreFile(filePath, encryptSecretKey(keypairs[index].secretKey, newPassphrase));
+        });
+        console.log(`✅ Rotated the passphrase of ${files.length} keystore(s) in ${dir}`);
+    }
+};
+
+async function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+    if (!commands[command]) {
+        console.error(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+
+    const dir = path.resolve(options.dir || process.env.WALLET_KEYSTORE_DIR || path.join(__dirname, '..', 'keystore'));
+    await commands[command](dir, args, options);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Local HTTP sink for testing notification targets: logs every notification it receives.
+// Point webhook and Slack targets at http://127.0.0.1:9999/<anything> and Telegram targets at
+// "apiBaseUrl": "http://127.0.0.1:9999".
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+const { computeSignature } = require('../lib/webhookAuth');
+const { logger } = require('../lib/logger');
+
+const log = logger.child({ component: 'notificationSink' });
+
+const SINK_HOST = process.env.SINK_HOST || '127.0.0.1';
+const SINK_PORT = parseInt(process.env.SINK_PORT) || 9999;
+const SINK_SECRET = process.env.NOTIFICATION_SINK_SECRET; // Verify X-Notification-Signature when set
+let failFirst = parseInt(process.env.SINK_FAIL_FIRST) || 0; // Answer 503 to the first N requests to exercise retries
+
+const app = express();
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+app.post('*', (req, res) => {
+    if (failFirst > 0) {
+        failFirst--;
+        log.warn('Failing notification on purpose', { path: req.path, remaining: failFirst });
+        return res.status(503).json({ ok: false, error: 'SINK_FAIL_FIRST' });
+    }
+
+    const signature = req.get('x-notification-signature');
+    let signatureValid = null;
+    if (SINK_SECRET && signature) {
+        const expected = Buffer.from(`sha256=${computeSignature(SINK_SECRET, req.rawBody)}`);
+        const received = Buffer.from(signature);
+        signatureValid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    // Slack payloads carry "text", Telegram payloads "chat_id" and "text", generic webhooks the event itself
+    const format = req.body.chat_id !== undefined ? 'telegram' : (req.body.blocks ? 'slack' : 'webhook');
+    log.info('Notification received', {
+        path: req.path,
+        format,
+        signatureValid,
+        type: req.body.type,
+        text: req.body.text || req.body.title,
+        body: req.body
+    });
+
+    // Telegram's Bot API answers { ok: true, result: ... }
+    res.json({ ok: true });
+});
+
+app.listen(SINK_PORT, SINK_HOST, () => {
+    log.info('Notification sink listening', { url: `http://${SINK_HOST}:${SINK_PORT}` });
+});
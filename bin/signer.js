@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// Reference signer daemon: holds the keystore and signs transactions for the webhook server
+// over HTTP or a Unix socket, so the server itself never sees a secret key.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+require('dotenv').config();
+const { loadKeystoreDirectory } = require('../lib/walletRegistry');
+const { readPassphraseFile, promptPassphrase } = require('../lib/keystore');
+const { logger } = require('../lib/logger');
+
+const log = logger.child({ component: 'signerDaemon' });
+
+const SIGNER_HOST = process.env.SIGNER_HOST || '127.0.0.1';
+const SIGNER_PORT = parseInt(process.env.SIGNER_PORT) || 8787;
+const SIGNER_SOCKET = process.env.SIGNER_SOCKET; // Listen on a Unix socket instead of TCP
+const SIGNER_AUTH_TOKEN = process.env.SIGNER_AUTH_TOKEN; // Required for TCP; optional on a Unix socket
+const SIGNER_ALLOWED_PROGRAMS = (process.env.SIGNER_ALLOWED_PROGRAMS || '').split(',').map(id => id.trim()).filter(Boolean);
+const WALLET_KEYSTORE_DIR = process.env.WALLET_KEYSTORE_DIR || path.join(__dirname, '..', 'keystore');
+const KEYSTORE_PASSPHRASE_FILE = process.env.KEYSTORE_PASSPHRASE_FILE;
+
+if (!SIGNER_SOCKET && !SIGNER_AUTH_TOKEN) {
+    log.error('SIGNER_AUTH_TOKEN is required when listening on TCP (or set SIGNER_SOCKET)');
+    process.exit(1);
+}
+
+const expectedToken = SIGNER_AUTH_TOKEN ? crypto.createHash('sha256').update(SIGNER_AUTH_TOKEN).digest() : null;
+
+// Middleware to check the bearer token in constant time
+function requireToken(req, res, next) {
+    if (!expectedToken) return next();
+
+    const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    if (!provided || !crypto.timingSafeEqual(expectedToken, providedHash)) {
+        log.warn('Signer request rejected', { method: req.method, path: req.path });
+        return res.status(401).json({ error: 'Invalid or missing signer token' });
+    }
+    next();
+}
+
+// Function to apply the signing policy; returns a reason string when the transaction is refused
+function checkPolicy(transaction, publicKey) {
+    const { message } = transaction;
+    const accountKeys = message.staticAccountKeys;
+
+    if (!accountKeys[0].equals(publicKey)) {
+        return `fee payer ${accountKeys[0].toString()} is not the wallet`;
+    }
+
+    const signerIndex = accountKeys.findIndex(key => key.equals(publicKey));
+    if (signerIndex >= message.header.numRequiredSignatures) {
+        return 'wallet is not a required signer of this transaction';
+    }
+
+    if (SIGNER_ALLOWED_PROGRAMS.length > 0) {
+        for (const instruction of message.compiledInstructions) {
+            const programId = accountKeys[instruction.programIdIndex].toString();
+            if (!SIGNER_ALLOWED_PROGRAMS.includes(programId)) {
+                return `program ${programId} is not allowed`;
+            }
+        }
+    }
+
+    return null;
+}
+
+async function main() {
+    const passphrase = () => KEYSTORE_PASSPHRASE_FILE
+        ? readPassphraseFile(KEYSTORE_PASSPHRASE_FILE)
+        : promptPassphrase(`🔐 Keystore passphrase for ${WALLET_KEYSTORE_DIR}: `);
+    const { keypairs, plaintextFiles } = await loadKeystoreDirectory(WALLET_KEYSTORE_DIR, passphrase);
+
+    if (keypairs.size === 0) {
+        throw new Error(`No keys in ${WALLET_KEYSTORE_DIR} - create one with: npm run keystore -- create <name>`);
+    }
+    if (plaintextFiles.length > 0) {
+        log.warn('Plaintext key files in use', { files: plaintextFiles });
+    }
+
+    const app = express();
+    app.use(express.json({ limit: '256kb' }));
+    app.use(requireToken);
+
+    // List the wallets this signer can sign for
+    app.get('/wallets', (req, res) => {
+        res.json({
+            wallets: Array.from(keypairs.entries()).map(([name, keypair]) => ({ name, publicKey: keypair.publicKey.toString() }))
+        });
+    });
+
+    // Sign a serialized VersionedTransaction and return only the signature
+    app.post('/sign', (req, res) => {
+        const { wallet, publicKey, transaction } = req.body || {};
+        const keypair = keypairs.get(wallet);
+
+        if (!keypair) {
+            return res.status(404).json({ error: `Unknown wallet: ${wallet}` });
+        }
+        if (publicKey && publicKey !== keypair.publicKey.toString()) {
+            return res.status(409).json({ error: `Wallet ${wallet} has public key ${keypair.publicKey.toString()}, not ${publicKey}` });
+        }
+
+        let versionedTransaction;
+        try {
+            versionedTransaction = VersionedTransaction.deserialize(Buffer.from(transaction || '', 'base64'));
+        } catch (error) {
+            return res.status(400).json({ error: 'transaction must be a base64 serialized VersionedTransaction' });
+        }
+
+        const refusal = checkPolicy(versionedTransaction, new PublicKey(keypair.publicKey));
+        if (refusal) {
+            log.warn('Refused to sign', { wallet, reason: refusal });
+            return res.status(403).json({ error: `Policy refused: ${refusal}` });
+        }
+
+        versionedTransaction.sign([keypair]);
+        const signerIndex = versionedTransaction.message.staticAccountKeys.findIndex(key => key.equals(keypair.publicKey));
+        const signature = bs58.encode(versionedTransaction.signatures[signerIndex]);
+
+        log.info('Signed transaction', { wallet, signature });
+        res.json({ publicKey: keypair.publicKey.toString(), signature });
+    });
+
+    if (SIGNER_SOCKET) {
+        if (fs.existsSync(SIGNER_SOCKET)) {
+            fs.unlinkSync(SIGNER_SOCKET);
+        }
+        app.listen(SIGNER_SOCKET, () => {
+            fs.chmodSync(SIGNER_SOCKET, 0o600);
+            log.info('Signer listening', { socket: SIGNER_SOCKET, wallets: keypairs.size });
+        });
+    } else {
+        app.listen(SIGNER_PORT, SIGNER_HOST, () => {
+            log.info('Signer listening', { url: `http://${SIGNER_HOST}:${SIGNER_PORT}`, wallets: keypairs.size });
+        });
+    }
+}
+
+main().catch(error => {
+    log.error('Signer failed to start', { error: error.message });
+    process.exit(1);
+});
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'adminAuth' });
+
+// Function to create middleware that guards admin endpoints with a bearer API key
+// readApiKey is also accepted when given, for the read-only endpoints a dashboard can poll without the admin key.
+function createAdminAuth({ apiKey, readApiKey = null }) {
+    const expected = [apiKey, readApiKey].filter(Boolean).map(key => crypto.createHash('sha256').update(key).digest());
+
+    return function requireAdmin(req, res, next) {
+        if (expected.length === 0) {
+            return res.status(503).json({
+                success: false,
+                error: 'Admin API disabled - set ADMIN_API_KEY to enable it'
+            });
+        }
+
+        const header = req.get('authorization') || '';
+        const provided = header.replace(/^Bearer\s+/i, '');
+        const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+        if (!provided || !expected.some(hash => crypto.timingSafeEqual(hash, providedHash))) {
+            log.warn('Admin request rejected', { method: req.method, path: req.path });
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or missing admin API key'
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createAdminAuth
+};
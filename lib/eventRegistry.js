@@ -0,0 +1,40 @@
+// Function to create the registry of event handlers run by the job queue
+// Each handler names its processor and how its jobs are tagged, locked and paused, so a new event type is one
+// register() call. Internal handlers (e.g. exit triggers) run queued jobs but can't be sent to POST /webhook.
+function createEventRegistry() {
+    const handlers = new Map();
+
+    // Function to register the handler for an event type
+    // process(eventData, { jobId }) does the work; getMints(data) gives the mints it trades (for journaling rejections);
+    // getLocks(agentId, data) gives its serialization locks; pausable: false lets it run while the agent is paused.
+    function register(event, { process, description, idField = 'eventId', getMints = () => ({ inputMint: null, outputMint: null }), getLocks = agentId => [`agent:${agentId}`], internal = false, pausable = true }) {
+        if (handlers.has(event)) {
+            throw new Error(`Event handler already registered: ${event}`);
+        }
+        handlers.set(event, { event, process, description, idField, getMints, getLocks, internal, pausable });
+    }
+
+    // Function to look up the handler for a queued job
+    function get(event) {
+        return handlers.get(event) || null;
+    }
+
+    // Function to look up the handler for an event arriving by webhook
+    function forWebhook(event) {
+        const handler = handlers.get(event);
+        return handler && !handler.internal ? handler : null;
+    }
+
+    // Function to describe the event types POST /webhook accepts
+    function list() {
+        return Array.from(handlers.values())
+            .filter(handler => !handler.internal)
+            .map(({ event, description, pausable }) => ({ event, description, pausable }));
+    }
+
+    return { register, get, forWebhook, list };
+}
+
+module.exports = {
+    createEventRegistry
+};
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger, withLogContext } = require('./logger');
+
+const log = logger.child({ component: 'exitTriggers' });
+
+const LEVEL_FIELDS = ['stopLossPct', 'takeProfitPct', 'trailingStopPct'];
+const TERMINAL_STATUSES = ['executed', 'failed', 'cancelled'];
+
+// Function to validate a set of trigger levels (percentages; null or missing disables a level)
+function validateLevels(levels, label) {
+    for (const [field, value] of Object.entries(levels)) {
+        if (!LEVEL_FIELDS.includes(field)) {
+            throw new Error(`${label}: unknown level ${field}`);
+        }
+        if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+            throw new Error(`${label}: ${field} must be a positive percentage or null`);
+        }
+        if (field !== 'takeProfitPct' && value !== null && value >= 100) {
+            throw new Error(`${label}: ${field} must be below 100`);
+        }
+    }
+}
+
+// Function to load and validate the default exit levels file; no file means no default levels
+function loadExitTriggerConfig(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { defaults: {}, agents: {} };
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validateLevels(config.defaults || {}, 'Exit trigger config defaults');
+    Object.entries(config.agents || {}).forEach(([agentId, levels]) => validateLevels(levels, `Exit trigger config agents.${agentId}`));
+
+    return { defaults: config.defaults || {}, agents: config.agents || {} };
+}
+
+// Function to resolve the levels for a new position: webhook values win over the agent's defaults over the global defaults
+function resolveLevels(config, agentId, overrides = {}) {
+    const levels = { ...config.defaults, ...(config.agents[agentId] || {}) };
+    for (const field of LEVEL_FIELDS) {
+        if (overrides[field] !== undefined) {
+            levels[field] = overrides[field];
+        }
+    }
+    validateLevels(levels, 'Exit levels');
+    return Object.fromEntries(LEVEL_FIELDS.map(field => [field, levels[field] ?? null]));
+}
+
+// Function to check whether a price crosses a trigger's levels, returning the level that fired
+function checkLevels(trigger, priceSol) {
+    const { entryPriceSol, stopLossPct, takeProfitPct, trailingStopPct, highestPriceSol } = trigger;
+    if (stopLossPct !== null && priceSol <= entryPriceSol * (1 - stopLossPct / 100)) {
+        return 'STOP_LOSS';
+    }
+    if (takeProfitPct !== null && priceSol >= entryPriceSol * (1 + takeProfitPct / 100)) {
+        return 'TAKE_PROFIT';
+    }
+    if (trailingStopPct !== null && priceSol <= highestPriceSol * (1 - trailingStopPct / 100)) {
+        return 'TRAILING_STOP';
+    }
+    return null;
+}
+
+// Function to create the persistent exit trigger store and the price monitor that fires it
+// quotePrice(trigger) returns the SOL per token a sale of the trigger's amount would get right now;
+// onTrigger(trigger) hands a fired trigger to the swap pipeline and returns the job id it runs under.
+// Agents that are paused are not checked, so nothing fires until they resume.
+function createExitTriggers({ filePath, intervalMs, retentionMs, maxAttempts, quotePrice, onTrigger, isPaused = () => false }) {
+    const triggers = new Map();
+    let polling = false;
+    let timer = null;
+
+    // Load persisted triggers, keeping only the latest snapshot of each
+    for (const trigger of readJsonLines(filePath)) {
+        triggers.set(trigger.id, trigger);
+    }
+    const cutoff = Date.now() - retentionMs;
+    for (const trigger of Array.from(triggers.values())) {
+        if (TERMINAL_STATUSES.includes(trigger.status) && Date.parse(trigger.updatedAt) < cutoff) {
+            triggers.delete(trigger.id);
+        }
+    }
+    writeJsonLines(filePath, Array.from(triggers.values()));
+
+    log.info('Exit triggers loaded', {
+        triggers: triggers.size,
+        active: Array.from(triggers.values()).filter(trigger => trigger.status === 'active').length
+    });
+
+    function save(trigger) {
+        trigger.updatedAt = new Date().toISOString();
+        triggers.set(trigger.id, trigger);
+        appendJsonLine(filePath, trigger);
+        return trigger;
+    }
+
+    // Function to attach levels to a newly entered position; returns null when no level is set
+    function add({ agentId, tokenMint, tokenSymbol = null, amount, entryPriceSol, entryTradeId = null, paper = false, levels }) {
+        if (LEVEL_FIELDS.every(field => levels[field] === null)) {
+            return null;
+        }
+        const trigger = save({
+            id: crypto.randomUUID(),
+            agentId,
+            tokenMint,
+            tokenSymbol,
+            amount: String(amount),
+            entryPriceSol,
+            entryTradeId,
+            paper,
+            ...levels,
+            highestPriceSol: entryPriceSol,
+            lastPriceSol: null,
+            lastCheckedAt: null,
+            status: 'active',
+            firedBy: null,
+            jobId: null,
+            attempts: 0,
+            exitTradeId: null,
+            error: null,
+            createdAt: new Date().toISOString()
+        });
+        log.info('Exit trigger armed', { triggerId: trigger.id, agentId, tokenMint, entryPriceSol, ...levels });
+        return trigger;
+    }
+
+    // Function to look up a trigger
+    function get(id) {
+        return triggers.get(id) || null;
+    }
+
+    // Function to list triggers, newest first
+    function list({ agentId = null, tokenMint = null, status = null } = {}) {
+        return Array.from(triggers.values())
+            .filter(trigger => (!agentId || trigger.agentId === agentId)
+                && (!tokenMint || trigger.tokenMint === tokenMint)
+                && (!status || trigger.status === status))
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    }
+
+    // Function to cancel a trigger that hasn't run its exit yet
+    function cancel(id, reason) {
+        const trigger = triggers.get(id);
+        if (!trigger || TERMINAL_STATUSES.includes(trigger.status)) {
+            return null;
+        }
+        log.info('Exit trigger cancelled', { triggerId: id, reason });
+        return save({ ...trigger, status: 'cancelled', error: reason });
+    }
+
+    // Function to give up on a fired trigger without re-arming it (its exit may or may not have landed)
+    function abandon(id, reason) {
+        const trigger = triggers.get(id);
+        if (!trigger || trigger.status !== 'triggered') {
+            return null;
+        }
+        log.warn('Exit trigger abandoned', { triggerId: id, reason });
+        return save({ ...trigger, status: 'failed', error: reason });
+    }
+
+    // Function to shrink the active triggers of a position after part of it was sold elsewhere
+    // (a full exit cancels them)
+    function reducePosition(agentId, tokenMint, fraction, reason) {
+        for (const trigger of list({ agentId, tokenMint, status: 'active' })) {
+            if (fraction >= 0.99) {
+                cancel(trigger.id, reason);
+                continue;
+            }
+            const remaining = BigInt(trigger.amount) * BigInt(Math.round((1 - fraction) * 1e6)) / 1000000n;
+            save({ ...trigger, amount: remaining.toString() });
+        }
+    }
+
+    // Function to record the outcome of a fired trigger's exit; failures re-arm it until maxAttempts
+    function resolve(id, { success, tradeId = null, error = null }) {
+        const trigger = triggers.get(id);
+        if (!trigger) {
+            return null;
+        }
+        if (success) {
+            return save({ ...trigger, status: 'executed', exitTradeId: tradeId, error: null });
+        }
+        const attempts = trigger.attempts + 1;
+        const status = attempts >= maxAttempts ? 'failed' : 'active';
+        log.warn('Exit trigger exit failed', { triggerId: id, attempts, status, error });
+        return save({ ...trigger, status, attempts, exitTradeId: tradeId, error });
+    }
+
+    // Function to quote every active trigger once and fire the ones whose levels are crossed
+    async function poll() {
+        if (polling) return;
+        polling = true;
+        try {
+            for (const trigger of list({ status: 'active' })) {
+                if (isPaused(trigger.agentId)) continue;
+
+                let priceSol;
+                try {
+                    priceSol = await quotePrice(trigger);
+                } catch (error) {
+                    log.warn('Exit trigger price check failed', { triggerId: trigger.id, tokenMint: trigger.tokenMint, error: error.message });
+                    continue;
+                }
+
+                const current = triggers.get(trigger.id);
+                if (current.status !== 'active') continue;
+
+                const updated = {
+                    ...current,
+                    lastPriceSol: priceSol,
+                    lastCheckedAt: new Date().toISOString(),
+                    highestPriceSol: Math.max(current.highestPriceSol, priceSol)
+                };
+                const firedBy = checkLevels(updated, priceSol);
+                if (!firedBy) {
+                    // Only persist when the trailing high moves, not on every check
+                    if (updated.highestPriceSol !== current.highestPriceSol) {
+                        save(updated);
+                    } else {
+                        triggers.set(updated.id, updated);
+                    }
+                    continue;
+                }
+
+                const fired = save({ ...updated, status: 'triggered', firedBy, firedAt: new Date().toISOString(), firedPriceSol: priceSol });
+                log.warn('Exit trigger fired', {
+                    triggerId: fired.id,
+                    agentId: fired.agentId,
+                    tokenMint: fired.tokenMint,
+                    firedBy,
+                    priceSol,
+                    entryPriceSol: fired.entryPriceSol
+                });
+                try {
+                    const jobId = await onTrigger(fired);
+                    save({ ...triggers.get(fired.id), jobId });
+                } catch (error) {
+                    resolve(fired.id, { success: false, error: error.message });
+                }
+            }
+        } finally {
+            polling = false;
+        }
+    }
+
+    // Function to start polling
+    function start() {
+        if (!intervalMs) {
+            log.info('Exit trigger monitor disabled');
+            return;
+        }
+        const run = () => withLogContext({ job: 'exitTriggerMonitor' }, poll, { inherit: false })
+            .catch(error => log.error('Exit trigger poll failed', { error }));
+        timer = setInterval(run, intervalMs);
+        timer.unref();
+        run();
+    }
+
+    // Function to count triggers by status
+    function stats() {
+        const counts = { active: 0, triggered: 0, executed: 0, failed: 0, cancelled: 0 };
+        for (const trigger of triggers.values()) {
+            counts[trigger.status] = (counts[trigger.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    return { add, get, list, cancel, abandon, reducePosition, resolve, poll, start, stats };
+}
+
+module.exports = {
+    LEVEL_FIELDS,
+    loadExitTriggerConfig,
+    resolveLevels,
+    createExitTriggers
+};
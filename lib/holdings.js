@@ -0,0 +1,45 @@
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const SOL_DECIMALS = 9;
+
+// Function to convert a base-unit amount to a UI amount
+function toUiAmount(amount, decimals) {
+    return Number(amount) / Math.pow(10, decimals);
+}
+
+// Function to normalize a Jupiter Ultra holdings response into one balance per mint
+// The API returns native SOL at the top level ({ amount, uiAmount }) and SPL tokens as
+// tokens[mint] = [token accounts]. Balances across a mint's accounts are summed, and wrapped SOL is
+// counted together with native SOL since both are the wallet's SOL.
+function parseHoldings(response) {
+    const balances = new Map();
+
+    const add = (mint, amount, decimals, account = null) => {
+        const current = balances.get(mint) || { mint, amount: 0n, decimals, accounts: [] };
+        current.amount += BigInt(amount || 0);
+        if (account) {
+            current.accounts.push(account);
+        }
+        balances.set(mint, current);
+    };
+
+    if (response?.amount !== undefined) {
+        add(SOL_MINT, response.amount, SOL_DECIMALS);
+    }
+
+    for (const [mint, accounts] of Object.entries(response?.tokens || {})) {
+        for (const account of accounts || []) {
+            add(mint, account.amount, mint === SOL_MINT ? SOL_DECIMALS : account.decimals, account.account);
+        }
+    }
+
+    for (const balance of balances.values()) {
+        balance.uiAmount = toUiAmount(balance.amount, balance.decimals);
+        balance.amount = balance.amount.toString();
+    }
+
+    return balances;
+}
+
+module.exports = {
+    parseHoldings
+};
@@ -0,0 +1,90 @@
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'idempotencyStore' });
+
+// Function to build the dedup key for a webhook delivery
+function buildIdempotencyKey(event, agentId, dataId) {
+    return `${event}:${agentId}:${dataId}`;
+}
+
+// Function to create a persistent store that makes webhook processing idempotent
+function createIdempotencyStore({ filePath, ttlMs }) {
+    const records = new Map();
+    const inFlight = new Map();
+
+    // Load previous deliveries, keeping only the latest record per key
+    const cutoff = Date.now() - ttlMs;
+    for (const record of readJsonLines(filePath)) {
+        if (record.status === 'released' || record.updatedAt < cutoff) {
+            records.delete(record.key);
+        } else {
+            records.set(record.key, record);
+        }
+    }
+
+    // Compact the file so it only holds live records
+    writeJsonLines(filePath, Array.from(records.values()));
+    log.info('Idempotency store loaded', { records: records.size });
+
+    function save(record) {
+        records.set(record.key, record);
+        appendJsonLine(filePath, record);
+    }
+
+    // Function to run a processor at most once per key
+    async function run(key, processor) {
+        const existing = records.get(key);
+
+        if (existing && existing.status === 'completed') {
+            log.info('Duplicate delivery - returning original result', { idempotencyKey: key });
+            return { duplicate: true, status: 'completed', result: existing.result, firstSeenAt: existing.createdAt };
+        }
+
+        if (inFlight.has(key)) {
+            log.info('Delivery is already being processed - waiting for it', { idempotencyKey: key });
+            const result = await inFlight.get(key);
+            return { duplicate: true, status: 'completed', result, firstSeenAt: records.get(key)?.createdAt };
+        }
+
+        if (existing && existing.status === 'processing') {
+            // Started before a restart and never finished - the swap may or may not have landed
+            log.warn('Delivery was interrupted before completing - refusing to re-execute', { idempotencyKey: key });
+            return { duplicate: true, status: 'processing', interrupted: true, firstSeenAt: existing.createdAt };
+        }
+
+        const now = Date.now();
+        save({ key, status: 'processing', createdAt: now, updatedAt: now });
+
+        const promise = (async () => {
+            try {
+                const result = await processor();
+                save({ key, status: 'completed', result, createdAt: now, updatedAt: Date.now() });
+                return result;
+            } catch (error) {
+                // Unexpected errors mean nothing was recorded - allow the sender to retry
+                records.delete(key);
+                appendJsonLine(filePath, { key, status: 'released', createdAt: now, updatedAt: Date.now() });
+                throw error;
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+
+        inFlight.set(key, promise);
+        const result = await promise;
+        return { duplicate: false, status: 'completed', result };
+    }
+
+    // Function to look up a delivery record
+    function get(key) {
+        return records.get(key) || null;
+    }
+
+    return { run, get };
+}
+
+module.exports = {
+    buildIdempotencyKey,
+    createIdempotencyStore
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger, withLogContext } = require('./logger');
+
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // How often finished jobs past retention are dropped while running
+
+const log = logger.child({ component: 'jobQueue' });
+
+// Function to create a persistent job queue with a worker pool and per-key serialization
+function createJobQueue({ filePath, concurrency, retentionMs, handler, isHeld = () => false }) {
+    const jobs = new Map();
+    const jobsByKey = new Map();
+    const heldLocks = new Set();
+    const waiters = new Map();
+    let running = 0;
+    let started = false;
+
+    // Load persisted jobs, keeping only the latest snapshot of each
+    for (const snapshot of readJsonLines(filePath)) {
+        jobs.set(snapshot.id, snapshot);
+    }
+
+    for (const job of Array.from(jobs.values())) {
+        if (job.status === 'running') {
+            // The process died mid-swap - the trade may have landed, so never re-run it blindly
+            job.status = 'failed';
+            job.error = 'INTERRUPTED: server restarted while this job was running - check the wallet before resending';
+            job.finishedAt = new Date().toISOString();
+        }
+
+        if (job.idempotencyKey) {
+            jobsByKey.set(job.idempotencyKey, job.id);
+        }
+    }
+
+    prune();
+
+    const pending = Array.from(jobs.values()).filter(job => job.status === 'queued').length;
+    log.info('Job queue loaded', { jobs: jobs.size, queued: pending });
+
+    // Function to drop finished jobs past retention and compact the file to one line per job
+    function prune() {
+        const cutoff = Date.now() - retentionMs;
+        let pruned = 0;
+        for (const job of Array.from(jobs.values())) {
+            if (!TERMINAL_STATUSES.includes(job.status) || Date.parse(job.finishedAt) >= cutoff) continue;
+
+            jobs.delete(job.id);
+            if (jobsByKey.get(job.idempotencyKey) === job.id) {
+                jobsByKey.delete(job.idempotencyKey);
+            }
+            pruned++;
+        }
+        writeJsonLines(filePath, Array.from(jobs.values()));
+        return pruned;
+    }
+
+    function save(job) {
+        jobs.set(job.id, job);
+        appendJsonLine(filePath, job);
+    }
+
+    function notify(job) {
+        const callbacks = waiters.get(job.id) || [];
+        waiters.delete(job.id);
+        callbacks.forEach(resolve => resolve(job));
+    }
+
+    // Function to add a job, reusing the existing one when the same key is already queued or done
+    function enqueue({ idempotencyKey, locks = [], payload, meta = {} }) {
+        const existingId = idempotencyKey ? jobsByKey.get(idempotencyKey) : null;
+        const existing = existingId ? jobs.get(existingId) : null;
+
+        // Jobs that crashed without producing a result may be retried with a fresh job
+        if (existing && (!TERMINAL_STATUSES.includes(existing.status) || existing.result)) {
+            log.info('Job already exists', { idempotencyKey, existingJobId: existing.id, status: existing.status });
+            return { job: existing, created: false };
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            idempotencyKey: idempotencyKey || null,
+            locks,
+            payload,
+            ...meta,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        save(job);
+        if (idempotencyKey) {
+            jobsByKey.set(idempotencyKey, job.id);
+        }
+
+        log.info('Job queued', { jobId: job.id, locks });
+        pump();
+        return { job, created: true };
+    }
+
+    // Function to pick the oldest queued job whose locks are all free and that isn't held back
+    function nextRunnableJob() {
+        for (const job of jobs.values()) {
+            if (job.status === 'queued' && job.locks.every(lock => !heldLocks.has(lock)) && !isHeld(job)) {
+                return job;
+            }
+        }
+        return null;
+    }
+
+    // Function to start as many jobs as the worker pool allows
+    function pump() {
+        if (!started) return;
+
+        while (running < concurrency) {
+            const job = nextRunnableJob();
+            if (!job) return;
+            runJob(job);
+        }
+    }
+
+    async function runJob(job) {
+        running++;
+        job.locks.forEach(lock => heldLocks.add(lock));
+        save({ ...job, status: 'running', startedAt: new Date().toISOString() });
+
+        let finished;
+        try {
+            // Each job logs under its own context, not that of whoever happened to start it
+            const outcome = await withLogContext({ jobId: job.id }, () => handler(jobs.get(job.id)), { inherit: false });
+            finished = {
+                ...jobs.get(job.id),
+                status: outcome.success ? 'succeeded' : 'failed',
+                result: outcome.result,
+                duplicate: !!outcome.duplicate,
+                error: outcome.error || null
+            };
+        } catch (error) {
+            log.error('Job failed', { jobId: job.id, error });
+            finished = { ...jobs.get(job.id), status: 'failed', error: error.message };
+        }
+
+        finished.finishedAt = new Date().toISOString();
+        save(finished);
+        job.locks.forEach(lock => heldLocks.delete(lock));
+        running--;
+
+        log.info('Job finished', { jobId: job.id, status: finished.status });
+        notify(finished);
+        pump();
+    }
+
+    // Function to fail queued jobs matching a predicate without running them
+    function discard(predicate, reason) {
+        let discarded = 0;
+        for (const job of Array.from(jobs.values())) {
+            if (job.status !== 'queued' || !predicate(job)) continue;
+
+            const finished = { ...job, status: 'failed', error: reason, finishedAt: new Date().toISOString() };
+            save(finished);
+            notify(finished);
+            discarded++;
+        }
+        return discarded;
+    }
+
+    // Function to wait until a job reaches a terminal status
+    function waitFor(jobId) {
+        const job = jobs.get(jobId);
+        if (!job) {
+            return Promise.reject(new Error(`Unknown job: ${jobId}`));
+        }
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            return Promise.resolve(job);
+        }
+        return new Promise(resolve => {
+            const callbacks = waiters.get(jobId) || [];
+            callbacks.push(resolve);
+            waiters.set(jobId, callbacks);
+        });
+    }
+
+    // Function to look up a job
+    function get(jobId) {
+        return jobs.get(jobId) || null;
+    }
+
+    // Function to report queue depth and worker usage
+    function stats() {
+        const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+        for (const job of jobs.values()) {
+            counts[job.status] = (counts[job.status] || 0) + 1;
+        }
+        return { concurrency, activeWorkers: running, ...counts };
+    }
+
+    // Function to start processing, including jobs recovered from a previous run
+    function start() {
+        started = true;
+        const timer = setInterval(() => {
+            const pruned = prune();
+            if (pruned > 0) {
+                log.info('Finished jobs pruned', { pruned, jobs: jobs.size });
+            }
+        }, PRUNE_INTERVAL_MS);
+        timer.unref();
+        pump();
+    }
+
+    // Function to re-check held jobs, e.g. after trading is resumed
+    function wake() {
+        pump();
+    }
+
+    return { enqueue, waitFor, get, stats, discard, prune, start, wake };
+}
+
+module.exports = {
+    createJobQueue
+};
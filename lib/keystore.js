@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Keypair } = require('@solana/web3.js');
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+// scrypt cost parameters for new keystores (~128 MB, well under a second per unlock)
+const DEFAULT_KDF_PARAMS = { n: 131072, r: 8, p: 1 };
+
+// Function to derive the encryption key from a passphrase with scrypt
+function deriveKey(passphrase, { n, r, p, salt }) {
+    return crypto.scryptSync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), 32, {
+        N: n,
+        r,
+        p,
+        maxmem: 256 * n * r
+    });
+}
+
+// Function to check whether a parsed JSON document is an encrypted keystore
+function isEncryptedKeystore(document) {
+    return !!document && typeof document === 'object' && !Array.isArray(document) && !!document.crypto;
+}
+
+// Function to encrypt a secret key into a keystore document (the public key stays readable)
+function encryptSecretKey(secretKey, passphrase) {
+    if (!passphrase) {
+        throw new Error('A passphrase is required to encrypt a keystore');
+    }
+
+    const publicKey = Keypair.fromSecretKey(secretKey).publicKey.toString();
+    const kdfparams = { ...DEFAULT_KDF_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, kdfparams), iv);
+    cipher.setAAD(Buffer.from(publicKey));
+    const ciphertext = Buffer.concat([cipher.update(secretKey), cipher.final()]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        publicKey,
+        crypto: {
+            kdf: 'scrypt',
+            kdfparams,
+            cipher: CIPHER,
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        },
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Function to decrypt a keystore document into a keypair
+// Errors never include key material - a wrong passphrase and a tampered file look the same.
+function decryptKeystore(document, passphrase) {
+    if (document.version !== KEYSTORE_VERSION || document.crypto.kdf !== 'scrypt' || document.crypto.cipher !== CIPHER) {
+        throw new Error(`Unsupported keystore format (version ${document.version}, ${document.crypto.kdf}/${document.crypto.cipher})`);
+    }
+
+    let secretKey;
+    try {
+        const decipher = crypto.createDecipheriv(
+            CIPHER,
+            deriveKey(passphrase, document.crypto.kdfparams),
+            Buffer.from(document.crypto.iv, 'hex')
+        );
+        decipher.setAAD(Buffer.from(document.publicKey));
+        decipher.setAuthTag(Buffer.from(document.crypto.tag, 'hex'));
+        secretKey = Buffer.concat([decipher.update(Buffer.from(document.crypto.ciphertext, 'hex')), decipher.final()]);
+    } catch (error) {
+        throw new Error('Wrong passphrase or corrupted keystore');
+    }
+
+    const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+    secretKey.fill(0);
+
+    if (keypair.publicKey.toString() !== document.publicKey) {
+        throw new Error('Keystore public key does not match the decrypted secret key');
+    }
+    return keypair;
+}
+
+// Function to read a keystore document from disk
+function readKeystoreFile(filePath) {
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!isEncryptedKeystore(document)) {
+        throw new Error(`${path.basename(filePath)} is not an encrypted keystore`);
+    }
+    return document;
+}
+
+// Function to write a keystore document atomically with owner-only permissions
+function writeKeystoreFile(filePath, document) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(document, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Function to read the keystore passphrase from a file (trailing newline ignored)
+function readPassphraseFile(filePath) {
+    const passphrase = fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+    if (!passphrase) {
+        throw new Error(`Passphrase file ${filePath} is empty`);
+    }
+    return passphrase;
+}
+
+// Function to prompt for a passphrase on the terminal without echoing it
+function promptPassphrase(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error('No terminal available to prompt for the keystore passphrase - use a passphrase file'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        let muted = false;
+
+        // Swallow the echoed characters once the question has been printed
+        rl._writeToOutput = text => {
+            if (!muted) {
+                rl.output.write(text);
+            }
+        };
+
+        rl.question(question, answer => {
+            rl.output.write('\n');
+            rl.close();
+            answer ? resolve(answer) : reject(new Error('Empty passphrase'));
+        });
+        muted = true;
+
+        rl.on('SIGINT', () => {
+            rl.close();
+            reject(new Error('Passphrase prompt cancelled'));
+        });
+    });
+}
+
+module.exports = {
+    isEncryptedKeystore,
+    encryptSecretKey,
+    decryptKeystore,
+    readKeystoreFile,
+    writeKeystoreFile,
+    readPassphraseFile,
+    promptPassphrase
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger, withLogContext } = require('./logger');
+
+const log = logger.child({ component: 'limitOrders' });
+
+const TERMINAL_STATUSES = ['filled', 'failed', 'expired', 'cancelled'];
+
+// Function to create the persistent book of resting limit orders and the monitor that re-quotes them
+// A trade signal whose quote is too far above its price_at_signal rests here until a quote comes back under
+// the limit price (then onFill(order) queues the buy and returns its job id) or the order expires.
+// quotePrice(order) returns the USD per token the order's input amount would buy at right now.
+function createLimitOrderBook({ filePath, intervalMs, retentionMs, quotePrice, onFill, isPaused = () => false }) {
+    const orders = new Map();
+    let polling = false;
+    let timer = null;
+
+    // Load persisted orders, keeping only the latest snapshot of each
+    for (const order of readJsonLines(filePath)) {
+        orders.set(order.id, order);
+    }
+    const cutoff = Date.now() - retentionMs;
+    for (const order of Array.from(orders.values())) {
+        if (TERMINAL_STATUSES.includes(order.status) && Date.parse(order.updatedAt) < cutoff) {
+            orders.delete(order.id);
+        }
+    }
+    writeJsonLines(filePath, Array.from(orders.values()));
+
+    log.info('Limit orders loaded', {
+        orders: orders.size,
+        pending: Array.from(orders.values()).filter(order => order.status === 'pending').length
+    });
+
+    function save(order) {
+        order.updatedAt = new Date().toISOString();
+        orders.set(order.id, order);
+        appendJsonLine(filePath, order);
+        return order;
+    }
+
+    // Function to rest a trade signal as a limit order
+    function place({ agentId, signalId, inputMint, outputMint, tokenSymbol = null, amount, priceAtSignal, maxDeviationPct, quotedPriceUsd, ttlMs, eventData }) {
+        const order = save({
+            id: crypto.randomUUID(),
+            agentId,
+            signalId,
+            inputMint,
+            outputMint,
+            tokenSymbol,
+            amount: String(amount),
+            priceAtSignal,
+            maxDeviationPct,
+            limitPriceUsd: priceAtSignal * (1 + maxDeviationPct / 100),
+            placedPriceUsd: quotedPriceUsd,
+            lastPriceUsd: quotedPriceUsd,
+            lastCheckedAt: new Date().toISOString(),
+            status: 'pending',
+            expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+            checks: 0,
+            jobId: null,
+            tradeId: null,
+            error: null,
+            eventData,
+            createdAt: new Date().toISOString()
+        });
+        log.info('Limit order placed', {
+            orderId: order.id,
+            agentId,
+            signalId,
+            tokenMint: outputMint,
+            limitPriceUsd: order.limitPriceUsd,
+            quotedPriceUsd,
+            expiresAt: order.expiresAt
+        });
+        return order;
+    }
+
+    // Function to look up an order
+    function get(id) {
+        return orders.get(id) || null;
+    }
+
+    // Function to list orders, newest first
+    function list({ agentId = null, status = null } = {}) {
+        return Array.from(orders.values())
+            .filter(order => (!agentId || order.agentId === agentId) && (!status || order.status === status))
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    }
+
+    // Function to cancel an order that hasn't started filling
+    function cancel(id, reason) {
+        const order = orders.get(id);
+        if (!order || order.status !== 'pending') {
+            return null;
+        }
+        log.info('Limit order cancelled', { orderId: id, reason });
+        return save({ ...order, status: 'cancelled', error: reason });
+    }
+
+    // Function to check whether an order is past its TTL, expiring it if so
+    function expireIfDue(order) {
+        if (Date.parse(order.expiresAt) > Date.now()) {
+            return false;
+        }
+        log.info('Limit order expired', { orderId: order.id, agentId: order.agentId, lastPriceUsd: order.lastPriceUsd, limitPriceUsd: order.limitPriceUsd });
+        save({ ...order, status: 'expired', error: `Price never came back under $${order.limitPriceUsd} before ${order.expiresAt}` });
+        return true;
+    }
+
+    // Function to record the outcome of a filling order; a quote that moved back over the limit puts it back to rest
+    function resolve(id, { status, tradeId = null, priceUsd = null, error = null }) {
+        const order = orders.get(id);
+        if (!order) {
+            return null;
+        }
+        const updated = save({
+            ...order,
+            status,
+            tradeId: tradeId || order.tradeId,
+            error,
+            ...(priceUsd !== null && { lastPriceUsd: priceUsd, lastCheckedAt: new Date().toISOString() })
+        });
+        log.info('Limit order updated', { orderId: id, status, tradeId, error });
+        return updated;
+    }
+
+    // Function to give up on a filling order without putting it back to rest (its buy may or may not have landed)
+    function abandon(id, reason) {
+        const order = orders.get(id);
+        if (!order || order.status !== 'filling') {
+            return null;
+        }
+        log.warn('Limit order abandoned', { orderId: id, reason });
+        return save({ ...order, status: 'failed', error: reason });
+    }
+
+    // Function to re-quote every pending order once, expiring old ones and filling those back under their limit
+    async function poll() {
+        if (polling) return;
+        polling = true;
+        try {
+            for (const order of list({ status: 'pending' })) {
+                if (expireIfDue(order) || isPaused(order.agentId)) continue;
+
+                let priceUsd;
+                try {
+                    priceUsd = await quotePrice(order);
+                } catch (error) {
+                    log.warn('Limit order price check failed', { orderId: order.id, tokenMint: order.outputMint, error: error.message });
+                    continue;
+                }
+
+                const current = orders.get(order.id);
+                if (current.status !== 'pending') continue;
+
+                const checked = { ...current, lastPriceUsd: priceUsd, lastCheckedAt: new Date().toISOString(), checks: current.checks + 1 };
+                if (priceUsd > current.limitPriceUsd) {
+                    orders.set(checked.id, checked);
+                    continue;
+                }
+
+                const filling = save({ ...checked, status: 'filling' });
+                log.info('Limit order price reached', { orderId: filling.id, agentId: filling.agentId, priceUsd, limitPriceUsd: filling.limitPriceUsd });
+                try {
+                    const jobId = await onFill(filling);
+                    save({ ...orders.get(filling.id), jobId });
+                } catch (error) {
+                    resolve(filling.id, { status: 'pending', error: error.message });
+                }
+            }
+        } finally {
+            polling = false;
+        }
+    }
+
+    // Function to start polling
+    function start() {
+        if (!intervalMs) {
+            log.info('Limit order monitor disabled');
+            return;
+        }
+        const run = () => withLogContext({ job: 'limitOrderMonitor' }, poll, { inherit: false })
+            .catch(error => log.error('Limit order poll failed', { error }));
+        timer = setInterval(run, intervalMs);
+        timer.unref();
+        run();
+    }
+
+    // Function to count orders by status
+    function stats() {
+        const counts = { pending: 0, filling: 0, filled: 0, failed: 0, expired: 0, cancelled: 0 };
+        for (const order of orders.values()) {
+            counts[order.status] = (counts[order.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    return { place, get, list, cancel, expireIfDue, resolve, abandon, poll, start, stats };
+}
+
+module.exports = {
+    createLimitOrderBook
+};
@@ -0,0 +1,191 @@
+// Structured logger: leveled JSON lines (or pretty lines for a terminal) tagged with the correlation
+// context of the request or job being handled, with credentials and key material redacted.
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['json', 'pretty'];
+
+// Field names whose values are never written (matched anywhere in the key, case-insensitively)
+const SENSITIVE_KEY_PATTERN = /authorization|api[-_]?key|secret|private[-_]?key|passphrase|password|auth[-_]?token|access[-_]?token|mnemonic|cookie/i;
+// Environment variables whose values are scrubbed from every logged string
+const SENSITIVE_ENV_PATTERN = /API_KEY|SECRET|PRIVATE_KEY|PASSPHRASE|PASSWORD|AUTH_TOKEN|^WALLET_KEY_/;
+
+const REDACTED = '[REDACTED]';
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 6;
+
+const contextStorage = new AsyncLocalStorage();
+
+// Function to run fn with extra correlation fields attached to every line it logs
+// With inherit: false the surrounding context is dropped (e.g. a job started from another job's callback).
+function withLogContext(fields, fn, { inherit = true } = {}) {
+    const parent = inherit ? contextStorage.getStore() : null;
+    return contextStorage.run({ ...parent, ...fields }, fn);
+}
+
+// Function to add correlation fields to the current context (no-op outside withLogContext)
+function setLogContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+// Function to collect the values of sensitive environment variables
+function sensitiveEnvValues(env) {
+    return Object.entries(env)
+        .filter(([name, value]) => SENSITIVE_ENV_PATTERN.test(name) && value)
+        .map(([, value]) => value);
+}
+
+// Function to check whether a value looks like raw key material (64-byte secret key)
+function isKeyMaterial(value) {
+    if (value instanceof Uint8Array) {
+        return value.length === 64;
+    }
+    return Array.isArray(value) && value.length === 64 && value.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255);
+}
+
+// Function to create a logger
+function createLogger({ level = 'info', format = 'json', stream = process.stdout, secrets = [], bindings = {} } = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+    }
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+    }
+
+    // Shared between the logger and its children so secrets added later are scrubbed everywhere
+    const state = {
+        threshold: LEVELS[level],
+        secrets: new Set()
+    };
+
+    // Function to register values (API keys, tokens) that must never appear in a log line
+    function addSecrets(values) {
+        for (const value of values) {
+            if (typeof value === 'string' && value.length >= 8) {
+                state.secrets.add(value);
+            }
+        }
+    }
+
+    addSecrets(secrets);
+
+    function redactString(value) {
+        let result = value;
+        for (const secret of state.secrets) {
+            if (result.includes(secret)) {
+                result = result.split(secret).join(REDACTED);
+            }
+        }
+        result = result
+            .replace(/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`)
+            .replace(/([?&](?:api[-_]?key|token|secret)=)[^&\s"']+/gi, `$1${REDACTED}`);
+        if (result.length > MAX_STRING_LENGTH) {
+            result = `${result.slice(0, MAX_STRING_LENGTH)}… (${result.length - MAX_STRING_LENGTH} more chars)`;
+        }
+        return result;
+    }
+
+    // Function to turn a logged value into plain JSON with sensitive data removed
+    function sanitize(value, depth = 0, seen = new WeakSet()) {
+        if (value === null || value === undefined) return value;
+        if (typeof value === 'string') return redactString(value);
+        if (typeof value === 'bigint') return value.toString();
+        if (typeof value !== 'object') return value;
+
+        if (isKeyMaterial(value) || value.secretKey !== undefined) return REDACTED;
+        if (seen.has(value)) return '[Circular]';
+        if (depth >= MAX_DEPTH) return '[Truncated]';
+        seen.add(value);
+
+        if (value instanceof Error) {
+            return sanitize({
+                name: value.name,
+                message: value.message,
+                ...(value.code !== undefined && { code: value.code }),
+                ...(value.status !== undefined && { status: value.status }),
+                stack: value.stack
+            }, depth, seen);
+        }
+        if (value instanceof Date) return value.toISOString();
+        if (Array.isArray(value)) return value.map(item => sanitize(item, depth + 1, seen));
+        if (typeof value.toBase58 === 'function') return value.toBase58();
+
+        const result = {};
+        for (const [key, entry] of Object.entries(value)) {
+            // Flags such as { apiKey: true } say whether something is configured and are kept
+            const sensitive = SENSITIVE_KEY_PATTERN.test(key) && entry && typeof entry !== 'boolean' && typeof entry !== 'number';
+            result[key] = sensitive ? REDACTED : sanitize(entry, depth + 1, seen);
+        }
+        return result;
+    }
+
+    // Function to render an entry as "HH:MM:SS.mmm LEVEL message key=value ...", with any stack on its own lines
+    function formatPretty(entry) {
+        const { time, level: entryLevel, msg, ...fields } = entry;
+        const stack = fields.error?.stack;
+        if (stack) {
+            fields.error = { ...fields.error };
+            delete fields.error.stack;
+        }
+        const pairs = Object.entries(fields).filter(([, value]) => value !== undefined).map(([key, value]) => {
+            const text = typeof value === 'string' ? value : util.inspect(value, { depth: 4, breakLength: Infinity });
+            return `${key}=${typeof value === 'string' && /\s/.test(text) ? JSON.stringify(text) : text}`;
+        });
+        const line = `${time.slice(11, 23)} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`;
+        return stack ? `${line}\n${stack}` : line;
+    }
+
+    function build(boundFields) {
+        function write(entryLevel, msg, fields) {
+            if (LEVELS[entryLevel] < state.threshold) return;
+
+            // An Error passed as the fields argument is logged under "error"
+            const extra = fields instanceof Error ? { error: fields } : fields;
+            const entry = sanitize({
+                time: new Date().toISOString(),
+                level: entryLevel,
+                msg,
+                ...contextStorage.getStore(),
+                ...boundFields,
+                ...extra
+            });
+            if (entry.error?.stack && LEVELS[entryLevel] < LEVELS.error) {
+                delete entry.error.stack;
+            }
+
+            stream.write(`${format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+        }
+
+        return {
+            debug: (msg, fields) => write('debug', msg, fields),
+            info: (msg, fields) => write('info', msg, fields),
+            warn: (msg, fields) => write('warn', msg, fields),
+            error: (msg, fields) => write('error', msg, fields),
+            isLevelEnabled: entryLevel => LEVELS[entryLevel] >= state.threshold,
+            // Function to create a logger that adds fixed fields (e.g. component) to every line
+            child: fields => build({ ...boundFields, ...fields }),
+            addSecrets
+        };
+    }
+
+    return build(bindings);
+}
+
+// Process-wide logger configured from LOG_LEVEL and LOG_FORMAT (pretty on a terminal, JSON otherwise)
+const logger = createLogger({
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    format: (process.env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json')).toLowerCase(),
+    secrets: sensitiveEnvValues(process.env)
+});
+
+module.exports = {
+    logger,
+    createLogger,
+    withLogContext,
+    setLogContext,
+    sensitiveEnvValues
+};
@@ -0,0 +1,133 @@
+// Minimal Prometheus metrics registry (counters and histograms) rendered in the text exposition format
+
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Function to escape a label value for the text format
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Function to render a label set as {a="1",b="2"}
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Function to normalize an API path into a low-cardinality endpoint label
+// Query strings are dropped and addresses, UUIDs and numeric ids become ":id".
+function normalizeEndpoint(endpoint) {
+    return endpoint.split('?')[0].split('/').map(segment => {
+        if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(segment)) return ':id';
+        if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return ':id';
+        if (/^\d+$/.test(segment)) return ':id';
+        return segment;
+    }).join('/');
+}
+
+// Function to create a metrics registry
+function createMetricsRegistry() {
+    const metrics = [];
+
+    // Function to build the series key for a label set, filling missing labels with ""
+    function seriesLabels(labelNames, labels) {
+        return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    // Function to register a monotonically increasing counter
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+
+        function inc(labels = {}, value = 1) {
+            const normalized = seriesLabels(labelNames, labels);
+            const key = JSON.stringify(normalized);
+            const current = series.get(key) || { labels: normalized, value: 0 };
+            current.value += value;
+            series.set(key, current);
+        }
+
+        function render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+            return lines.join('\n');
+        }
+
+        const metric = { name, inc, render };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Function to register a histogram with cumulative buckets
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        const sortedBuckets = [...buckets].sort((a, b) => a - b);
+
+        function observe(labels = {}, value) {
+            if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+            const normalized = seriesLabels(labelNames, labels);
+            const key = JSON.stringify(normalized);
+            const current = series.get(key) || { labels: normalized, counts: sortedBuckets.map(() => 0), sum: 0, count: 0 };
+            sortedBuckets.forEach((bound, i) => {
+                if (value <= bound) current.counts[i]++;
+            });
+            current.sum += value;
+            current.count++;
+            series.set(key, current);
+        }
+
+        // Function to start timing; call the returned function (optionally with more labels) to observe seconds
+        function startTimer(labels = {}) {
+            const startedAt = process.hrtime.bigint();
+            return (extraLabels = {}) => {
+                observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+            };
+        }
+
+        function render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                sortedBuckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines.join('\n');
+        }
+
+        const metric = { name, observe, startTimer, render };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Function to register a gauge whose value is read when metrics are scraped
+    function gauge(name, help, collect) {
+        const metric = {
+            name,
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+                for (const { labels = {}, value } of collect()) {
+                    lines.push(`${name}${formatLabels(labels)} ${value}`);
+                }
+                return lines.join('\n');
+            }
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Function to render every registered metric
+    function render() {
+        return metrics.map(metric => metric.render()).join('\n\n') + '\n';
+    }
+
+    return { counter, histogram, gauge, render };
+}
+
+module.exports = {
+    normalizeEndpoint,
+    createMetricsRegistry
+};
@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { computeSignature } = require('./webhookAuth');
+const { logger, withLogContext } = require('./logger');
+
+const log = logger.child({ component: 'notifier' });
+
+// Event types and their default severity
+const EVENT_TYPES = {
+    'trade.executed': 'info',
+    'trade.failed': 'error',
+    'risk.rejected': 'warning',
+    'fallback.used': 'warning',
+    'balance.drift': 'warning',
+    'exit.abandoned': 'error',
+    'service.paused': 'critical',
+    'service.resumed': 'info',
+    'test': 'info'
+};
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const SEVERITY_EMOJI = { info: 'ℹ️', warning: '⚠️', error: '❌', critical: '🚨' };
+const TARGET_TYPES = ['webhook', 'slack', 'telegram'];
+const TERMINAL_STATUSES = ['delivered', 'failed'];
+
+const DEFAULT_RATE_LIMIT = { max: 30, windowSeconds: 60 };
+const TELEGRAM_MAX_LENGTH = 4000;
+
+// Function to replace ${NAME} references with environment variables, so webhook URLs and bot tokens stay out of the file
+function expandEnv(value, env, label) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+            if (env[name] === undefined) {
+                throw new Error(`Notifications config ${label}: environment variable ${name} is not set`);
+            }
+            return env[name];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => expandEnv(item, env, label));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, expandEnv(entry, env, label)]));
+    }
+    return value;
+}
+
+// Function to load and validate the notification targets file; no file means notifications are off
+function loadNotificationConfig(filePath, env = process.env) {
+    if (!fs.existsSync(filePath)) {
+        return { targets: [] };
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const names = new Set();
+
+    const targets = (config.targets || []).map((rawTarget, index) => {
+        const label = `targets[${index}]${rawTarget.name ? ` (${rawTarget.name})` : ''}`;
+        const target = expandEnv(rawTarget, env, label);
+
+        if (!target.name || names.has(target.name)) {
+            throw new Error(`Notifications config ${label}: every target needs a unique name`);
+        }
+        names.add(target.name);
+
+        if (!TARGET_TYPES.includes(target.type)) {
+            throw new Error(`Notifications config ${label}: type must be one of ${TARGET_TYPES.join(', ')}`);
+        }
+        if (target.type === 'telegram' ? !(target.botToken && target.chatId) : !target.url) {
+            throw new Error(`Notifications config ${label}: ${target.type === 'telegram' ? 'botToken and chatId are' : 'url is'} required`);
+        }
+
+        const unknownEvents = (target.events || []).filter(type => !EVENT_TYPES[type]);
+        if (unknownEvents.length > 0) {
+            throw new Error(`Notifications config ${label}: unknown events ${unknownEvents.join(', ')}`);
+        }
+        if (target.minSeverity && !SEVERITIES.includes(target.minSeverity)) {
+            throw new Error(`Notifications config ${label}: minSeverity must be one of ${SEVERITIES.join(', ')}`);
+        }
+
+        return {
+            ...target,
+            events: target.events?.length ? target.events : null,
+            agents: target.agents?.length ? target.agents : null,
+            minSeverity: target.minSeverity || 'info',
+            rateLimit: { ...DEFAULT_RATE_LIMIT, ...target.rateLimit }
+        };
+    });
+
+    return { targets };
+}
+
+// Function to render an event's fields as "Label: value" lines
+function fieldLines(event) {
+    return Object.entries(event.fields || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([label, value]) => `${label}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Function to build the HTTP request that delivers an event to a target in its payload format
+function buildRequest(target, event) {
+    const headers = { 'Content-Type': 'application/json', ...target.headers };
+
+    if (target.type === 'slack') {
+        const fields = fieldLines(event);
+        return {
+            url: target.url,
+            headers,
+            body: JSON.stringify({
+                ...(target.channel && { channel: target.channel }),
+                ...(target.username && { username: target.username }),
+                text: `${SEVERITY_EMOJI[event.severity]} ${event.title}`,
+                blocks: [
+                    { type: 'section', text: { type: 'mrkdwn', text: `${SEVERITY_EMOJI[event.severity]} *${event.title}*\n${event.message}` } },
+                    ...(fields.length ? [{ type: 'section', text: { type: 'mrkdwn', text: fields.map(line => `• ${line}`).join('\n') } }] : []),
+                    { type: 'context', elements: [{ type: 'mrkdwn', text: `${event.type} · ${event.severity} · ${event.timestamp}` }] }
+                ]
+            })
+        };
+    }
+
+    if (target.type === 'telegram') {
+        const text = [
+            `${SEVERITY_EMOJI[event.severity]} <b>${escapeHtml(event.title)}</b>`,
+            escapeHtml(event.message),
+            ...fieldLines(event).map(escapeHtml),
+            `<i>${escapeHtml(`${event.type} · ${event.timestamp}`)}</i>`
+        ].join('\n');
+        return {
+            url: `${target.apiBaseUrl || 'https://api.telegram.org'}/bot${target.botToken}/sendMessage`,
+            headers,
+            body: JSON.stringify({
+                chat_id: target.chatId,
+                text: text.length > TELEGRAM_MAX_LENGTH ? `${text.slice(0, TELEGRAM_MAX_LENGTH)}…` : text,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            })
+        };
+    }
+
+    // Generic webhook: the event as JSON, signed like incoming Nexgent webhooks when a secret is set
+    const body = JSON.stringify(event);
+    if (target.secret) {
+        headers['X-Notification-Signature'] = `sha256=${computeSignature(target.secret, body)}`;
+    }
+    return { url: target.url, headers, body };
+}
+
+// Function to create the notifier with a persistent retry queue
+// Events fan out to every target whose filters match; each target has its own rate limit, and failed
+// deliveries are retried with exponential backoff. Notifying never throws into the caller.
+function createNotifier({ targets, filePath, maxAttempts = 5, baseDelayMs = 2000, timeoutMs = 10000, retentionMs, onDelivery = () => {} }) {
+    const targetsByName = new Map(targets.map(target => [target.name, target]));
+    const rateWindows = new Map(targets.map(target => [target.name, []]));
+    const suppressed = new Map(targets.map(target => [target.name, 0]));
+    const deliveries = new Map();
+    let started = false;
+    let draining = false;
+    let timer = null;
+
+    // Webhook URLs and bot tokens are credentials
+    logger.addSecrets(targets.flatMap(target => [target.url, target.botToken, target.secret]));
+
+    for (const snapshot of readJsonLines(filePath)) {
+        deliveries.set(snapshot.id, snapshot);
+    }
+    const cutoff = Date.now() - retentionMs;
+    for (const delivery of Array.from(deliveries.values())) {
+        if (TERMINAL_STATUSES.includes(delivery.status) && Date.parse(delivery.finishedAt) < cutoff) {
+            deliveries.delete(delivery.id);
+        }
+    }
+    writeJsonLines(filePath, Array.from(deliveries.values()));
+
+    const pendingCount = Array.from(deliveries.values()).filter(delivery => delivery.status === 'pending').length;
+    log.info('Notifier loaded', { targets: targets.map(target => `${target.name} (${target.type})`), pending: pendingCount });
+
+    function save(delivery) {
+        deliveries.set(delivery.id, delivery);
+        appendJsonLine(filePath, delivery);
+    }
+
+    // Function to check a target's event, agent and severity filters
+    function matches(target, event) {
+        if (target.events && !target.events.includes(event.type)) return false;
+        if (target.agents && !target.agents.includes(event.agentId)) return false;
+        return SEVERITIES.indexOf(event.severity) >= SEVERITIES.indexOf(target.minSeverity);
+    }
+
+    // Function to take a slot in the target's sliding rate-limit window
+    function takeRateSlot(target) {
+        const now = Date.now();
+        const window = rateWindows.get(target.name).filter(at => now - at < target.rateLimit.windowSeconds * 1000);
+        rateWindows.set(target.name, window);
+        if (window.length >= target.rateLimit.max) {
+            return false;
+        }
+        window.push(now);
+        return true;
+    }
+
+    function enqueue(target, event) {
+        if (!takeRateSlot(target)) {
+            suppressed.set(target.name, suppressed.get(target.name) + 1);
+            onDelivery({ target: target.name, outcome: 'suppressed' });
+            log.warn('Notification suppressed by rate limit', { target: target.name, type: event.type });
+            return false;
+        }
+
+        // The next notification that gets through says how many were dropped before it
+        const dropped = suppressed.get(target.name);
+        suppressed.set(target.name, 0);
+        const payload = dropped > 0
+            ? { ...event, message: `${event.message}\n(${dropped} earlier notification${dropped === 1 ? '' : 's'} suppressed by rate limit)`, suppressed: dropped }
+            : event;
+
+        save({
+            id: crypto.randomUUID(),
+            target: target.name,
+            event: payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString(),
+            lastError: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        });
+        return true;
+    }
+
+    // Function to send an event to every matching target; returns the number of deliveries queued
+    function notify(type, { agentId = null, severity, title, message, fields = {} } = {}) {
+        try {
+            if (!EVENT_TYPES[type]) {
+                throw new Error(`Unknown notification event ${type}`);
+            }
+            const event = {
+                id: crypto.randomUUID(),
+                type,
+                severity: severity || EVENT_TYPES[type],
+                title,
+                message,
+                agentId,
+                fields,
+                timestamp: new Date().toISOString()
+            };
+
+            let queued = 0;
+            for (const target of targets) {
+                if (matches(target, event) && enqueue(target, event)) {
+                    queued++;
+                }
+            }
+            if (queued > 0) schedule();
+            return queued;
+        } catch (error) {
+            log.error('Error queueing notification', { type, error: error.message });
+            return 0;
+        }
+    }
+
+    // Function to send a test event to one target (or all), ignoring filters and rate limits
+    function sendTest(targetName = null) {
+        const selected = targetName ? [targetsByName.get(targetName)].filter(Boolean) : targets;
+        if (targetName && selected.length === 0) {
+            throw new Error(`Unknown notification target: ${targetName}`);
+        }
+        const event = {
+            id: crypto.randomUUID(),
+            type: 'test',
+            severity: 'info',
+            title: 'Test notification',
+            message: 'Notifications from the Jupiter webhook server are working.',
+            agentId: null,
+            fields: {},
+            timestamp: new Date().toISOString()
+        };
+        for (const target of selected) {
+            save({
+                id: crypto.randomUUID(),
+                target: target.name,
+                event,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: event.timestamp,
+                lastError: null,
+                createdAt: event.timestamp,
+                finishedAt: null
+            });
+        }
+        schedule();
+        return selected.map(target => target.name);
+    }
+
+    // Function to make one delivery attempt, scheduling a retry for network errors, 429 and 5xx
+    async function attempt(delivery) {
+        const target = targetsByName.get(delivery.target);
+        const attempts = delivery.attempts + 1;
+
+        if (!target) {
+            save({ ...delivery, status: 'failed', lastError: 'Target no longer configured', finishedAt: new Date().toISOString() });
+            return;
+        }
+
+        let retryable = true;
+        let retryAfterMs = null;
+        let error;
+        try {
+            const request = buildRequest(target, delivery.event);
+            const response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: request.body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (response.ok) {
+                save({ ...delivery, status: 'delivered', attempts, lastError: null, finishedAt: new Date().toISOString() });
+                onDelivery({ target: target.name, outcome: 'delivered' });
+                log.debug('Notification delivered', { target: target.name, type: delivery.event.type, attempts });
+                return;
+            }
+            const text = await response.text().catch(() => '');
+            error = `HTTP ${response.status}${text ? ` - ${text.slice(0, 200)}` : ''}`;
+            retryable = response.status === 429 || response.status >= 500;
+            const retryAfter = parseInt(response.headers.get('retry-after'));
+            retryAfterMs = Number.isNaN(retryAfter) ? null : retryAfter * 1000;
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        if (retryable && attempts < maxAttempts) {
+            const delayMs = retryAfterMs ?? baseDelayMs * Math.pow(2, attempts - 1);
+            save({ ...delivery, attempts, lastError: error, nextAttemptAt: new Date(Date.now() + delayMs).toISOString() });
+            onDelivery({ target: target.name, outcome: 'retry' });
+            log.warn('Notification delivery failed - will retry', { target: target.name, type: delivery.event.type, attempts, delayMs, error });
+            return;
+        }
+
+        save({ ...delivery, status: 'failed', attempts, lastError: error, finishedAt: new Date().toISOString() });
+        onDelivery({ target: target.name, outcome: 'failed' });
+        log.error('Notification delivery failed', { target: target.name, type: delivery.event.type, attempts, error });
+    }
+
+    // Function to deliver every due notification, one at a time
+    async function drain() {
+        draining = true;
+        try {
+            const due = Array.from(deliveries.values())
+                .filter(delivery => delivery.status === 'pending' && Date.parse(delivery.nextAttemptAt) <= Date.now())
+                .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+            for (const delivery of due) {
+                await attempt(delivery);
+            }
+        } finally {
+            draining = false;
+            schedule();
+        }
+    }
+
+    // Function to wake up when the earliest pending delivery is due
+    function schedule() {
+        if (!started || draining) return;
+
+        clearTimeout(timer);
+        const pending = Array.from(deliveries.values()).filter(delivery => delivery.status === 'pending');
+        if (pending.length === 0) return;
+
+        const nextAt = Math.min(...pending.map(delivery => Date.parse(delivery.nextAttemptAt)));
+        // Deliveries log under their own context, not that of the request that happened to schedule them
+        timer = setTimeout(() => withLogContext({}, drain, { inherit: false }), Math.max(0, nextAt - Date.now()));
+        timer.unref();
+    }
+
+    // Function to start delivering (queued notifications from before a restart are sent too)
+    function start() {
+        started = true;
+        schedule();
+    }
+
+    // Function to summarize each target's filters and delivery counts
+    function stats() {
+        return targets.map(target => {
+            const own = Array.from(deliveries.values()).filter(delivery => delivery.target === target.name);
+            const count = status => own.filter(delivery => delivery.status === status).length;
+            return {
+                name: target.name,
+                type: target.type,
+                events: target.events || 'all',
+                agents: target.agents || 'all',
+                minSeverity: target.minSeverity,
+                rateLimit: target.rateLimit,
+                pending: count('pending'),
+                delivered: count('delivered'),
+                failed: count('failed'),
+                suppressedSinceLastDelivery: suppressed.get(target.name)
+            };
+        });
+    }
+
+    // Function to list the most recent deliveries, newest first
+    function recent(limit = 50) {
+        return Array.from(deliveries.values())
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .slice(0, limit);
+    }
+
+    return { enabled: targets.length > 0, notify, sendTest, start, stats, recent };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    loadNotificationConfig,
+    buildRequest,
+    createNotifier
+};
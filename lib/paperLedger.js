@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine } = require('./storage');
+const { logger } = require('./logger');
+const { createPositionBook } = require('./positionLedger');
+
+const log = logger.child({ component: 'paperLedger' });
+
+// Function to create the paper ledger: simulated fills recorded apart from the live trade journal
+function createPaperLedger({ filePath, method }) {
+    const fills = readJsonLines(filePath);
+    const books = new Map();
+
+    function bookFor(agentId) {
+        const key = agentId || 'default';
+        if (!books.has(key)) {
+            books.set(key, createPositionBook(method));
+        }
+        return books.get(key);
+    }
+
+    fills.filter(fill => fill.success).forEach(fill => bookFor(fill.agentId).apply(fill));
+    log.info('Paper ledger loaded', { fills: fills.length, agents: books.size });
+
+    // Function to record a paper trade; only successful ones move the paper positions
+    function record(entry) {
+        const fill = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            ...entry
+        };
+        fills.push(fill);
+        appendJsonLine(filePath, fill);
+        if (fill.success) {
+            bookFor(fill.agentId).apply(fill);
+        }
+        return fill;
+    }
+
+    // Function to list an agent's paper fills, newest first
+    function listFills(agentId, { limit = 100 } = {}) {
+        return fills
+            .filter(fill => (fill.agentId || 'default') === (agentId || 'default'))
+            .slice(-Math.min(parseInt(limit) || 100, 1000))
+            .reverse();
+    }
+
+    // Function to summarize an agent's open paper positions and realized PnL
+    function summary(agentId) {
+        const book = bookFor(agentId);
+        const realized = book.realized();
+        return {
+            positions: book.openPositions(),
+            closedPositions: book.closedPositions(),
+            realizedPnlSol: realized.pnlSol,
+            realizedPnlUsd: realized.pnlUsd
+        };
+    }
+
+    return { record, listFills, summary };
+}
+
+module.exports = {
+    createPaperLedger
+};
@@ -0,0 +1,88 @@
+const { readJsonFile, writeJsonFile } = require('./storage');
+const { logger } = require('./logger');
+
+const PAUSE_MODES = ['reject', 'queue'];
+
+const log = logger.child({ component: 'pauseControl' });
+
+// Function to create the persistent kill switch / per-agent pause controls
+function createPauseControl({ filePath }) {
+    const state = readJsonFile(filePath, { global: null, agents: {} });
+
+    if (state.global) {
+        log.warn('Trading is globally paused', { since: state.global.since, reason: state.global.reason });
+    }
+    Object.entries(state.agents).forEach(([agentId, pause]) => {
+        log.warn('Agent is paused', { agentId, since: pause.since, reason: pause.reason });
+    });
+
+    function save() {
+        writeJsonFile(filePath, state);
+    }
+
+    // Function to pause all trading, or a single agent when agentId is given
+    // source records who paused (admin, or lifecycle for Nexgent agent events) so a Nexgent resume only lifts its own pauses.
+    function pause({ agentId, reason, mode = 'reject', source = 'admin' }) {
+        if (!PAUSE_MODES.includes(mode)) {
+            throw new Error(`Pause mode must be one of: ${PAUSE_MODES.join(', ')}`);
+        }
+
+        const entry = {
+            reason: reason || 'No reason given',
+            mode,
+            source,
+            since: new Date().toISOString()
+        };
+
+        if (agentId) {
+            state.agents[agentId] = entry;
+        } else {
+            state.global = entry;
+        }
+        save();
+
+        log.warn(agentId ? 'Agent paused' : 'All trading paused', { agentId, mode, reason: entry.reason });
+        return entry;
+    }
+
+    // Function to resume all trading, or a single agent; returns false if it wasn't paused
+    function resume({ agentId }) {
+        const wasPaused = agentId ? !!state.agents[agentId] : !!state.global;
+
+        if (agentId) {
+            delete state.agents[agentId];
+        } else {
+            state.global = null;
+        }
+        save();
+
+        log.info(agentId ? 'Agent resumed' : 'All trading resumed', { agentId });
+        return wasPaused;
+    }
+
+    // Function to get the pause that applies to an agent (global pause wins), or null
+    function getPause(agentId) {
+        if (state.global) {
+            return { scope: 'global', ...state.global };
+        }
+        if (agentId && state.agents[agentId]) {
+            return { scope: 'agent', agentId, ...state.agents[agentId] };
+        }
+        return null;
+    }
+
+    // Function to report the full pause state
+    function getState() {
+        return {
+            globalPause: state.global,
+            pausedAgents: state.agents
+        };
+    }
+
+    return { pause, resume, getPause, getState };
+}
+
+module.exports = {
+    PAUSE_MODES,
+    createPauseControl
+};
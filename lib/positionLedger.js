@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'positionLedger' });
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const COST_METHODS = ['fifo', 'average'];
+const FRACTION_SCALE = 1000000n;
+
+// Function to convert lamports to SOL
+function toSol(lamports) {
+    return Number(lamports) / 1e9;
+}
+
+// Function to create one agent's book of positions, built by applying fills in order
+// Token amounts and SOL costs are kept in base units (BigInt); USD costs use the SOL price at the time of each fill
+// and are null when that price was unknown.
+function createPositionBook(method = 'fifo') {
+    if (!COST_METHODS.includes(method)) {
+        throw new Error(`Unknown cost method "${method}" (expected one of: ${COST_METHODS.join(', ')})`);
+    }
+
+    const positions = new Map();
+    const closes = [];
+
+    function positionFor(mint) {
+        if (!positions.has(mint)) {
+            positions.set(mint, {
+                mint,
+                amount: 0n,
+                lots: [],
+                realizedPnlLamports: 0n,
+                realizedPnlUsd: 0,
+                realizedUsdComplete: true,
+                openedAt: null,
+                lastFillAt: null
+            });
+        }
+        return positions.get(mint);
+    }
+
+    // Function to add bought tokens; average cost keeps a single merged lot
+    function open(position, amount, costLamports, costUsd, fill) {
+        if (amount <= 0n) return;
+        if (position.amount === 0n) {
+            position.openedAt = fill.createdAt;
+        }
+        position.amount += amount;
+        const merged = method === 'average' ? position.lots[0] : null;
+        if (merged) {
+            merged.amount += amount;
+            merged.costLamports += costLamports;
+            merged.costUsd = merged.costUsd === null || costUsd === null ? null : merged.costUsd + costUsd;
+        } else {
+            position.lots.push({ amount, costLamports, costUsd, openedAt: fill.createdAt, fillId: fill.id });
+        }
+    }
+
+    // Function to remove tokens from the oldest lots first, returning the cost basis released
+    function release(position, amount) {
+        let remaining = amount;
+        let costLamports = 0n;
+        let costUsd = 0;
+        while (remaining > 0n && position.lots.length > 0) {
+            const lot = position.lots[0];
+            const taken = remaining < lot.amount ? remaining : lot.amount;
+            const lotCost = lot.costLamports * taken / lot.amount;
+            const lotCostUsd = lot.costUsd === null ? null : lot.costUsd * Number(taken) / Number(lot.amount);
+            costLamports += lotCost;
+            costUsd = costUsd === null || lotCostUsd === null ? null : costUsd + lotCostUsd;
+            lot.amount -= taken;
+            lot.costLamports -= lotCost;
+            if (lot.costUsd !== null) lot.costUsd -= lotCostUsd;
+            if (lot.amount === 0n) position.lots.shift();
+            remaining -= taken;
+        }
+        position.amount -= amount - remaining;
+        return { costLamports, costUsd };
+    }
+
+    // Function to apply one executed fill
+    // Exits carry the fraction of the wallet's balance they sold (fill.fraction), so a partial exit closes the same
+    // fraction of the tracked position even when the wallet holds tokens the ledger never saw bought.
+    function apply(fill) {
+        const inAmount = BigInt(fill.inAmount);
+        const outAmount = BigInt(fill.outAmount);
+        let carried = { costLamports: inAmount, costUsd: fill.solPriceUsd ? toSol(inAmount) * fill.solPriceUsd : null };
+
+        if (fill.inputMint !== SOL_MINT) {
+            const sold = positionFor(fill.inputMint);
+            let closed;
+            if (fill.fraction !== null && fill.fraction !== undefined) {
+                closed = fill.fraction >= 0.99
+                    ? sold.amount
+                    : sold.amount * BigInt(Math.round(fill.fraction * Number(FRACTION_SCALE))) / FRACTION_SCALE;
+            } else {
+                closed = inAmount < sold.amount ? inAmount : sold.amount;
+            }
+
+            carried = release(sold, closed);
+            sold.lastFillAt = fill.createdAt;
+            // Only the proceeds of the tracked tokens count towards PnL
+            const attributedOut = closed >= inAmount || inAmount === 0n ? outAmount : outAmount * closed / inAmount;
+
+            if (fill.outputMint === SOL_MINT) {
+                const pnlLamports = attributedOut - carried.costLamports;
+                const pnlUsd = carried.costUsd === null || !fill.solPriceUsd ? null : toSol(attributedOut) * fill.solPriceUsd - carried.costUsd;
+                sold.realizedPnlLamports += pnlLamports;
+                if (pnlUsd === null) {
+                    sold.realizedUsdComplete = false;
+                } else {
+                    sold.realizedPnlUsd += pnlUsd;
+                }
+                closes.push({
+                    fillId: fill.id,
+                    tradeId: fill.tradeId || null,
+                    mint: fill.inputMint,
+                    amount: closed.toString(),
+                    untrackedAmount: (inAmount > closed ? inAmount - closed : 0n).toString(),
+                    proceedsSol: toSol(attributedOut),
+                    costSol: toSol(carried.costLamports),
+                    pnlSol: toSol(pnlLamports),
+                    pnlUsd,
+                    closedAt: fill.createdAt
+                });
+            }
+            // Token-to-token swaps carry the released cost of what was sold over to what was bought
+        }
+
+        if (fill.outputMint !== SOL_MINT) {
+            const bought = positionFor(fill.outputMint);
+            open(bought, outAmount, carried.costLamports, carried.costUsd, fill);
+            bought.lastFillAt = fill.createdAt;
+        }
+    }
+
+    // Function to describe a position (amounts as base-unit strings, SOL and USD as numbers)
+    function describe(position) {
+        const costLamports = position.lots.reduce((total, lot) => total + lot.costLamports, 0n);
+        const costUsd = position.lots.reduce((total, lot) => (total === null || lot.costUsd === null ? null : total + lot.costUsd), 0);
+        return {
+            mint: position.mint,
+            amount: position.amount.toString(),
+            costSol: toSol(costLamports),
+            costUsd,
+            lots: position.lots.length,
+            openedAt: position.openedAt,
+            lastFillAt: position.lastFillAt,
+            realizedPnlSol: toSol(position.realizedPnlLamports),
+            realizedPnlUsd: position.realizedUsdComplete ? position.realizedPnlUsd : null
+        };
+    }
+
+    // Function to list open positions
+    function openPositions() {
+        return Array.from(positions.values()).filter(position => position.amount > 0n).map(describe);
+    }
+
+    // Function to list positions that were fully closed
+    function closedPositions() {
+        return Array.from(positions.values()).filter(position => position.amount === 0n).map(describe);
+    }
+
+    // Function to total realized PnL over a time window, per mint and overall
+    function realized({ from = null, to = null } = {}) {
+        const inWindow = closes.filter(close => (from === null || Date.parse(close.closedAt) >= from)
+            && (to === null || Date.parse(close.closedAt) <= to));
+        const byMint = new Map();
+        for (const close of inWindow) {
+            const total = byMint.get(close.mint) || { mint: close.mint, closes: 0, pnlSol: 0, pnlUsd: 0 };
+            total.closes += 1;
+            total.pnlSol += close.pnlSol;
+            total.pnlUsd = total.pnlUsd === null || close.pnlUsd === null ? null : total.pnlUsd + close.pnlUsd;
+            byMint.set(close.mint, total);
+        }
+        const tokens = Array.from(byMint.values());
+        return {
+            pnlSol: tokens.reduce((total, token) => total + token.pnlSol, 0),
+            pnlUsd: tokens.reduce((total, token) => (total === null || token.pnlUsd === null ? null : total + token.pnlUsd), 0),
+            tokens,
+            closes: inWindow
+        };
+    }
+
+    return { apply, openPositions, closedPositions, realized };
+}
+
+// Function to create the persistent position ledger: executed fills per agent, replayed into position books on load
+// seedFills() supplies the initial fills (e.g. from the trade journal) the first time the ledger file is created.
+function createPositionLedger({ filePath, method, seedFills = () => [] }) {
+    const books = new Map();
+    let fills;
+
+    if (fs.existsSync(filePath)) {
+        // Keep the latest snapshot of each fill (a fill priced after it was recorded is appended again), in fill order
+        const byId = new Map();
+        readJsonLines(filePath).forEach(fill => byId.set(fill.id, fill));
+        fills = Array.from(byId.values());
+        writeJsonLines(filePath, fills);
+    } else {
+        fills = seedFills().map(fill => ({ id: crypto.randomUUID(), ...fill }));
+        fills.forEach(fill => appendJsonLine(filePath, fill));
+        if (fills.length > 0) {
+            log.info('Position ledger seeded from past trades', { fills: fills.length });
+        }
+    }
+
+    function bookFor(agentId) {
+        const key = agentId || 'default';
+        if (!books.has(key)) {
+            books.set(key, createPositionBook(method));
+        }
+        return books.get(key);
+    }
+
+    fills.forEach(fill => bookFor(fill.agentId).apply(fill));
+    log.info('Position ledger loaded', { fills: fills.length, agents: books.size, method });
+
+    // Function to record an executed fill and apply it to the agent's positions
+    function record(entry) {
+        const fill = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            ...entry
+        };
+        fills.push(fill);
+        appendJsonLine(filePath, fill);
+        bookFor(fill.agentId).apply(fill);
+        return fill;
+    }
+
+    // Function to set the SOL price of a fill recorded before one was known, replaying the agent's positions with it
+    function priceFill(fillId, solPriceUsd) {
+        const fill = fills.find(candidate => candidate.id === fillId);
+        if (!fill || fill.solPriceUsd || !solPriceUsd) {
+            return null;
+        }
+        fill.solPriceUsd = solPriceUsd;
+        appendJsonLine(filePath, fill);
+
+        const key = fill.agentId || 'default';
+        books.set(key, createPositionBook(method));
+        fills.filter(candidate => (candidate.agentId || 'default') === key).forEach(candidate => bookFor(key).apply(candidate));
+        return fill;
+    }
+
+    return {
+        method,
+        record,
+        priceFill,
+        book: bookFor
+    };
+}
+
+module.exports = {
+    COST_METHODS,
+    createPositionBook,
+    createPositionLedger
+};
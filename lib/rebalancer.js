@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'rebalancer' });
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+// Settings that can be set globally and overridden per agent; null disables a cap
+const DEFAULT_SETTINGS = {
+    minDriftPct: 1, // Ignore excess smaller than this percentage of the virtual balance
+    dustMinSol: 0.001, // Ignore excess whose quoted value is below this many SOL
+    maxTradeSol: null, // Sell at most this many SOL worth of a token per run
+    maxTradesPerRun: 5, // Largest excesses first
+    excludeTokens: [] // Mints that are never rebalanced
+};
+
+// Function to load and validate the rebalance settings file; no file means the defaults
+function loadRebalanceConfig(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { settings: { ...DEFAULT_SETTINGS }, agents: {} };
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const checkFields = (settings, label) => {
+        for (const [field, value] of Object.entries(settings)) {
+            if (!(field in DEFAULT_SETTINGS)) {
+                throw new Error(`Rebalance config ${label}: unknown setting ${field}`);
+            }
+            if (field === 'excludeTokens') {
+                if (!Array.isArray(value)) {
+                    throw new Error(`Rebalance config ${label}: excludeTokens must be an array of mints`);
+                }
+            } else if (value !== null && (typeof value !== 'number' || value < 0)) {
+                throw new Error(`Rebalance config ${label}: ${field} must be a non-negative number or null`);
+            }
+        }
+    };
+
+    checkFields(config.settings || {}, 'settings');
+    Object.entries(config.agents || {}).forEach(([agentId, settings]) => checkFields(settings, `agents.${agentId}`));
+
+    return { settings: { ...DEFAULT_SETTINGS, ...config.settings }, agents: config.agents || {} };
+}
+
+// Function to list the tokens a snapshot says the wallet holds too much of, with the reason any is left alone
+// SOL is never sold off: it is what excess tokens are sold into, and it pays the fees.
+function findExcessTokens(snapshot, settings, tokens = null) {
+    return snapshot.comparison
+        .filter(entry => entry.status === 'ACTUAL_HIGHER')
+        .filter(entry => !tokens || tokens.includes(entry.token))
+        .map(entry => {
+            const candidate = {
+                token: entry.token,
+                symbol: entry.symbol,
+                virtual: entry.virtual,
+                actual: entry.actual,
+                excess: entry.difference,
+                driftPct: entry.driftPct
+            };
+            if (entry.token === SOL_MINT) {
+                return { ...candidate, action: 'SKIP', reason: 'SOL is the rebalance quote currency' };
+            }
+            if (settings.excludeTokens.includes(entry.token)) {
+                return { ...candidate, action: 'SKIP', reason: 'Token is excluded from rebalancing' };
+            }
+            if (entry.driftPct !== null && entry.driftPct < settings.minDriftPct) {
+                return { ...candidate, action: 'SKIP', reason: `Drift ${entry.driftPct.toFixed(2)}% is below the ${settings.minDriftPct}% minimum` };
+            }
+            return { ...candidate, action: 'SELL', reason: null };
+        });
+}
+
+// Function to create the rebalancer that sells off tokens the wallet holds beyond the agent's virtual balance
+// Every run is persisted (plan, then the trade results) so dry runs and executions leave an audit trail.
+// getWalletAgents(agentId) lists the agents trading from the agent's wallet: a wallet shared with other agents
+// holds their tokens too, so it is never rebalanced on behalf of one of them.
+function createRebalancer({ config, filePath, retentionMs, reconcile, getDecimals, quoteSell, checkQuote, getPause, getWalletAgents, executeSell }) {
+    const runs = new Map();
+    const activeAgents = new Set();
+
+    // Load persisted runs, keeping only the latest snapshot of each
+    for (const run of readJsonLines(filePath)) {
+        runs.set(run.id, run);
+    }
+
+    const cutoff = Date.now() - retentionMs;
+    for (const run of Array.from(runs.values())) {
+        if (TERMINAL_STATUSES.includes(run.status) && Date.parse(run.finishedAt) < cutoff) {
+            runs.delete(run.id);
+            continue;
+        }
+        if (run.status === 'running') {
+            // The process died mid-run - some sells may have landed, the trade journal has the details
+            run.status = 'failed';
+            run.error = 'INTERRUPTED: server restarted while this rebalance was running - check the trade journal and reconcile again';
+            run.finishedAt = new Date().toISOString();
+        }
+    }
+
+    writeJsonLines(filePath, Array.from(runs.values()));
+    log.info('Rebalance history loaded', { runs: runs.size });
+
+    function save(run) {
+        runs.set(run.id, run);
+        appendJsonLine(filePath, run);
+    }
+
+    // Function to merge global settings with an agent's overrides
+    function settingsFor(agentId) {
+        return { ...config.settings, ...(config.agents[agentId] || {}) };
+    }
+
+    // Function to size and quote one excess token, applying the dust minimum, the per-trade cap and the quote risk checks
+    async function planSell(agentId, candidate, settings) {
+        let decimals;
+        try {
+            decimals = await getDecimals(candidate.token);
+        } catch (error) {
+            return { ...candidate, action: 'SKIP', reason: error.message };
+        }
+
+        let amount = Math.floor(candidate.excess * Math.pow(10, decimals));
+        if (amount <= 0) {
+            return { ...candidate, action: 'SKIP', reason: 'Excess is smaller than one base unit' };
+        }
+
+        let order = await quoteSell(agentId, candidate.token, amount);
+        let estimatedOutSol = Number(order.outAmount) / Math.pow(10, 9);
+        let capped = false;
+
+        if (estimatedOutSol < settings.dustMinSol) {
+            return { ...candidate, amount: String(amount), decimals, estimatedOutSol, action: 'SKIP', reason: `Excess is worth ${estimatedOutSol} SOL, below the ${settings.dustMinSol} SOL dust minimum` };
+        }
+
+        if (settings.maxTradeSol !== null && estimatedOutSol > settings.maxTradeSol) {
+            amount = Math.floor(amount * settings.maxTradeSol / estimatedOutSol);
+            order = await quoteSell(agentId, candidate.token, amount);
+            estimatedOutSol = Number(order.outAmount) / Math.pow(10, 9);
+            capped = true;
+        }
+
+        const planned = {
+            ...candidate,
+            amount: String(amount),
+            amountUi: amount / Math.pow(10, decimals),
+            decimals,
+            estimatedOutSol,
+            priceImpactPct: order.priceImpactPct ?? null,
+            capped
+        };
+
+        const rejection = await checkQuote(agentId, candidate.token, order);
+        if (rejection) {
+            return { ...planned, action: 'SKIP', reason: `RISK_REJECTED (${rejection.rule}): ${rejection.message}`, risk: rejection };
+        }
+        return planned;
+    }
+
+    // Function to build the plan for an agent from a fresh reconciliation
+    async function buildPlan(agentId, settings, tokens) {
+        const snapshot = await reconcile(agentId);
+        if (snapshot.error) {
+            throw new Error(`Reconciliation failed: ${snapshot.error}`);
+        }
+
+        const plan = [];
+        for (const candidate of findExcessTokens(snapshot, settings, tokens)) {
+            if (candidate.action !== 'SELL') {
+                plan.push(candidate);
+                continue;
+            }
+            try {
+                plan.push(await planSell(agentId, candidate, settings));
+            } catch (error) {
+                plan.push({ ...candidate, action: 'SKIP', reason: `Quote failed: ${error.message}` });
+            }
+        }
+
+        // Biggest excesses first, within the per-run trade limit
+        const sells = plan.filter(entry => entry.action === 'SELL').sort((a, b) => b.estimatedOutSol - a.estimatedOutSol);
+        sells.slice(settings.maxTradesPerRun ?? sells.length).forEach(entry => {
+            entry.action = 'SKIP';
+            entry.reason = `Over the ${settings.maxTradesPerRun} trades per run limit`;
+        });
+
+        return { snapshot, plan };
+    }
+
+    // Function to plan (dry run) or execute a rebalance for an agent, optionally limited to some token mints
+    async function run(agentId, { execute = false, tokens = null, requestedBy = null } = {}) {
+        if (activeAgents.has(agentId)) {
+            const error = new Error(`REBALANCE_IN_PROGRESS: a rebalance for agent ${agentId} is already running`);
+            error.code = 'REBALANCE_IN_PROGRESS';
+            throw error;
+        }
+
+        const walletAgents = getWalletAgents(agentId);
+        if (walletAgents.length > 1) {
+            const error = new Error(`WALLET_SHARED: agent ${agentId} shares its wallet with ${walletAgents.filter(id => id !== agentId).join(', ')} - their tokens would be sold as excess`);
+            error.code = 'WALLET_SHARED';
+            error.agents = walletAgents;
+            throw error;
+        }
+
+        const pause = execute ? getPause(agentId) : null;
+        if (pause) {
+            const error = new Error(`PAUSED: trading is paused for ${pause.scope === 'global' ? 'all agents' : `agent ${agentId}`}`);
+            error.code = 'PAUSED';
+            error.pause = pause;
+            throw error;
+        }
+
+        activeAgents.add(agentId);
+        const settings = settingsFor(agentId);
+        const rebalance = {
+            id: crypto.randomUUID(),
+            agentId,
+            mode: execute ? 'execute' : 'dry-run',
+            status: 'running',
+            requestedBy,
+            tokens,
+            settings,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            const { snapshot, plan } = await buildPlan(agentId, settings, tokens);
+            rebalance.snapshotId = snapshot.id;
+            rebalance.plan = plan;
+            save(rebalance);
+
+            log.info('Rebalance planned', {
+                rebalanceId: rebalance.id,
+                agentId,
+                mode: rebalance.mode,
+                sells: plan.filter(entry => entry.action === 'SELL').length,
+                skipped: plan.filter(entry => entry.action === 'SKIP').length
+            });
+
+            if (execute) {
+                rebalance.results = [];
+                for (const entry of plan.filter(item => item.action === 'SELL')) {
+                    const result = await executeSell({ agentId, rebalanceId: rebalance.id, tokenMint: entry.token, symbol: entry.symbol, amount: entry.amount });
+                    rebalance.results.push({
+                        token: entry.token,
+                        symbol: entry.symbol,
+                        amount: entry.amount,
+                        success: !!result.success,
+                        status: result.status || null,
+                        tradeId: result.tradeId || null,
+                        paperFillId: result.paperFillId || null,
+                        signature: result.signature || null,
+                        error: result.error || null
+                    });
+                    save(rebalance);
+                }
+
+                // Reconcile again so the audit trail shows where the balances ended up
+                rebalance.snapshotAfterId = (await reconcile(agentId)).id;
+            }
+
+            rebalance.status = 'completed';
+        } catch (error) {
+            log.error('Rebalance failed', { rebalanceId: rebalance.id, agentId, error });
+            rebalance.status = 'failed';
+            rebalance.error = error.message;
+        } finally {
+            activeAgents.delete(agentId);
+        }
+
+        rebalance.finishedAt = new Date().toISOString();
+        save(rebalance);
+        return rebalance;
+    }
+
+    // Function to get a rebalance run by id
+    function get(id) {
+        return runs.get(id) || null;
+    }
+
+    // Function to list rebalance runs, newest first
+    function list({ agentId = null, limit = 50 } = {}) {
+        return Array.from(runs.values())
+            .filter(item => !agentId || item.agentId === agentId)
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .slice(0, Math.min(parseInt(limit) || 50, 500));
+    }
+
+    return { settingsFor, run, get, list };
+}
+
+module.exports = {
+    loadRebalanceConfig,
+    findExcessTokens,
+    createRebalancer
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger, withLogContext } = require('./logger');
+
+const log = logger.child({ component: 'reconciler' });
+
+// Differences smaller than this (in UI units) count as matched
+const MATCH_TOLERANCE = 0.001;
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+
+// Function to build one token's comparison row
+// driftPct is the difference as a percentage of the virtual balance; null when the virtual balance is zero.
+function compareToken(symbol, token, virtual, actual) {
+    const difference = actual - virtual;
+    let diffPercent;
+    if (virtual > 0) {
+        diffPercent = `${((difference / virtual) * 100).toFixed(2)}%`;
+    } else {
+        diffPercent = actual > 0 ? '∞%' : '0%';
+    }
+
+    return {
+        symbol: symbol || null,
+        token,
+        virtual,
+        actual,
+        difference,
+        diffPercent,
+        driftPct: virtual > 0 ? Math.abs(difference) / virtual * 100 : (actual > 0 ? null : 0),
+        status: Math.abs(difference) < MATCH_TOLERANCE ? 'MATCHED' : (difference > 0 ? 'ACTUAL_HIGHER' : 'VIRTUAL_HIGHER')
+    };
+}
+
+// Function to compare an agent's virtual balances with its wallet's normalized holdings, token by token
+// Tokens the wallet holds but the virtual agent doesn't know about are included with a virtual balance of 0.
+function compareBalances(virtualBalances, holdings, resolveSymbol = () => null) {
+    const comparison = [];
+    const matchedMints = new Set();
+
+    for (const virtualToken of virtualBalances.balances || []) {
+        // Match by mint, falling back to the symbol the metadata cache knows for a held mint
+        let holding = holdings.get(virtualToken.token);
+        if (!holding && virtualToken.symbol) {
+            holding = Array.from(holdings.values()).find(candidate =>
+                resolveSymbol(candidate.mint)?.toLowerCase() === virtualToken.symbol.toLowerCase());
+        }
+        if (holding) {
+            matchedMints.add(holding.mint);
+        }
+        comparison.push(compareToken(virtualToken.symbol, holding?.mint || virtualToken.token, virtualToken.balance, holding ? holding.uiAmount : 0));
+    }
+
+    for (const holding of holdings.values()) {
+        if (!matchedMints.has(holding.mint) && holding.uiAmount > 0) {
+            comparison.push(compareToken(resolveSymbol(holding.mint), holding.mint, 0, holding.uiAmount));
+        }
+    }
+
+    return comparison;
+}
+
+// Function to add up the virtual balances of the agents trading from one wallet, token by token
+function sumVirtualBalances(virtualBalancesList) {
+    const byToken = new Map();
+    for (const virtualBalances of virtualBalancesList) {
+        for (const entry of virtualBalances.balances || []) {
+            const total = byToken.get(entry.token) || { token: entry.token, symbol: entry.symbol, balance: 0, value_usd: 0 };
+            total.balance += entry.balance || 0;
+            total.value_usd += entry.value_usd || 0;
+            byToken.set(entry.token, total);
+        }
+    }
+    const balances = Array.from(byToken.values());
+    return { balances, total_value_usd: balances.reduce((total, entry) => total + entry.value_usd, 0) };
+}
+
+// Function to check whether a comparison row is over the drift threshold
+function isDrifted(entry, thresholdPct) {
+    return entry.status !== 'MATCHED' && (entry.driftPct === null || entry.driftPct > thresholdPct);
+}
+
+// Function to count comparison rows by status
+function summarizeComparison(comparison, thresholdPct) {
+    return {
+        totalTokens: comparison.length,
+        matched: comparison.filter(entry => entry.status === 'MATCHED').length,
+        actualHigher: comparison.filter(entry => entry.status === 'ACTUAL_HIGHER').length,
+        virtualHigher: comparison.filter(entry => entry.status === 'VIRTUAL_HIGHER').length,
+        drifted: comparison.filter(entry => isDrifted(entry, thresholdPct)).length
+    };
+}
+
+// Function to create the scheduled virtual-vs-actual reconciler with persistent drift snapshots
+// A wallet shared by several agents is compared with their combined virtual balances: fetchBalances(agentId)
+// returns the agents it summed, and a run reconciles each wallet once. A token alerts when it first crosses the
+// threshold, and again every realertMs while it stays drifted.
+function createReconciler({ filePath, intervalMs, driftThresholdPct, realertMs, retentionMs, listAgents, fetchBalances, resolveSymbol, onDrift }) {
+    const cutoff = Date.now() - retentionMs;
+    const snapshots = readJsonLines(filePath).filter(snapshot => Date.parse(snapshot.timestamp) >= cutoff);
+    writeJsonLines(filePath, snapshots);
+
+    const lastAlerts = new Map();
+    let running = null;
+    let timer = null;
+
+    log.info('Reconciliation history loaded', { snapshots: snapshots.length });
+
+    function save(snapshot) {
+        snapshots.push(snapshot);
+        appendJsonLine(filePath, snapshot);
+    }
+
+    // Function to pick the drifted tokens that are due an alert, and remember which tokens are drifted
+    // Keyed by wallet, so reconciling any of the agents sharing it doesn't alert the same drift twice.
+    function tokensToAlert(walletKey, drifted) {
+        const now = Date.now();
+        const driftedKeys = new Set(drifted.map(entry => `${walletKey}:${entry.token}`));
+
+        // Tokens back under the threshold alert again the next time they drift
+        for (const key of Array.from(lastAlerts.keys())) {
+            if (key.startsWith(`${walletKey}:`) && !driftedKeys.has(key)) {
+                lastAlerts.delete(key);
+            }
+        }
+
+        return drifted.filter(entry => {
+            const key = `${walletKey}:${entry.token}`;
+            const lastAlertAt = lastAlerts.get(key);
+            if (lastAlertAt && now - lastAlertAt < realertMs) {
+                return false;
+            }
+            lastAlerts.set(key, now);
+            return true;
+        });
+    }
+
+    // Function to reconcile one agent now, storing and returning the snapshot
+    async function reconcile(agentId) {
+        const base = { id: crypto.randomUUID(), agentId, timestamp: new Date().toISOString(), driftThresholdPct };
+
+        let balances;
+        try {
+            balances = await fetchBalances(agentId);
+        } catch (error) {
+            const snapshot = { ...base, wallet: null, error: error.message, comparison: [], summary: null, drifted: [] };
+            save(snapshot);
+            log.warn('Reconciliation failed', { agentId, error: error.message });
+            return snapshot;
+        }
+
+        const comparison = compareBalances(balances.virtualBalances, balances.holdings, resolveSymbol);
+        const drifted = comparison.filter(entry => isDrifted(entry, driftThresholdPct));
+        const snapshot = {
+            ...base,
+            wallet: balances.wallet,
+            agents: balances.agents || [agentId],
+            error: null,
+            comparison,
+            summary: summarizeComparison(comparison, driftThresholdPct),
+            drifted: drifted.map(entry => entry.token)
+        };
+        save(snapshot);
+
+        log.info('Reconciled agent balances', { agentId, wallet: snapshot.wallet, agents: snapshot.agents.length, ...snapshot.summary });
+
+        const alerting = tokensToAlert(snapshot.wallet || agentId, drifted);
+        if (alerting.length > 0) {
+            onDrift(snapshot, alerting);
+        }
+        return snapshot;
+    }
+
+    // Function to reconcile every agent one after another (a run still in progress is reused)
+    function runAll() {
+        if (!running) {
+            running = (async () => {
+                const agentIds = listAgents();
+                const covered = new Set();
+                for (const agentId of agentIds) {
+                    if (covered.has(agentId)) continue; // Already reconciled with another agent on its wallet
+                    const snapshot = await withLogContext({ agentId }, () => reconcile(agentId));
+                    (snapshot.agents || [agentId]).forEach(id => covered.add(id));
+                }
+                return agentIds.length;
+            })().finally(() => { running = null; });
+        }
+        return running;
+    }
+
+    // Function to start the schedule; the first run happens immediately
+    function start() {
+        if (!intervalMs) {
+            log.info('Scheduled reconciliation disabled');
+            return;
+        }
+        const run = () => withLogContext({ job: 'reconciliation' }, runAll, { inherit: false })
+            .catch(error => log.error('Scheduled reconciliation failed', { error }));
+        run();
+        timer = setInterval(run, intervalMs);
+        timer.unref();
+    }
+
+    // Function to list an agent's snapshots (including those of its wallet taken for another agent), newest first
+    function history(agentId, { since = null, until = null, limit } = {}) {
+        const pageSize = Math.min(parseInt(limit) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+        const sinceMs = since ? Date.parse(since) : null;
+        const untilMs = until ? Date.parse(until) : null;
+
+        return snapshots
+            .filter(snapshot => (snapshot.agentId === agentId || (snapshot.agents || []).includes(agentId))
+                && (sinceMs === null || Date.parse(snapshot.timestamp) >= sinceMs)
+                && (untilMs === null || Date.parse(snapshot.timestamp) <= untilMs))
+            .slice(-pageSize)
+            .reverse();
+    }
+
+    // Function to get the most recent snapshot of every agent
+    function latest() {
+        const byAgent = new Map();
+        snapshots.forEach(snapshot => byAgent.set(snapshot.agentId, snapshot));
+        return Array.from(byAgent.values());
+    }
+
+    return { reconcile, runAll, start, history, latest };
+}
+
+module.exports = {
+    compareBalances,
+    sumVirtualBalances,
+    summarizeComparison,
+    createReconciler
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+
+// Limits that can be set globally and overridden per agent; null disables a limit
+const LIMIT_FIELDS = [
+    'maxTradeSol',
+    'maxTradeUsd',
+    'maxDailySpendSol',
+    'maxOpenPositions',
+    'maxPriceImpactPct',
+    'maxExitPriceImpactPct',
+    'minSolReserve',
+    'tokenAllowlist',
+    'tokenDenylist'
+];
+
+// Function to load and validate the risk limits file
+function loadRiskConfig(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const checkFields = (limits, label) => {
+        const unknownFields = Object.keys(limits).filter(field => !LIMIT_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            throw new Error(`Risk config ${label}: unknown limits ${unknownFields.join(', ')}`);
+        }
+    };
+
+    checkFields(config.limits || {}, 'limits');
+    Object.entries(config.agents || {}).forEach(([agentId, limits]) => checkFields(limits, `agents.${agentId}`));
+
+    return { limits: config.limits || {}, agents: config.agents || {} };
+}
+
+// Function to build a structured rejection naming the rule that blocked the trade
+function reject(rule, message, limit, actual) {
+    return { rule, message, limit, actual };
+}
+
+// Function to create the pre-trade risk manager
+// Spending limits (size, daily spend, open positions, reserve, token lists) only apply to buys so that
+// positions can always be exited; price impact applies to every trade. Forced exits (stop-losses, liquidations)
+// are capped by maxExitPriceImpactPct instead, since a crashing thin market is exactly when they must go through.
+// Setting maxExitPriceImpactPct to null turns that cap off on purpose: forced exits then sell at any price impact.
+function createRiskManager({ config, getSolBalance, getHeldTokenMints, getDailySpendSol, getSolPriceUsd }) {
+    // Function to merge global limits with an agent's overrides
+    function limitsFor(agentId) {
+        return { ...config.limits, ...(config.agents[agentId] || {}) };
+    }
+
+    // Function to check a trade before any order is requested
+    async function checkPreTrade({ agentId, direction, tokenMint, sizeSol }) {
+        const limits = limitsFor(agentId);
+
+        if (direction !== 'buy') {
+            return null;
+        }
+
+        if (limits.tokenDenylist?.includes(tokenMint)) {
+            return reject('tokenDenylist', `Token ${tokenMint} is on the deny list`, limits.tokenDenylist, tokenMint);
+        }
+
+        if (limits.tokenAllowlist?.length > 0 && !limits.tokenAllowlist.includes(tokenMint)) {
+            return reject('tokenAllowlist', `Token ${tokenMint} is not on the allow list`, limits.tokenAllowlist, tokenMint);
+        }
+
+        const spendsSol = sizeSol !== null && sizeSol !== undefined;
+
+        if (limits.maxTradeSol != null && spendsSol && sizeSol > limits.maxTradeSol) {
+            return reject('maxTradeSol', `Trade size ${sizeSol} SOL exceeds max ${limits.maxTradeSol} SOL per order`, limits.maxTradeSol, sizeSol);
+        }
+
+        if (limits.maxDailySpendSol != null && spendsSol) {
+            const spentToday = await getDailySpendSol(agentId);
+            if (spentToday + sizeSol > limits.maxDailySpendSol) {
+                return reject(
+                    'maxDailySpendSol',
+                    `Agent ${agentId} has spent ${spentToday} SOL today; ${sizeSol} SOL more exceeds the daily max ${limits.maxDailySpendSol} SOL`,
+                    limits.maxDailySpendSol,
+                    spentToday + sizeSol
+                );
+            }
+        }
+
+        if (limits.maxOpenPositions != null) {
+            const heldMints = await getHeldTokenMints(agentId);
+            if (!heldMints.includes(tokenMint) && heldMints.length >= limits.maxOpenPositions) {
+                return reject(
+                    'maxOpenPositions',
+                    `Already holding ${heldMints.length} positions (max ${limits.maxOpenPositions})`,
+                    limits.maxOpenPositions,
+                    heldMints.length
+                );
+            }
+        }
+
+        if (limits.minSolReserve != null && spendsSol) {
+            const solBalance = await getSolBalance(agentId);
+            if (solBalance - sizeSol < limits.minSolReserve) {
+                return reject(
+                    'minSolReserve',
+                    `Trade would leave ${(solBalance - sizeSol).toFixed(6)} SOL, below the ${limits.minSolReserve} SOL fee reserve`,
+                    limits.minSolReserve,
+                    solBalance - sizeSol
+                );
+            }
+        }
+
+        return null;
+    }
+
+    // Function to check a trade against its quote (priceImpactPct is a fraction, limits are in percent)
+    async function checkQuote({ agentId, direction, sizeSol, forcedExit = false }, orderResponse) {
+        const limits = limitsFor(agentId);
+        const impactRule = forcedExit ? 'maxExitPriceImpactPct' : 'maxPriceImpactPct';
+
+        if (limits[impactRule] != null && orderResponse.priceImpactPct !== undefined) {
+            const impactPct = Math.abs(parseFloat(orderResponse.priceImpactPct)) * 100;
+            if (impactPct > limits[impactRule]) {
+                return reject(
+                    impactRule,
+                    `Quoted price impact ${impactPct.toFixed(2)}% exceeds max ${limits[impactRule]}%${forcedExit ? ' for forced exits' : ''}`,
+                    limits[impactRule],
+                    impactPct
+                );
+            }
+        }
+
+        return checkTradeUsd({ agentId, direction, sizeSol }, orderResponse);
+    }
+
+    // Function to check a buy's quoted USD value against maxTradeUsd (a sliced order is checked whole, before its slices)
+    async function checkTradeUsd({ agentId, direction, sizeSol }, orderResponse) {
+        const limits = limitsFor(agentId);
+
+        if (direction === 'buy' && limits.maxTradeUsd != null) {
+            let usdValue = parseFloat(orderResponse.swapUsdValue ?? orderResponse.inUsdValue);
+
+            if (Number.isNaN(usdValue) && sizeSol !== null && sizeSol !== undefined) {
+                usdValue = sizeSol * await getSolPriceUsd();
+            }
+
+            if (Number.isNaN(usdValue)) {
+                return reject('maxTradeUsd', 'Could not determine the USD value of this trade', limits.maxTradeUsd, null);
+            }
+
+            if (usdValue > limits.maxTradeUsd) {
+                return reject(
+                    'maxTradeUsd',
+                    `Trade value $${usdValue.toFixed(2)} exceeds max $${limits.maxTradeUsd} per order`,
+                    limits.maxTradeUsd,
+                    usdValue
+                );
+            }
+        }
+
+        return null;
+    }
+
+    return { limitsFor, checkPreTrade, checkQuote, checkTradeUsd };
+}
+
+module.exports = {
+    loadRiskConfig,
+    createRiskManager
+};
@@ -0,0 +1,186 @@
+const bs58 = require('bs58');
+const { VersionedTransaction, Transaction } = require('@solana/web3.js');
+const { logger } = require('./logger');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+const log = logger.child({ component: 'settlement' });
+
+// Function to sum an owner's token balances per mint from a transaction's token balance list
+function sumTokenBalances(tokenBalances, owner) {
+    const totals = new Map();
+    for (const balance of tokenBalances || []) {
+        if (balance.owner !== owner) continue;
+        const amount = BigInt(balance.uiTokenAmount.amount);
+        totals.set(balance.mint, (totals.get(balance.mint) || 0n) + amount);
+    }
+    return totals;
+}
+
+// Function to compute the owner's per-mint balance deltas (base units) from transaction meta
+function parseBalanceDeltas(transaction, owner) {
+    const meta = transaction.meta;
+    const pre = sumTokenBalances(meta.preTokenBalances, owner);
+    const post = sumTokenBalances(meta.postTokenBalances, owner);
+    const deltas = new Map();
+
+    for (const mint of new Set([...pre.keys(), ...post.keys()])) {
+        deltas.set(mint, (post.get(mint) || 0n) - (pre.get(mint) || 0n));
+    }
+
+    // Native SOL moves through the owner's system account; add the fee back so it isn't counted as fill
+    const message = transaction.transaction.message;
+    const accountKeys = message.staticAccountKeys || message.accountKeys;
+    const ownerIndex = accountKeys.findIndex(key => key.toString() === owner);
+
+    if (ownerIndex !== -1) {
+        const nativeDelta = BigInt(meta.postBalances[ownerIndex]) - BigInt(meta.preBalances[ownerIndex]);
+        const feePaid = ownerIndex === 0 ? BigInt(meta.fee) : 0n;
+        deltas.set(SOL_MINT, (deltas.get(SOL_MINT) || 0n) + nativeDelta + feePaid);
+    }
+
+    return deltas;
+}
+
+// Function to read the fee payer signature and recent blockhash of a signed transaction (versioned or legacy)
+function readSignedTransaction(transactionBase64) {
+    const buffer = Buffer.from(transactionBase64, 'base64');
+    try {
+        const transaction = VersionedTransaction.deserialize(buffer);
+        return { signature: bs58.encode(transaction.signatures[0]), blockhash: transaction.message.recentBlockhash };
+    } catch (versionedError) {
+        const transaction = Transaction.from(buffer);
+        return { signature: bs58.encode(transaction.signature), blockhash: transaction.recentBlockhash };
+    }
+}
+
+// Function to create the on-chain settlement confirmer
+function createSettlementConfirmer({ connection, commitment, timeoutMs, pollIntervalMs, mockMode }) {
+    const targetRank = COMMITMENT_RANK[commitment] ?? COMMITMENT_RANK.confirmed;
+
+    // Function to poll a signature until it reaches the target commitment, fails, or times out
+    async function waitForSignature(signature) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+            const status = value[0];
+
+            if (status) {
+                if (status.err) {
+                    return { status: 'failed', slot: status.slot, err: status.err };
+                }
+                if ((COMMITMENT_RANK[status.confirmationStatus] ?? -1) >= targetRank) {
+                    return { status: status.confirmationStatus, slot: status.slot };
+                }
+            }
+
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        }
+
+        return { status: 'timeout', slot: null };
+    }
+
+    // Function to confirm a swap on-chain and read the real filled amounts
+    async function confirmSwap({ signature, inputMint, outputMint, owner, quotedInAmount, quotedOutAmount }) {
+        if (mockMode) {
+            return {
+                confirmed: true,
+                confirmationStatus: 'mock',
+                slot: null,
+                actualInAmount: quotedInAmount,
+                actualOutAmount: quotedOutAmount
+            };
+        }
+
+        log.info('Waiting for confirmation', { commitment, signature });
+        const status = await waitForSignature(signature);
+
+        if (status.status === 'timeout') {
+            log.warn('Confirmation timed out - swap may still land', { signature, timeoutMs });
+            return {
+                confirmed: false,
+                confirmationStatus: 'timeout',
+                slot: null,
+                actualInAmount: null,
+                actualOutAmount: null
+            };
+        }
+
+        if (status.status === 'failed') {
+            log.warn('Swap transaction failed on-chain', { signature, onChainError: status.err });
+            return {
+                confirmed: false,
+                confirmationStatus: 'failed',
+                slot: status.slot,
+                onChainError: JSON.stringify(status.err),
+                actualInAmount: '0',
+                actualOutAmount: '0'
+            };
+        }
+
+        const transaction = await connection.getTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+
+        if (!transaction || !transaction.meta) {
+            log.warn('Transaction confirmed but meta unavailable - actual fill unknown', { signature });
+            return {
+                confirmed: true,
+                confirmationStatus: status.status,
+                slot: status.slot,
+                actualInAmount: null,
+                actualOutAmount: null
+            };
+        }
+
+        const deltas = parseBalanceDeltas(transaction, owner);
+        const inDelta = deltas.get(inputMint) || 0n;
+        const outDelta = deltas.get(outputMint) || 0n;
+
+        const settlement = {
+            confirmed: true,
+            confirmationStatus: status.status,
+            slot: transaction.slot,
+            actualInAmount: (-inDelta).toString(),
+            actualOutAmount: outDelta.toString()
+        };
+
+        log.info('Swap settled on-chain', { signature, ...settlement });
+        return settlement;
+    }
+
+    // Function to tell whether a swap that timed out or failed to land is dropped for good
+    // It is only once the network has no record of the signature and the blockhash has expired, or it failed on-chain.
+    async function checkDropped(signedTransactionBase64) {
+        if (mockMode) {
+            return { dropped: true, signature: null, reason: 'mock mode' };
+        }
+
+        const { signature, blockhash } = readSignedTransaction(signedTransactionBase64);
+        const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+        const status = value[0];
+
+        if (status) {
+            return status.err
+                ? { dropped: true, signature, reason: `failed on-chain in slot ${status.slot}` }
+                : { dropped: false, signature, reason: `reached ${status.confirmationStatus || 'processed'} in slot ${status.slot}` };
+        }
+
+        const { value: blockhashValid } = await connection.isBlockhashValid(blockhash, { commitment: 'processed' });
+        return blockhashValid
+            ? { dropped: false, signature, reason: 'not seen yet but its blockhash is still valid, so it may land' }
+            : { dropped: true, signature, reason: 'blockhash expired before it was seen' };
+    }
+
+    return { confirmSwap, checkDropped };
+}
+
+module.exports = {
+    parseBalanceDeltas,
+    readSignedTransaction,
+    createSettlementConfirmer
+};
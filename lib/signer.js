@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { PublicKey, Transaction, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { logger } = require('./logger');
+
+// DER prefix that turns a raw 32-byte ed25519 public key into an SPKI key for node:crypto
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const log = logger.child({ component: 'signer' });
+
+// Function to verify an ed25519 signature over a serialized transaction message
+function verifySignature(message, signature, publicKey) {
+    const key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(publicKey).toBuffer()]),
+        format: 'der',
+        type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+// Function to create the in-process signer that signs with the wallet's own keypair
+function createLocalSigner() {
+    // Function to sign a base64 transaction and return it re-serialized as base64
+    async function signTransaction(transactionBase64, wallet) {
+        if (!wallet.keypair) {
+            throw new Error(`Wallet ${wallet.name} has no local key - configure a remote signer`);
+        }
+
+        const transactionBuffer = Buffer.from(transactionBase64, 'base64');
+
+        // Try versioned transaction first (Jupiter Ultra API uses these)
+        try {
+            const versionedTransaction = VersionedTransaction.deserialize(transactionBuffer);
+            versionedTransaction.sign([wallet.keypair]);
+            return Buffer.from(versionedTransaction.serialize()).toString('base64');
+        } catch (versionedError) {
+            log.debug('Not a versioned transaction, trying legacy format');
+
+            // Fallback to legacy transaction
+            const transaction = Transaction.from(transactionBuffer);
+            transaction.sign(wallet.keypair);
+            return transaction.serialize().toString('base64');
+        }
+    }
+
+    return { type: 'local', signTransaction };
+}
+
+// Function to send a JSON request to the remote signer over HTTP(S) or a Unix socket
+function requestSigner({ url, socketPath, authToken, timeoutMs }, method, requestPath, body = null) {
+    const payload = body ? JSON.stringify(body) : null;
+    const target = socketPath ? null : new URL(requestPath, url);
+    const transport = target?.protocol === 'https:' ? https : http;
+
+    const options = {
+        method,
+        timeout: timeoutMs,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+            ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+        },
+        ...(socketPath ? { socketPath, path: requestPath } : {})
+    };
+
+    return new Promise((resolve, reject) => {
+        const req = target ? transport.request(target, options) : transport.request(options);
+
+        req.on('response', res => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                let parsed;
+                try {
+                    parsed = data ? JSON.parse(data) : {};
+                } catch (error) {
+                    return reject(new Error(`Remote signer returned invalid JSON (HTTP ${res.statusCode})`));
+                }
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return reject(new Error(`Remote signer refused (HTTP ${res.statusCode}): ${parsed.error || 'unknown error'}`));
+                }
+                resolve(parsed);
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`Remote signer timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+// Function to create a signer that delegates to an external signer process
+// The signer receives the serialized VersionedTransaction and returns only a signature, which is
+// verified against the wallet's public key before it is attached.
+function createRemoteSigner({ url, socketPath, authToken, timeoutMs = 10000 }) {
+    if (!url && !socketPath) {
+        throw new Error('Remote signer needs a URL or a Unix socket path');
+    }
+    const connection = { url, socketPath, authToken, timeoutMs };
+
+    // Function to list the wallets (name and public key) the signer holds keys for
+    async function listWallets() {
+        const response = await requestSigner(connection, 'GET', '/wallets');
+        return response.wallets || [];
+    }
+
+    // Function to have the remote signer sign a base64 VersionedTransaction
+    async function signTransaction(transactionBase64, wallet) {
+        const transaction = VersionedTransaction.deserialize(Buffer.from(transactionBase64, 'base64'));
+
+        const response = await requestSigner(connection, 'POST', '/sign', {
+            wallet: wallet.name,
+            publicKey: wallet.publicKey,
+            transaction: transactionBase64
+        });
+
+        const signature = response.signature ? bs58.decode(response.signature) : null;
+        if (!signature || signature.length !== 64 || !verifySignature(transaction.message.serialize(), signature, wallet.publicKey)) {
+            throw new Error(`Remote signer returned an invalid signature for wallet ${wallet.name}`);
+        }
+
+        transaction.addSignature(new PublicKey(wallet.publicKey), signature);
+        return Buffer.from(transaction.serialize()).toString('base64');
+    }
+
+    return { type: socketPath ? 'remote-socket' : 'remote-http', listWallets, signTransaction };
+}
+
+module.exports = {
+    verifySignature,
+    createLocalSigner,
+    createRemoteSigner
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'slicedExecution' });
+
+// Function to build a SLICING_INVALID error
+function invalid(message) {
+    const error = new Error(`SLICING_INVALID: ${message}`);
+    error.code = 'SLICING_INVALID';
+    return error;
+}
+
+// Function to build a slicing plan from the defaults and a webhook's overrides; null when the trade isn't sliced
+// fixed: `slices` equal slices spread evenly over the window
+// impact: slices sized (by halving) until each one's quoted price impact is at most maxSliceImpactPct, up to maxSlices
+function resolveSlicePlan(defaults, { slices, windowSeconds, maxSliceImpactPct } = {}) {
+    const plan = {
+        mode: null,
+        slices: null,
+        windowMs: (windowSeconds ?? defaults.windowSeconds) * 1000,
+        maxSliceImpactPct: maxSliceImpactPct ?? defaults.maxSliceImpactPct,
+        maxSlices: defaults.maxSlices
+    };
+    if (slices !== undefined && slices !== null) {
+        plan.mode = 'fixed';
+        plan.slices = parseInt(slices);
+    } else if (maxSliceImpactPct !== undefined && maxSliceImpactPct !== null) {
+        plan.mode = 'impact';
+    } else {
+        return null;
+    }
+
+    if (plan.mode === 'fixed' && !(plan.slices >= 2 && plan.slices <= defaults.maxSlices)) {
+        throw invalid(`slices must be between 2 and ${defaults.maxSlices}`);
+    }
+    if (!(plan.windowMs >= 0)) {
+        throw invalid('the slicing window must be a non-negative number of seconds');
+    }
+    if (!(plan.maxSliceImpactPct > 0)) {
+        throw invalid('the max slice price impact must be a positive percentage');
+    }
+    return plan;
+}
+
+// Function to split a base-unit amount into equal slices, the remainder going to the last one
+function splitAmount(amount, count) {
+    const total = BigInt(amount);
+    const size = total / BigInt(count);
+    return Array.from({ length: count }, (_, index) => (index === count - 1 ? total - size * BigInt(count - 1) : size));
+}
+
+// Function to rescale an exit's fraction of the position to one slice of it
+// A slice sells part of what is still held, so its fraction is taken of the position left after the earlier slices.
+function sliceFraction(fraction, sliceAmount, soldBefore, total) {
+    const exitShare = fraction * Number(sliceAmount) / Number(total);
+    const remainingShare = 1 - fraction * Number(soldBefore) / Number(total);
+    return remainingShare > 0 ? Math.min(exitShare / remainingShare, 1) : 1;
+}
+
+// Function to execute an amount in slices, one after another, stopping at the first slice that fails
+// executeSlice({ index, amount, soldBefore, parentId }) runs one slice through the swap pipeline and returns its result;
+// quoteImpactPct(amount) quotes a slice size (impact mode); shouldStop() returns a reason to stop between slices.
+async function executeSlices({ amount, plan, executeSlice, quoteImpactPct, shouldStop = () => null, sleep }) {
+    const parentId = crypto.randomUUID();
+    const total = BigInt(amount);
+    const fixedSlices = plan.mode === 'fixed' ? splitAmount(total, total < BigInt(plan.slices) ? Number(total) : plan.slices) : null;
+    const sliceCount = fixedSlices ? fixedSlices.length : plan.maxSlices;
+    const intervalMs = sliceCount > 1 ? plan.windowMs / (sliceCount - 1) : 0;
+    const slices = [];
+    let sold = 0n;
+    let stoppedReason = null;
+
+    log.info('Sliced execution started', { parentId, mode: plan.mode, amount: total.toString(), slices: plan.slices, windowMs: plan.windowMs });
+
+    for (let index = 0; sold < total && index < sliceCount; index++) {
+        if (index > 0) {
+            await sleep(intervalMs);
+            stoppedReason = shouldStop();
+            if (stoppedReason) break;
+        }
+
+        const remaining = total - sold;
+        let sliceAmount;
+        if (fixedSlices) {
+            sliceAmount = fixedSlices[index];
+        } else if (index === sliceCount - 1) {
+            sliceAmount = remaining;
+        } else {
+            // Halve until the impact is acceptable, but never so small the rest can't fit in the slices left
+            const floor = remaining / BigInt(sliceCount - index);
+            sliceAmount = remaining;
+            let impactPct = await quoteImpactPct(sliceAmount);
+            while (impactPct > plan.maxSliceImpactPct && sliceAmount / 2n >= floor && sliceAmount / 2n > 0n) {
+                sliceAmount /= 2n;
+                impactPct = await quoteImpactPct(sliceAmount);
+            }
+        }
+
+        const result = await executeSlice({ index, amount: sliceAmount, soldBefore: sold, parentId });
+        slices.push({
+            index,
+            amount: sliceAmount.toString(),
+            success: !!result.success,
+            status: result.status || null,
+            tradeId: result.tradeId || null,
+            paperFillId: result.paperFillId || null,
+            signature: result.signature || null,
+            inAmount: result.actualInAmount ?? result.inputAmount ?? null,
+            outAmount: result.actualOutAmount ?? result.outputAmount ?? null,
+            priceImpactPct: result.priceImpact ?? null,
+            error: result.error || null
+        });
+        log.info('Slice executed', { parentId, index, amount: sliceAmount.toString(), success: !!result.success });
+
+        if (!result.success) {
+            stoppedReason = `Slice ${index + 1} failed: ${result.error || result.status}`;
+            break;
+        }
+        sold += sliceAmount;
+    }
+
+    const filled = slices.filter(slice => slice.success);
+    const sum = field => filled.reduce((totalAmount, slice) => totalAmount + BigInt(slice[field] ?? 0), 0n).toString();
+    const status = sold >= total ? 'COMPLETED' : (filled.length > 0 ? 'PARTIALLY_FILLED' : 'FAILED');
+
+    log.info('Sliced execution finished', { parentId, status, slices: slices.length, filled: sold.toString(), stoppedReason });
+
+    return {
+        parentId,
+        mode: plan.mode,
+        status,
+        requestedAmount: total.toString(),
+        filledAmount: sold.toString(),
+        inAmount: sum('inAmount'),
+        outAmount: sum('outAmount'),
+        slices,
+        stoppedReason
+    };
+}
+
+module.exports = {
+    resolveSlicePlan,
+    splitAmount,
+    sliceFraction,
+    executeSlices
+};
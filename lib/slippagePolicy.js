@@ -0,0 +1,99 @@
+const fs = require('fs');
+
+const DIRECTIONS = ['buy', 'sell', 'exit'];
+const MATCH_FIELDS = ['agentId', 'mint', 'mintSuffix', 'symbolContains', 'direction', 'source', 'minSizeSol', 'maxSizeSol'];
+
+// Function to normalize a match value that may be a single value or a list
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// Function to validate a slippage policy document, throwing on the first problem found
+function validateSlippageConfig(config) {
+    if (!config || !Array.isArray(config.rules)) {
+        throw new Error('Slippage config must have a "rules" array');
+    }
+
+    if (!Number.isInteger(config.defaultSlippageBps) && config.defaultSlippageBps !== 'auto') {
+        throw new Error('Slippage config "defaultSlippageBps" must be an integer or "auto"');
+    }
+
+    config.rules.forEach((rule, index) => {
+        const label = rule.name || `#${index}`;
+
+        if (!Number.isInteger(rule.slippageBps) && rule.slippageBps !== 'auto') {
+            throw new Error(`Slippage rule ${label}: "slippageBps" must be an integer or "auto"`);
+        }
+
+        const unknownFields = Object.keys(rule.match || {}).filter(field => !MATCH_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            throw new Error(`Slippage rule ${label}: unknown match fields ${unknownFields.join(', ')}`);
+        }
+
+        if (rule.match?.direction && !toList(rule.match.direction).every(d => DIRECTIONS.includes(d))) {
+            throw new Error(`Slippage rule ${label}: direction must be one of ${DIRECTIONS.join(', ')}`);
+        }
+    });
+
+    return config;
+}
+
+// Function to load and validate the slippage policy file
+function loadSlippageConfig(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return validateSlippageConfig(config);
+}
+
+// Function to check whether a rule matches a trade context
+function ruleMatches(match = {}, context) {
+    const tokenMint = context.tokenMint || '';
+    const tokenSymbol = (context.tokenSymbol || '').toLowerCase();
+
+    if (match.agentId && !toList(match.agentId).includes(context.agentId)) return false;
+    if (match.mint && !toList(match.mint).includes(tokenMint)) return false;
+    if (match.mintSuffix && !toList(match.mintSuffix).some(suffix => tokenMint.endsWith(suffix))) return false;
+    if (match.symbolContains && !toList(match.symbolContains).some(part => tokenSymbol.includes(part.toLowerCase()))) return false;
+    if (match.direction && !toList(match.direction).includes(context.direction)) return false;
+    if (match.source && !toList(match.source).includes(context.source)) return false;
+
+    // Size bounds only match when the SOL size of the trade is known up front
+    if (match.minSizeSol !== undefined && !(context.sizeSol >= match.minSizeSol)) return false;
+    if (match.maxSizeSol !== undefined && !(context.sizeSol <= match.maxSizeSol)) return false;
+
+    return true;
+}
+
+// Function to create the slippage policy engine from a validated config
+function createSlippagePolicy(config) {
+    // Function to resolve the slippage for a trade; slippageBps is null when Jupiter should choose
+    function resolve(context) {
+        const ruleIndex = config.rules.findIndex(rule => ruleMatches(rule.match, context));
+        const rule = ruleIndex === -1 ? null : config.rules[ruleIndex];
+        const configured = rule ? rule.slippageBps : config.defaultSlippageBps;
+
+        if (rule?.useWebhookSlippage && context.webhookSlippage) {
+            return {
+                slippageBps: Math.floor(context.webhookSlippage * 10000),
+                mode: 'webhook',
+                rule: rule.name || `#${ruleIndex}`,
+                ruleIndex
+            };
+        }
+
+        return {
+            slippageBps: configured === 'auto' ? null : configured,
+            mode: configured === 'auto' ? 'auto' : 'fixed',
+            rule: rule ? rule.name || `#${ruleIndex}` : 'default',
+            ruleIndex
+        };
+    }
+
+    return { config, resolve };
+}
+
+module.exports = {
+    DIRECTIONS,
+    loadSlippageConfig,
+    validateSlippageConfig,
+    createSlippagePolicy
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'storage' });
+
+// Directory for all persistent server state (dedup records, journals, queues, ...)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+// Function to resolve a file inside the data directory, creating the directory if needed
+function resolveDataPath(fileName) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    return path.join(DATA_DIR, fileName);
+}
+
+// Function to read every record from a JSON-lines file, skipping corrupt lines
+function readJsonLines(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const records = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            // A partially written last line after a crash is expected - skip it
+            log.warn('Skipping corrupt line', { file: path.basename(filePath) });
+        }
+    }
+
+    return records;
+}
+
+// Function to append a single record to a JSON-lines file
+function appendJsonLine(filePath, record) {
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+}
+
+// Function to replace a JSON-lines file with the given records atomically
+function writeJsonLines(filePath, records) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, records.map(record => JSON.stringify(record) + '\n').join(''));
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Function to read a JSON document, returning the fallback if it does not exist
+function readJsonFile(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        log.error('Error reading file', { file: path.basename(filePath), error: error.message });
+        return fallback;
+    }
+}
+
+// Function to write a JSON document atomically
+function writeJsonFile(filePath, value) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    resolveDataPath,
+    readJsonLines,
+    appendJsonLine,
+    writeJsonLines,
+    readJsonFile,
+    writeJsonFile
+};
@@ -0,0 +1,80 @@
+// Jupiter Ultra execute codes where a fresh order is likely to succeed
+// (-1 order expired, -1000 failed to land, -1004 block height exceeded, -1005 expired,
+//  -2000 RFQ failed to land, -2003 RFQ quote expired, -2004 RFQ swap rejected)
+const REQUOTE_CODES = new Set([-1, -1000, -1004, -1005, -2000, -2003, -2004]);
+
+// Codes where the transaction may still land (-1006 timed out) - re-quoting before it is known dropped can fill twice
+const AMBIGUOUS_CODES = new Set([-1006]);
+
+// Jupiter aggregator program error for exceeded slippage tolerance
+const SLIPPAGE_CODES = new Set([6001]);
+
+const FAILURE_CLASSES = {
+    SLIPPAGE: 'SLIPPAGE',
+    REQUOTE: 'REQUOTE',
+    AMBIGUOUS: 'AMBIGUOUS', // Re-quote only once the previous transaction is known dropped
+    FATAL: 'FATAL'
+};
+
+// Function to extract a custom program error code from an on-chain error like {"InstructionError":[3,{"Custom":6001}]}
+function extractCustomErrorCode(onChainError) {
+    if (!onChainError) return null;
+    const match = String(onChainError).match(/"Custom":\s*(\d+)/);
+    return match ? parseInt(match[1]) : null;
+}
+
+// Function to classify a failed swap attempt so the retry policy knows what to do
+function classifyExecutionFailure({ code, error, onChainError }) {
+    const numericCode = code !== undefined && code !== null ? Number(code) : extractCustomErrorCode(onChainError);
+    const message = `${error || ''} ${onChainError || ''}`;
+
+    if (SLIPPAGE_CODES.has(numericCode) || /slippage/i.test(message)) {
+        return FAILURE_CLASSES.SLIPPAGE;
+    }
+    if (AMBIGUOUS_CODES.has(numericCode)) {
+        return FAILURE_CLASSES.AMBIGUOUS;
+    }
+    if (REQUOTE_CODES.has(numericCode)) {
+        return FAILURE_CLASSES.REQUOTE;
+    }
+    if (/timed out|failed to land/i.test(message)) {
+        return FAILURE_CLASSES.AMBIGUOUS;
+    }
+    if (/blockhash|block height|expired|stale/i.test(message)) {
+        return FAILURE_CLASSES.REQUOTE;
+    }
+    return FAILURE_CLASSES.FATAL;
+}
+
+// Function to create the retry policy for failed or expired swaps
+function createRetryPolicy({ maxAttempts, maxElapsedMs, baseDelayMs, slippageStepBps, slippageCeilingsBps }) {
+    // Function to decide whether another attempt is allowed
+    function canRetry(attemptNumber, startedAt) {
+        return attemptNumber < maxAttempts && Date.now() - startedAt < maxElapsedMs;
+    }
+
+    // Function to step slippage up towards the ceiling for this trade direction (null if already there)
+    function nextSlippageBps(direction, currentBps) {
+        if (currentBps === null || currentBps === undefined) {
+            return null;
+        }
+        const ceiling = slippageCeilingsBps[direction] ?? currentBps;
+        if (currentBps >= ceiling) {
+            return null;
+        }
+        return Math.min(currentBps + slippageStepBps, ceiling);
+    }
+
+    // Function to compute the backoff before the next attempt
+    function delayMs(attemptNumber) {
+        return baseDelayMs * attemptNumber;
+    }
+
+    return { maxAttempts, maxElapsedMs, canRetry, nextSlippageBps, delayMs };
+}
+
+module.exports = {
+    FAILURE_CLASSES,
+    classifyExecutionFailure,
+    createRetryPolicy
+};
@@ -0,0 +1,136 @@
+const { readJsonFile, writeJsonFile } = require('./storage');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'tokenMetadata' });
+
+// Function to validate token metadata from a source or an admin seed, returning a normalized entry
+function normalizeTokenMetadata(mint, metadata) {
+    const decimals = metadata.decimals === null || metadata.decimals === '' ? NaN : Number(metadata.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+        throw new Error(`Invalid decimals for ${mint}: ${metadata.decimals}`);
+    }
+    return {
+        mint,
+        decimals,
+        symbol: metadata.symbol || null,
+        name: metadata.name || null,
+        verified: !!metadata.verified
+    };
+}
+
+// Function to create the persistent token metadata cache
+// Stale entries are refreshed on use but still served when every source is down (decimals never change);
+// pinned entries (admin seeds) are never refreshed.
+function createTokenMetadataCache({ filePath, ttlMs, sources }) {
+    const entries = readJsonFile(filePath, {});
+    const inFlight = new Map();
+
+    log.info('Token metadata cache loaded', { tokens: Object.keys(entries).length });
+
+    function save() {
+        writeJsonFile(filePath, entries);
+    }
+
+    function isStale(entry) {
+        return !entry.pinned && Date.now() - Date.parse(entry.fetchedAt) > ttlMs;
+    }
+
+    // Function to query each source in order until one knows the token
+    async function fetchFromSources(mint) {
+        const failures = [];
+        for (const source of sources) {
+            try {
+                const metadata = await source.fetch(mint);
+                if (metadata) {
+                    return { ...normalizeTokenMetadata(mint, metadata), source: source.name };
+                }
+                failures.push(`${source.name}: not found`);
+            } catch (error) {
+                failures.push(`${source.name}: ${error.message}`);
+            }
+        }
+        log.warn('No token metadata found', { mint, failures });
+        return null;
+    }
+
+    // Function to refresh one token, sharing the request between concurrent callers
+    function refresh(mint) {
+        if (!inFlight.has(mint)) {
+            const request = fetchFromSources(mint).then(fetched => {
+                if (fetched) {
+                    entries[mint] = { ...fetched, pinned: false, fetchedAt: new Date().toISOString() };
+                    save();
+                }
+                return entries[mint] || null;
+            }).finally(() => inFlight.delete(mint));
+            inFlight.set(mint, request);
+        }
+        return inFlight.get(mint);
+    }
+
+    // Function to get a token's metadata, fetching it when missing or stale
+    async function getMetadata(mint, { forceRefresh = false } = {}) {
+        const cached = entries[mint];
+        if (cached && !forceRefresh && !isStale(cached)) {
+            return cached;
+        }
+        if (cached?.pinned && !forceRefresh) {
+            return cached;
+        }
+        return (await refresh(mint)) || null;
+    }
+
+    // Function to get a token's decimals, refusing to guess when no source knows them
+    async function getDecimals(mint) {
+        const metadata = await getMetadata(mint);
+        if (!metadata) {
+            const error = new Error(`DECIMALS_UNKNOWN: could not determine decimals for token ${mint} - refusing to size the trade (seed it via POST /admin/tokens)`);
+            error.code = 'DECIMALS_UNKNOWN';
+            throw error;
+        }
+        return metadata.decimals;
+    }
+
+    // Function to seed or override a token's metadata by hand; seeded entries are pinned
+    function seed(mint, metadata) {
+        entries[mint] = {
+            ...normalizeTokenMetadata(mint, metadata),
+            source: 'seed',
+            pinned: metadata.pinned !== false,
+            fetchedAt: new Date().toISOString()
+        };
+        save();
+        log.info('Seeded token metadata', { mint, decimals: entries[mint].decimals });
+        return entries[mint];
+    }
+
+    // Function to fetch every token in the list that is missing or stale, one at a time
+    async function warm(mints) {
+        const pending = Array.from(new Set(mints)).filter(mint => !entries[mint] || isStale(entries[mint]));
+        let warmed = 0;
+        for (const mint of pending) {
+            const entry = await refresh(mint);
+            if (entry && !isStale(entry)) warmed++;
+        }
+        log.info('Token metadata cache warmed', { requested: pending.length, warmed, cached: Object.keys(entries).length });
+        return { requested: pending.length, warmed };
+    }
+
+    // Function to look up a cached entry without fetching
+    function get(mint) {
+        const entry = entries[mint];
+        return entry ? { ...entry, stale: isStale(entry) } : null;
+    }
+
+    // Function to list every cached entry
+    function list() {
+        return Object.values(entries).map(entry => ({ ...entry, stale: isStale(entry) }));
+    }
+
+    return { getMetadata, getDecimals, seed, warm, get, list };
+}
+
+module.exports = {
+    normalizeTokenMetadata,
+    createTokenMetadataCache
+};
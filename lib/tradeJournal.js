@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine } = require('./storage');
+const { logger } = require('./logger');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const log = logger.child({ component: 'tradeJournal' });
+
+// Function to parse a time filter given as ISO string or unix milliseconds
+function parseTimeFilter(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const parsed = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`Invalid time filter: ${value}`);
+    }
+    return parsed;
+}
+
+// Function to extract the quote fields we keep from a Jupiter order response
+function summarizeOrder(orderResponse) {
+    if (!orderResponse) {
+        return null;
+    }
+    return {
+        requestId: orderResponse.requestId,
+        inputMint: orderResponse.inputMint,
+        outputMint: orderResponse.outputMint,
+        inAmount: orderResponse.inAmount,
+        outAmount: orderResponse.outAmount,
+        priceImpactPct: orderResponse.priceImpactPct,
+        slippageBps: orderResponse.slippageBps
+    };
+}
+
+// Function to create the persistent trade journal
+function createTradeJournal({ filePath }) {
+    const trades = readJsonLines(filePath);
+    const tradesById = new Map(trades.map(trade => [trade.id, trade]));
+
+    log.info('Trade journal loaded', { records: trades.length });
+
+    // Function to append a trade attempt to the journal
+    function record(entry) {
+        const trade = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            ...entry
+        };
+        appendJsonLine(filePath, trade);
+        trades.push(trade);
+        tradesById.set(trade.id, trade);
+        return trade;
+    }
+
+    // Function to look up a single trade
+    function get(id) {
+        return tradesById.get(id) || null;
+    }
+
+    // Function to list every trade matching a predicate, oldest first
+    function filter(predicate) {
+        return trades.filter(predicate);
+    }
+
+    // Function to filter and paginate trades, newest first
+    function query({ agentId, mint, success, from, to, limit, offset } = {}) {
+        const fromMs = parseTimeFilter(from);
+        const toMs = parseTimeFilter(to);
+        const successFilter = success === undefined || success === '' ? null : String(success) === 'true';
+        const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+        const matches = [];
+        for (let i = trades.length - 1; i >= 0; i--) {
+            const trade = trades[i];
+            const createdMs = Date.parse(trade.createdAt);
+
+            if (agentId && trade.agentId !== agentId) continue;
+            if (mint && trade.inputMint !== mint && trade.outputMint !== mint) continue;
+            if (successFilter !== null && trade.success !== successFilter) continue;
+            if (fromMs !== null && createdMs < fromMs) continue;
+            if (toMs !== null && createdMs > toMs) continue;
+
+            matches.push(trade);
+        }
+
+        return {
+            total: matches.length,
+            limit: pageSize,
+            offset: pageOffset,
+            trades: matches.slice(pageOffset, pageOffset + pageSize)
+        };
+    }
+
+    return { record, get, filter, query };
+}
+
+module.exports = {
+    summarizeOrder,
+    createTradeJournal
+};
@@ -0,0 +1,257 @@
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const COMPUTE_BUDGET_PROGRAM = 'ComputeBudget111111111111111111111111111111';
+
+// Programs a Jupiter swap is expected to call directly
+const DEFAULT_ALLOWED_PROGRAMS = {
+    'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'Jupiter Aggregator v6',
+    '61DFfeTKM7trxYcPQCM78bJ794ddZprZpAwAnLiwTpYH': 'Jupiter Order Engine',
+    [TOKEN_PROGRAM]: 'Token',
+    [TOKEN_2022_PROGRAM]: 'Token-2022',
+    [ASSOCIATED_TOKEN_PROGRAM]: 'Associated Token Account',
+    [COMPUTE_BUDGET_PROGRAM]: 'Compute Budget',
+    [SYSTEM_PROGRAM]: 'System'
+};
+
+// System program instruction indexes (u32 little-endian discriminator)
+const SYSTEM_ASSIGN = 1;
+const SYSTEM_TRANSFER = 2;
+const SYSTEM_WITHDRAW_NONCE = 5;
+const SYSTEM_AUTHORIZE_NONCE = 7;
+const SYSTEM_ASSIGN_WITH_SEED = 10;
+const SYSTEM_TRANSFER_WITH_SEED = 11;
+
+// Token program instruction indexes (u8 discriminator, shared by Token-2022)
+const TOKEN_APPROVE = 4;
+const TOKEN_SET_AUTHORITY = 6;
+const TOKEN_CLOSE_ACCOUNT = 9;
+const TOKEN_APPROVE_CHECKED = 13;
+
+// Function to derive an owner's associated token account for a mint under a token program
+function associatedTokenAddress(owner, mint, tokenProgram) {
+    return PublicKey.findProgramAddressSync(
+        [new PublicKey(owner).toBuffer(), new PublicKey(tokenProgram).toBuffer(), new PublicKey(mint).toBuffer()],
+        new PublicKey(ASSOCIATED_TOKEN_PROGRAM)
+    )[0].toString();
+}
+
+// Function to read the amount of an SPL token account (u64 at offset 64, same for Token-2022)
+function tokenAccountAmount(data) {
+    return data && data.length >= 72 ? data.readBigUInt64LE(64) : 0n;
+}
+
+// Function to compute the minimum output the order accepts
+function minimumOutAmount(orderResponse) {
+    if (orderResponse.otherAmountThreshold) {
+        return BigInt(orderResponse.otherAmountThreshold);
+    }
+    const slippageBps = BigInt(orderResponse.slippageBps || 0);
+    return BigInt(orderResponse.outAmount) * (10000n - slippageBps) / 10000n;
+}
+
+// Function to create the pre-signing inspector
+// Every check fails closed: if something can't be decoded, resolved or simulated the transaction is unsafe.
+function createTransactionInspector({ connection, extraPrograms = [], maxSolOverheadLamports, simulate = true, mockMode = false }) {
+    const allowedPrograms = { ...DEFAULT_ALLOWED_PROGRAMS };
+    extraPrograms.forEach(programId => { allowedPrograms[programId] = 'configured'; });
+
+    // Function to fetch the address lookup tables a v0 message references
+    async function loadLookupTables(message) {
+        if (message.addressTableLookups.length === 0) {
+            return [];
+        }
+        if (mockMode) {
+            throw new Error('address lookup tables cannot be resolved in mock mode');
+        }
+        return Promise.all(message.addressTableLookups.map(async lookup => {
+            const { value } = await connection.getAddressLookupTable(lookup.accountKey);
+            if (!value) {
+                throw new Error(`address lookup table ${lookup.accountKey.toString()} not found`);
+            }
+            return value;
+        }));
+    }
+
+    // Function to decode the instructions and flag anything a plain swap shouldn't do
+    function checkInstructions(message, accountKeys, { wallet, inputMint, inAmount }, violations) {
+        const programs = new Set();
+        const ownWrappedSol = [TOKEN_PROGRAM, TOKEN_2022_PROGRAM].map(program => associatedTokenAddress(wallet, SOL_MINT, program));
+
+        message.compiledInstructions.forEach((instruction, index) => {
+            const programId = accountKeys.get(instruction.programIdIndex)?.toString();
+            const keys = instruction.accountKeyIndexes.map(keyIndex => accountKeys.get(keyIndex)?.toString());
+            const data = Buffer.from(instruction.data);
+            programs.add(programId);
+
+            if (!allowedPrograms[programId]) {
+                violations.push({ check: 'programAllowlist', instruction: index, programId, message: `Instruction ${index} calls program ${programId}, which is not on the allowlist` });
+                return;
+            }
+
+            if (programId === SYSTEM_PROGRAM && data.length >= 4) {
+                const type = data.readUInt32LE(0);
+
+                if (type === SYSTEM_TRANSFER) {
+                    const lamports = data.length >= 12 ? data.readBigUInt64LE(4) : 0n;
+                    const wrapsInput = inputMint === SOL_MINT && keys[0] === wallet && ownWrappedSol.includes(keys[1]) && lamports <= BigInt(inAmount);
+                    if (!wrapsInput) {
+                        violations.push({
+                            check: 'solTransfer',
+                            instruction: index,
+                            from: keys[0],
+                            to: keys[1],
+                            lamports: lamports.toString(),
+                            message: `Instruction ${index} transfers ${lamports} lamports from ${keys[0]} to ${keys[1]}`
+                        });
+                    }
+                } else if (type === SYSTEM_TRANSFER_WITH_SEED || type === SYSTEM_WITHDRAW_NONCE) {
+                    violations.push({ check: 'solTransfer', instruction: index, message: `Instruction ${index} moves SOL via system instruction ${type}` });
+                } else if (type === SYSTEM_ASSIGN || type === SYSTEM_ASSIGN_WITH_SEED || type === SYSTEM_AUTHORIZE_NONCE) {
+                    violations.push({ check: 'authorityChange', instruction: index, account: keys[0], message: `Instruction ${index} reassigns ownership or authority of ${keys[0]}` });
+                }
+            }
+
+            if ((programId === TOKEN_PROGRAM || programId === TOKEN_2022_PROGRAM) && data.length >= 1) {
+                const type = data[0];
+
+                if (type === TOKEN_SET_AUTHORITY) {
+                    violations.push({ check: 'authorityChange', instruction: index, account: keys[0], message: `Instruction ${index} changes the authority of token account ${keys[0]}` });
+                } else if (type === TOKEN_APPROVE || type === TOKEN_APPROVE_CHECKED) {
+                    const delegate = type === TOKEN_APPROVE ? keys[1] : keys[2];
+                    violations.push({ check: 'authorityChange', instruction: index, account: keys[0], delegate, message: `Instruction ${index} approves ${delegate} as delegate of ${keys[0]}` });
+                } else if (type === TOKEN_CLOSE_ACCOUNT && keys[1] !== wallet) {
+                    violations.push({ check: 'solTransfer', instruction: index, account: keys[0], to: keys[1], message: `Instruction ${index} closes ${keys[0]} and sends its rent to ${keys[1]}` });
+                }
+            }
+        });
+
+        return Array.from(programs).map(programId => ({ programId, name: allowedPrograms[programId] || null }));
+    }
+
+    // Function to simulate the transaction and check the wallet's SOL and token deltas against the quote
+    async function checkSimulation(transaction, { wallet, inputMint, outputMint, inAmount, minOutAmount }, violations) {
+        const tokenAccounts = {};
+        [inputMint, outputMint].filter(mint => mint !== SOL_MINT).forEach(mint => {
+            tokenAccounts[mint] = [TOKEN_PROGRAM, TOKEN_2022_PROGRAM].map(program => associatedTokenAddress(wallet, mint, program));
+        });
+        const addresses = [wallet, ...Object.values(tokenAccounts).flat()];
+
+        const preAccounts = await connection.getMultipleAccountsInfo(addresses.map(address => new PublicKey(address)));
+        const { value } = await connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            accounts: { encoding: 'base64', addresses }
+        });
+
+        if (value.err) {
+            violations.push({
+                check: 'simulation',
+                error: value.err,
+                logs: (value.logs || []).slice(-10),
+                message: `Simulation failed: ${JSON.stringify(value.err)}`
+            });
+            return { unitsConsumed: value.unitsConsumed ?? null };
+        }
+
+        const postAccounts = value.accounts || [];
+        const lamportsAt = (accounts, i) => BigInt(accounts[i]?.lamports ?? 0);
+        const postData = i => (postAccounts[i] ? Buffer.from(postAccounts[i].data[0], 'base64') : null);
+
+        const deltas = { sol: lamportsAt(postAccounts, 0) - lamportsAt(preAccounts, 0) };
+        for (const [mint, accounts] of Object.entries(tokenAccounts)) {
+            deltas[mint] = accounts.reduce((sum, address) => {
+                const i = addresses.indexOf(address);
+                return sum + tokenAccountAmount(postData(i)) - tokenAccountAmount(preAccounts[i]?.data);
+            }, 0n);
+        }
+
+        const expectedSol = (inputMint === SOL_MINT ? -BigInt(inAmount) : 0n) + (outputMint === SOL_MINT ? minOutAmount : 0n);
+        if (deltas.sol < expectedSol - BigInt(maxSolOverheadLamports)) {
+            violations.push({
+                check: 'solDelta',
+                expected: expectedSol.toString(),
+                actual: deltas.sol.toString(),
+                message: `Simulated SOL change ${deltas.sol} lamports is below the expected ${expectedSol} (overhead allowance ${maxSolOverheadLamports})`
+            });
+        }
+        if (inputMint !== SOL_MINT && deltas[inputMint] < -BigInt(inAmount)) {
+            violations.push({
+                check: 'inputDelta',
+                expected: (-BigInt(inAmount)).toString(),
+                actual: deltas[inputMint].toString(),
+                message: `Simulation spends ${-deltas[inputMint]} of ${inputMint}, more than the quoted ${inAmount}`
+            });
+        }
+        if (outputMint !== SOL_MINT && deltas[outputMint] < minOutAmount) {
+            violations.push({
+                check: 'outputDelta',
+                expected: minOutAmount.toString(),
+                actual: deltas[outputMint].toString(),
+                message: `Simulation receives ${deltas[outputMint]} of ${outputMint}, below the minimum ${minOutAmount}`
+            });
+        }
+
+        return {
+            unitsConsumed: value.unitsConsumed ?? null,
+            deltas: Object.fromEntries(Object.entries(deltas).map(([key, delta]) => [key, delta.toString()]))
+        };
+    }
+
+    // Function to inspect a Jupiter order's transaction before it is signed
+    async function inspect({ transactionBase64, wallet, orderResponse }) {
+        const violations = [];
+        const expected = {
+            wallet,
+            inputMint: orderResponse.inputMint,
+            outputMint: orderResponse.outputMint,
+            inAmount: orderResponse.inAmount,
+            minOutAmount: minimumOutAmount(orderResponse)
+        };
+        const report = { safe: false, violations, feePayer: null, programs: [], simulation: null };
+
+        let transaction;
+        let accountKeys;
+        try {
+            transaction = VersionedTransaction.deserialize(Buffer.from(transactionBase64, 'base64'));
+            accountKeys = transaction.message.getAccountKeys({
+                addressLookupTableAccounts: await loadLookupTables(transaction.message)
+            });
+        } catch (error) {
+            violations.push({ check: 'decode', message: `Could not decode transaction: ${error.message}` });
+            return report;
+        }
+
+        report.feePayer = transaction.message.staticAccountKeys[0].toString();
+        if (report.feePayer !== wallet) {
+            violations.push({ check: 'feePayer', expected: wallet, actual: report.feePayer, message: `Fee payer ${report.feePayer} is not our wallet ${wallet}` });
+        }
+
+        report.programs = checkInstructions(transaction.message, accountKeys, expected, violations);
+
+        if (mockMode || !simulate) {
+            report.simulation = { skipped: mockMode ? 'mock mode' : 'disabled' };
+        } else if (violations.length === 0) {
+            try {
+                report.simulation = await checkSimulation(transaction, expected, violations);
+            } catch (error) {
+                violations.push({ check: 'simulation', message: `Could not simulate transaction: ${error.message}` });
+            }
+        }
+
+        report.safe = violations.length === 0;
+        return report;
+    }
+
+    return { allowedPrograms, inspect };
+}
+
+module.exports = {
+    DEFAULT_ALLOWED_PROGRAMS,
+    createTransactionInspector
+};
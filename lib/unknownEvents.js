@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'unknownEvents' });
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Function to create the persistent store of webhook deliveries with no registered handler, kept for inspection
+function createUnknownEventStore({ filePath, retentionMs }) {
+    const cutoff = Date.now() - retentionMs;
+    const events = readJsonLines(filePath).filter(entry => Date.parse(entry.receivedAt) >= cutoff);
+    writeJsonLines(filePath, events);
+
+    log.info('Unknown events loaded', { events: events.length });
+
+    // Function to store an unhandled delivery
+    function record({ event, agentId, timestamp, requestId, payload }) {
+        const entry = {
+            id: crypto.randomUUID(),
+            event: event ?? null,
+            agentId: agentId ?? null,
+            timestamp: timestamp ?? null,
+            requestId: requestId || null,
+            payload,
+            receivedAt: new Date().toISOString()
+        };
+        events.push(entry);
+        appendJsonLine(filePath, entry);
+        log.warn('Unknown event stored', { unknownEventId: entry.id, event: entry.event, agentId: entry.agentId });
+        return entry;
+    }
+
+    // Function to look up a stored event
+    function get(id) {
+        return events.find(entry => entry.id === id) || null;
+    }
+
+    // Function to list stored events, newest first, with a count per event type
+    function list({ event = null, agentId = null, limit } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const matches = events.filter(entry => (!event || entry.event === event) && (!agentId || entry.agentId === agentId));
+        const byEvent = {};
+        matches.forEach(entry => { byEvent[entry.event] = (byEvent[entry.event] || 0) + 1; });
+        return {
+            total: matches.length,
+            byEvent,
+            events: matches.slice(-pageSize).reverse()
+        };
+    }
+
+    return { record, get, list };
+}
+
+module.exports = {
+    createUnknownEventStore
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { isEncryptedKeystore, decryptKeystore } = require('./keystore');
+
+const ENV_KEY_PREFIX = 'WALLET_KEY_';
+
+// Function to decode a secret key given as base58 or as a solana-keygen JSON byte array
+function decodeSecretKey(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+        return Uint8Array.from(JSON.parse(trimmed));
+    }
+    return bs58.decode(trimmed);
+}
+
+// Function to load named keypairs from a keystore directory (<name>.json or <name>.key files)
+// Encrypted keystores are unlocked with the passphrase from getPassphrase, which is only asked for
+// when the directory contains one. Plaintext key files are still accepted but reported back.
+async function loadKeystoreDirectory(keystoreDir, getPassphrase) {
+    const keypairs = new Map();
+    const plaintextFiles = [];
+    if (!keystoreDir || !fs.existsSync(keystoreDir)) {
+        return { keypairs, plaintextFiles };
+    }
+
+    let passphrase = null;
+    for (const file of fs.readdirSync(keystoreDir).sort()) {
+        const extension = path.extname(file);
+        if (extension !== '.json' && extension !== '.key') continue;
+
+        const name = path.basename(file, extension);
+        const contents = fs.readFileSync(path.join(keystoreDir, file), 'utf8');
+
+        let document = null;
+        try {
+            document = extension === '.json' ? JSON.parse(contents) : null;
+        } catch (error) {
+            throw new Error(`Invalid key file ${file} in keystore directory`);
+        }
+
+        if (isEncryptedKeystore(document)) {
+            if (passphrase === null) {
+                passphrase = await getPassphrase();
+            }
+            try {
+                keypairs.set(name, decryptKeystore(document, passphrase));
+            } catch (error) {
+                throw new Error(`Could not unlock ${file}: ${error.message}`);
+            }
+            continue;
+        }
+
+        try {
+            keypairs.set(name, Keypair.fromSecretKey(decodeSecretKey(contents)));
+            plaintextFiles.push(file);
+        } catch (error) {
+            // Never echo file contents - they are key material
+            throw new Error(`Invalid key file ${file} in keystore directory`);
+        }
+    }
+
+    return { keypairs, plaintextFiles };
+}
+
+// Function to load named keypairs from WALLET_KEY_<NAME> environment variables
+function loadEnvKeys(env) {
+    const keypairs = new Map();
+    for (const [variable, value] of Object.entries(env)) {
+        if (!variable.startsWith(ENV_KEY_PREFIX) || !value) continue;
+
+        const name = variable.slice(ENV_KEY_PREFIX.length).toLowerCase();
+        try {
+            keypairs.set(name, Keypair.fromSecretKey(decodeSecretKey(value)));
+        } catch (error) {
+            throw new Error(`Invalid secret key in ${variable}`);
+        }
+    }
+    return keypairs;
+}
+
+// Function to create the registry that routes each agent to its own wallet
+// Without an agent mapping every agent trades from the default wallet (single-wallet setups); with one, only
+// mapped agents can trade and the default wallet is used for admin and test trades.
+// Wallets whose keys live in a remote signer are passed as publicKeys (name -> base58) and have no keypair.
+function createWalletRegistry({ keypairs = new Map(), publicKeys = new Map(), agentWallets, defaultWallet }) {
+    const accounts = new Map();
+    for (const [name, publicKey] of publicKeys) {
+        accounts.set(name, { publicKey: String(publicKey), keypair: null });
+    }
+    for (const [name, keypair] of keypairs) {
+        accounts.set(name, { publicKey: keypair.publicKey.toString(), keypair });
+    }
+
+    if (accounts.size === 0) {
+        throw new Error('No wallets configured');
+    }
+
+    for (const [agentId, name] of Object.entries(agentWallets || {})) {
+        if (!accounts.has(name)) {
+            throw new Error(`Agent ${agentId} is mapped to unknown wallet "${name}"`);
+        }
+    }
+
+    if (defaultWallet && !accounts.has(defaultWallet)) {
+        throw new Error(`Default wallet "${defaultWallet}" is not configured`);
+    }
+
+    const strictRouting = !!agentWallets;
+
+    if (!strictRouting && !defaultWallet) {
+        throw new Error('Without an agent wallet mapping a default wallet is required (a wallet named "default" or defaultWallet in the wallets config)');
+    }
+
+    // Function to resolve the wallet name for an agent, or null if the agent is unknown
+    function walletNameForAgent(agentId) {
+        if (!strictRouting) {
+            return defaultWallet;
+        }
+        // With a mapping, unmapped agents are unknown - the default wallet is only for trades without an agent
+        return agentWallets[agentId] || null;
+    }
+
+    // Function to check whether an agent has a wallet
+    function hasAgent(agentId) {
+        return !!walletNameForAgent(agentId);
+    }
+
+    // Function to get a wallet by name
+    // The keypair is non-enumerable so logging or serializing a wallet never prints the secret key.
+    function getWallet(name) {
+        const account = accounts.get(name);
+        if (!account) {
+            throw new Error(`Unknown wallet: ${name}`);
+        }
+        const wallet = { name, publicKey: account.publicKey };
+        Object.defineProperty(wallet, 'keypair', { value: account.keypair, enumerable: false });
+        return wallet;
+    }
+
+    // Function to get the wallet an agent trades from
+    function getWalletForAgent(agentId) {
+        const name = walletNameForAgent(agentId);
+        if (!name) {
+            throw new Error(`Unknown agent ${agentId}: no wallet is mapped to it`);
+        }
+        return getWallet(name);
+    }
+
+    // Function to get the wallet used when no agent is involved
+    function getDefaultWallet() {
+        return getWallet(defaultWallet || accounts.keys().next().value);
+    }
+
+    // Function to list wallets (public keys only) and the agents routed to them
+    function listWallets() {
+        return Array.from(accounts.entries()).map(([name, account]) => ({
+            name,
+            publicKey: account.publicKey,
+            signer: account.keypair ? 'local' : 'remote',
+            isDefault: name === defaultWallet,
+            agents: Object.entries(agentWallets || {})
+                .filter(([, walletName]) => walletName === name)
+                .map(([agentId]) => agentId)
+        }));
+    }
+
+    return { strictRouting, hasAgent, getWallet, getWalletForAgent, getDefaultWallet, listWallets };
+}
+
+module.exports = {
+    decodeSecretKey,
+    loadKeystoreDirectory,
+    loadEnvKeys,
+    createWalletRegistry
+};
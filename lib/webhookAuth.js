@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'webhookAuth' });
+
+// Function to capture the raw request body so signatures can be checked byte-for-byte
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+// Function to compute the HMAC-SHA256 signature of a payload
+function computeSignature(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Function to compare two hex signatures without leaking timing information
+function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received, 'hex');
+
+    if (expectedBuffer.length !== receivedBuffer.length) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Function to parse a webhook timestamp (ISO string, unix seconds or unix milliseconds)
+function parseTimestamp(timestamp) {
+    if (timestamp === undefined || timestamp === null || timestamp === '') {
+        return null;
+    }
+
+    if (typeof timestamp === 'number' || /^\d+$/.test(String(timestamp))) {
+        const numeric = Number(timestamp);
+        // Values below 1e12 are unix seconds, anything larger is milliseconds
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+
+    const parsed = Date.parse(timestamp);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Function to create the webhook signature verification middleware
+function createWebhookVerifier({ secrets, headerName, toleranceSeconds, allowUnsigned }) {
+    const activeSecrets = secrets.filter(Boolean);
+    const header = headerName.toLowerCase();
+
+    function reject(res, reason, message) {
+        log.warn('Webhook rejected', { reason, message });
+        return res.status(401).json({
+            success: false,
+            error: 'Webhook signature verification failed',
+            reason,
+            message
+        });
+    }
+
+    return function verifyWebhookSignature(req, res, next) {
+        const rawSignature = req.get(header);
+
+        if (!rawSignature) {
+            if (allowUnsigned) {
+                log.warn('INSECURE DEV MODE: accepting unsigned webhook');
+                return next();
+            }
+            return reject(res, 'MISSING_SIGNATURE', `Missing ${headerName} header`);
+        }
+
+        if (activeSecrets.length === 0) {
+            return reject(res, 'NO_SECRET_CONFIGURED', 'WEBHOOK_SECRET is not configured on this server');
+        }
+
+        // Accept both "sha256=<hex>" and bare "<hex>" forms
+        const receivedSignature = rawSignature.trim().replace(/^sha256=/i, '');
+        if (!/^[0-9a-f]{64}$/i.test(receivedSignature)) {
+            return reject(res, 'MALFORMED_SIGNATURE', 'Signature must be a hex encoded HMAC-SHA256 digest');
+        }
+
+        const payload = req.rawBody || Buffer.alloc(0);
+        const matched = activeSecrets.some(secret =>
+            signaturesMatch(computeSignature(secret, payload), receivedSignature)
+        );
+
+        if (!matched) {
+            return reject(res, 'INVALID_SIGNATURE', 'Signature does not match request body');
+        }
+
+        // The timestamp lives inside the signed body, so it cannot be altered without breaking the signature
+        const timestampMs = parseTimestamp(req.body?.timestamp);
+        if (timestampMs === null) {
+            return reject(res, 'MISSING_TIMESTAMP', 'Signed payload must include a valid timestamp');
+        }
+
+        const ageSeconds = (Date.now() - timestampMs) / 1000;
+        if (Math.abs(ageSeconds) > toleranceSeconds) {
+            return reject(
+                res,
+                'TIMESTAMP_OUT_OF_TOLERANCE',
+                `Timestamp is ${Math.round(ageSeconds)}s from server time (tolerance ${toleranceSeconds}s)`
+            );
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    captureRawBody,
+    computeSignature,
+    createWebhookVerifier
+};
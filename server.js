@@ -1,50 +1,637 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
 const express = require('express');
-const { Connection, Keypair, Transaction, VersionedTransaction, PublicKey } = require('@solana/web3.js');
+const { Connection, Keypair, VersionedTransaction, TransactionMessage, ComputeBudgetProgram, PublicKey } = require('@solana/web3.js');
 const bs58 = require('bs58');
 require('dotenv').config();
+const { captureRawBody, createWebhookVerifier } = require('./lib/webhookAuth');
+const { buildIdempotencyKey, createIdempotencyStore } = require('./lib/idempotencyStore');
+const { resolveDataPath } = require('./lib/storage');
+const { summarizeOrder, createTradeJournal } = require('./lib/tradeJournal');
+const { createJobQueue } = require('./lib/jobQueue');
+const { createSettlementConfirmer } = require('./lib/settlement');
+const { FAILURE_CLASSES, classifyExecutionFailure, createRetryPolicy } = require('./lib/swapRetry');
+const { loadSlippageConfig, createSlippagePolicy } = require('./lib/slippagePolicy');
+const { loadRiskConfig, createRiskManager } = require('./lib/riskManager');
+const { createAdminAuth } = require('./lib/adminAuth');
+const { createPauseControl } = require('./lib/pauseControl');
+const { loadKeystoreDirectory, loadEnvKeys, createWalletRegistry } = require('./lib/walletRegistry');
+const { readPassphraseFile, promptPassphrase } = require('./lib/keystore');
+const { createLocalSigner, createRemoteSigner } = require('./lib/signer');
+const { createTransactionInspector } = require('./lib/transactionInspector');
+const { createTokenMetadataCache } = require('./lib/tokenMetadata');
+const { normalizeEndpoint, createMetricsRegistry } = require('./lib/metrics');
+const { logger, withLogContext, setLogContext } = require('./lib/logger');
+const { loadNotificationConfig, createNotifier } = require('./lib/notifier');
+const { parseHoldings } = require('./lib/holdings');
+const { sumVirtualBalances, createReconciler } = require('./lib/reconciler');
+const { loadRebalanceConfig, createRebalancer } = require('./lib/rebalancer');
+const { createPaperLedger } = require('./lib/paperLedger');
+const { COST_METHODS, createPositionLedger } = require('./lib/positionLedger');
+const { loadExitTriggerConfig, resolveLevels, createExitTriggers } = require('./lib/exitTriggers');
+const { createLimitOrderBook } = require('./lib/limitOrders');
+const { resolveSlicePlan, sliceFraction, executeSlices } = require('./lib/slicedExecution');
+const { createEventRegistry } = require('./lib/eventRegistry');
+const { createUnknownEventStore } = require('./lib/unknownEvents');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+app.use(assignRequestId);
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Environment variables
 const JUPITER_API_KEY = process.env.JUPITER_API_KEY; // Optional - for enhanced rate limits
-const PRIVATE_KEY = process.env.PRIVATE_KEY; // Base58 encoded private key
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET; // Optional webhook verification
+const PRIVATE_KEY = process.env.PRIVATE_KEY; // Legacy plaintext base58 private key (the "default" wallet) - prefer the keystore
+const WALLET_KEYSTORE_DIR = process.env.WALLET_KEYSTORE_DIR || path.join(__dirname, 'keystore'); // Encrypted <name>.json keystores
+const KEYSTORE_PASSPHRASE_FILE = process.env.KEYSTORE_PASSPHRASE_FILE; // Unlocks the keystore; prompts on the terminal if unset
+const SIGNER_URL = process.env.SIGNER_URL; // Remote signer over HTTP(S), e.g. http://127.0.0.1:8787
+const SIGNER_SOCKET = process.env.SIGNER_SOCKET; // Remote signer over a Unix socket (takes precedence over SIGNER_URL)
+const SIGNER_AUTH_TOKEN = process.env.SIGNER_AUTH_TOKEN; // Bearer token sent to the remote signer
+const SIGNER_TIMEOUT_MS = parseInt(process.env.SIGNER_TIMEOUT_MS) || 10000;
+const WALLET_CONFIG_PATH = process.env.WALLET_CONFIG_PATH || path.join(__dirname, 'config', 'wallets.json');
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET; // HMAC secret for webhook signature verification
+const WEBHOOK_SECRET_PREVIOUS = process.env.WEBHOOK_SECRET_PREVIOUS; // Previous secret, accepted during rotation
+const WEBHOOK_SIGNATURE_HEADER = process.env.WEBHOOK_SIGNATURE_HEADER || 'X-Nexgent-Signature';
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
 const NEXGENT_API_KEY = process.env.NEXGENT_API_KEY; // Required for virtual agent balance
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Bearer key for /admin endpoints (disabled if unset)
+const READ_API_KEY = process.env.READ_API_KEY; // Optional bearer key for the read endpoints only (trades, jobs, positions...)
 const NEXGENT_BASE_URL = process.env.NEXGENT_BASE_URL || 'https://public.api.nexgent.ai';
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const SLIPPAGE_CONFIG_PATH = process.env.SLIPPAGE_CONFIG_PATH || path.join(__dirname, 'config', 'slippage.json');
+const RISK_CONFIG_PATH = process.env.RISK_CONFIG_PATH || path.join(__dirname, 'config', 'risk.json');
+const NOTIFICATIONS_CONFIG_PATH = process.env.NOTIFICATIONS_CONFIG_PATH || path.join(__dirname, 'config', 'notifications.json');
+const REBALANCE_CONFIG_PATH = process.env.REBALANCE_CONFIG_PATH || path.join(__dirname, 'config', 'rebalance.json');
+const EXIT_TRIGGER_CONFIG_PATH = process.env.EXIT_TRIGGER_CONFIG_PATH || path.join(__dirname, 'config', 'exit-triggers.json');
+const BALANCE_DRIFT_ALERT_PCT = parseFloat(process.env.BALANCE_DRIFT_ALERT_PCT) || 10; // Notify when actual and virtual balances differ by more
+const LIMIT_ORDER_MAX_DEVIATION_PCT = parseFloat(process.env.LIMIT_ORDER_MAX_DEVIATION_PCT) || 0; // Rest signals quoted this much above price_at_signal (0 = off)
+const LIMIT_ORDER_TTL_MINUTES = parseFloat(process.env.LIMIT_ORDER_TTL_MINUTES) || 60;
+const TWAP_AUTO_IMPACT_PCT = parseFloat(process.env.TWAP_AUTO_IMPACT_PCT) || 0; // Slice trades quoted with more price impact than this (0 = off)
+const AGENT_LIFECYCLE_EVENTS = ['agentPaused', 'agentStopped', 'agentDeleted'];
+const AGENT_RESUME_EVENTS = ['agentResumed', 'agentStarted']; // Lift the pause a lifecycle event set
+const LIFECYCLE_ACTIONS = ['freeze', 'liquidate']; // freeze pauses the agent; liquidate sells its positions first
+// A sliced trade holds one of the WEBHOOK_WORKER_CONCURRENCY queue workers (and its agent and mint locks) for the
+// whole window, so its webhook is answered 202 with the job id as soon as slicing starts
+const SLICING_DEFAULTS = {
+    windowSeconds: process.env.TWAP_WINDOW_SECONDS !== undefined ? parseFloat(process.env.TWAP_WINDOW_SECONDS) : 60, // Slices are spread over this window
+    maxSlices: parseInt(process.env.TWAP_MAX_SLICES) || 10,
+    maxSliceImpactPct: parseFloat(process.env.TWAP_MAX_SLICE_IMPACT_PCT) || 1 // Impact-sized slices aim for at most this price impact
+};
 
 const MOCK_MODE = process.env.MOCK_MODE === 'true';
+const PAPER_MODE = process.env.PAPER_MODE === 'true'; // Quote against real balances but never sign or execute
+const PAPER_AGENT_IDS = (process.env.PAPER_AGENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean); // Paper agents while the rest trade live
+const LIVE_AGENT_IDS = (process.env.LIVE_AGENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean); // Live agents while PAPER_MODE is on
+const POSITION_COST_METHOD = (process.env.POSITION_COST_METHOD || 'fifo').toLowerCase(); // fifo or average
+const INSECURE_DEV_MODE = process.env.INSECURE_DEV_MODE === 'true'; // Allows unsigned webhooks - never use in production
+const TEST_ENDPOINTS = MOCK_MODE || INSECURE_DEV_MODE; // POST /test-swap and /test-exit are only served in development
+const API_ERROR_BODY_LIMIT = 500; // Characters of an upstream error response kept in errors and logs
 
-// Initialize wallet from private key
-let wallet;
-try {
-    if (!PRIVATE_KEY) {
-        throw new Error('PRIVATE_KEY environment variable is required');
+// Wallets are unlocked asynchronously before the server starts listening
+let walletRegistry;
+
+// Signing happens in-process unless a remote signer is configured, in which case no keys are loaded here
+const signer = SIGNER_SOCKET || SIGNER_URL
+    ? createRemoteSigner({ url: SIGNER_URL, socketPath: SIGNER_SOCKET, authToken: SIGNER_AUTH_TOKEN, timeoutMs: SIGNER_TIMEOUT_MS })
+    : createLocalSigner();
+
+// Function to get the keystore passphrase from KEYSTORE_PASSPHRASE_FILE or a terminal prompt
+function getKeystorePassphrase() {
+    if (KEYSTORE_PASSPHRASE_FILE) {
+        return readPassphraseFile(KEYSTORE_PASSPHRASE_FILE);
     }
-    wallet = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-    console.log('Wallet initialized:', wallet.publicKey.toString());
-} catch (error) {
-    console.error('Error initializing wallet:', error.message);
-    process.exit(1);
+    return promptPassphrase(`🔐 Keystore passphrase for ${WALLET_KEYSTORE_DIR}: `);
+}
+
+// Function to pick the default wallet when the wallets config doesn't name one: "default", or the only wallet
+function implicitDefaultWallet(walletNames) {
+    if (walletNames.has('default')) return 'default';
+    return walletNames.size === 1 ? walletNames.keys().next().value : null;
+}
+
+// Function to load local keypairs from the keystore directory, WALLET_KEY_<NAME> env vars and PRIVATE_KEY
+async function loadLocalKeypairs() {
+    const { keypairs: keystoreKeypairs, plaintextFiles } = await loadKeystoreDirectory(WALLET_KEYSTORE_DIR, getKeystorePassphrase);
+    const envKeypairs = loadEnvKeys(process.env);
+    const keypairs = new Map([...keystoreKeypairs, ...envKeypairs]);
+    if (PRIVATE_KEY) {
+        try {
+            keypairs.set('default', Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY)));
+        } catch (error) {
+            throw new Error('Invalid PRIVATE_KEY');
+        }
+    }
+    
+    const plaintextSources = [...plaintextFiles, ...Array.from(envKeypairs.keys(), name => `WALLET_KEY_${name.toUpperCase()}`)];
+    if (PRIVATE_KEY) plaintextSources.push('PRIVATE_KEY');
+    if (plaintextSources.length > 0) {
+        logger.warn('Plaintext signing keys in use - move them into the encrypted keystore with: npm run keystore -- import <name>', { sources: plaintextSources });
+    }
+    return keypairs;
+}
+
+// Function to initialize the wallet registry from local keys, or from the wallets a remote signer holds
+async function initializeWallets() {
+    let keypairs = new Map();
+    let publicKeys = new Map();
+    
+    if (signer.type === 'local') {
+        keypairs = await loadLocalKeypairs();
+    } else {
+        if (PRIVATE_KEY) {
+            logger.warn('PRIVATE_KEY is ignored while a remote signer is configured');
+        }
+        const remoteWallets = await signer.listWallets();
+        publicKeys = new Map(remoteWallets.map(({ name, publicKey }) => [name, publicKey]));
+        logger.info('Remote signer wallets loaded', { signer: SIGNER_SOCKET || SIGNER_URL, wallets: publicKeys.size });
+    }
+    
+    // Without a wallets config every agent trades from the default wallet
+    const walletConfig = fs.existsSync(WALLET_CONFIG_PATH) ? JSON.parse(fs.readFileSync(WALLET_CONFIG_PATH, 'utf8')) : {};
+    const walletNames = new Map([...publicKeys, ...keypairs]);
+    walletRegistry = createWalletRegistry({
+        keypairs,
+        publicKeys,
+        agentWallets: walletConfig.agents || null,
+        defaultWallet: walletConfig.defaultWallet !== undefined ? walletConfig.defaultWallet : implicitDefaultWallet(walletNames)
+    });
+    
+    walletRegistry.listWallets().forEach(({ name, publicKey, agents }) => {
+        logger.info('Wallet initialized', { wallet: name, publicKey, agents });
+    });
+}
+
+// Last SOL price seen, for code paths that can't wait for a fetch (paper fills)
+let lastSolPriceUsd = null;
+
+// Function to check whether an agent's trades are simulated in the paper ledger instead of executed
+function isPaperAgent(agentId) {
+    if (agentId && LIVE_AGENT_IDS.includes(agentId)) return false;
+    if (agentId && PAPER_AGENT_IDS.includes(agentId)) return true;
+    return PAPER_MODE;
+}
+
+// Function to get the wallet an agent trades from (the default wallet for manual/admin trades)
+function getTradingWallet(agentId) {
+    return agentId ? walletRegistry.getWalletForAgent(agentId) : walletRegistry.getDefaultWallet();
 }
 
 // Check required environment variables
 if (!NEXGENT_API_KEY && !MOCK_MODE) {
-    console.error('NEXGENT_API_KEY environment variable is required for virtual agent balance checks');
+    logger.error('NEXGENT_API_KEY environment variable is required for virtual agent balance checks');
+    process.exit(1);
+}
+
+if (!WEBHOOK_SECRET && !INSECURE_DEV_MODE) {
+    logger.error('WEBHOOK_SECRET environment variable is required (set INSECURE_DEV_MODE=true to accept unsigned webhooks locally)');
+    process.exit(1);
+}
+
+if (!COST_METHODS.includes(POSITION_COST_METHOD)) {
+    logger.error(`POSITION_COST_METHOD must be one of: ${COST_METHODS.join(', ')}`, { value: POSITION_COST_METHOD });
+    process.exit(1);
+}
+
+// What each agent lifecycle event does, e.g. AGENT_LIFECYCLE_ACTIONS=agentStopped=liquidate,agentDeleted=liquidate (default: freeze)
+const agentLifecycleActions = Object.fromEntries(AGENT_LIFECYCLE_EVENTS.map(event => [event, 'freeze']));
+for (const entry of (process.env.AGENT_LIFECYCLE_ACTIONS || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [event, action] = entry.split('=').map(part => part.trim());
+    if (!AGENT_LIFECYCLE_EVENTS.includes(event) || !LIFECYCLE_ACTIONS.includes(action)) {
+        logger.error(`AGENT_LIFECYCLE_ACTIONS entries must be <event>=<action> with an event of ${AGENT_LIFECYCLE_EVENTS.join(', ')} and an action of ${LIFECYCLE_ACTIONS.join(', ')}`, { value: entry });
+        process.exit(1);
+    }
+    agentLifecycleActions[event] = action;
+}
+
+// Load slippage policy rules
+let slippagePolicy;
+try {
+    slippagePolicy = createSlippagePolicy(loadSlippageConfig(SLIPPAGE_CONFIG_PATH));
+    logger.info('Slippage policy loaded', { rules: slippagePolicy.config.rules.length, path: SLIPPAGE_CONFIG_PATH });
+} catch (error) {
+    logger.error('Error loading slippage policy', { error: error.message });
+    process.exit(1);
+}
+
+// Load pre-trade risk limits
+let riskConfig;
+try {
+    riskConfig = loadRiskConfig(RISK_CONFIG_PATH);
+    logger.info('Risk limits loaded', { path: RISK_CONFIG_PATH });
+} catch (error) {
+    logger.error('Error loading risk limits', { error: error.message });
+    process.exit(1);
+}
+
+// Load outbound notification targets (optional - no file means notifications are off)
+let notificationConfig;
+try {
+    notificationConfig = loadNotificationConfig(NOTIFICATIONS_CONFIG_PATH);
+} catch (error) {
+    logger.error('Error loading notification targets', { error: error.message });
+    process.exit(1);
+}
+
+// Load rebalance settings (optional - no file means the defaults)
+let rebalanceConfig;
+try {
+    rebalanceConfig = loadRebalanceConfig(REBALANCE_CONFIG_PATH);
+} catch (error) {
+    logger.error('Error loading rebalance settings', { error: error.message });
+    process.exit(1);
+}
+
+// Load default stop-loss / take-profit / trailing-stop levels (optional - no file means only webhook levels apply)
+let exitTriggerConfig;
+try {
+    exitTriggerConfig = loadExitTriggerConfig(EXIT_TRIGGER_CONFIG_PATH);
+} catch (error) {
+    logger.error('Error loading exit trigger levels', { error: error.message });
     process.exit(1);
 }
 
+// Webhook signature verification
+const verifyWebhookSignature = createWebhookVerifier({
+    secrets: [WEBHOOK_SECRET, WEBHOOK_SECRET_PREVIOUS],
+    headerName: WEBHOOK_SIGNATURE_HEADER,
+    toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS,
+    allowUnsigned: INSECURE_DEV_MODE
+});
+
+// Persistent dedup store so retried webhook deliveries never trade twice
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 168; // 7 days
+const idempotencyStore = createIdempotencyStore({
+    filePath: resolveDataPath('idempotency.jsonl'),
+    ttlMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000
+});
+
+// Persistent journal of every swap attempt
+const tradeJournal = createTradeJournal({ filePath: resolveDataPath('trades.jsonl') });
+
+// Cost basis and realized PnL per agent and mint, built from executed fills (seeded from the journal on first run)
+const positionLedger = createPositionLedger({
+    filePath: resolveDataPath('positions.jsonl'),
+    method: POSITION_COST_METHOD,
+    seedFills: () => tradeJournal.filter(trade => trade.success).map(positionFillFromTrade).filter(Boolean)
+});
+
+// Simulated fills and positions of paper-trading agents, kept apart from the trade journal
+const paperLedger = createPaperLedger({ filePath: resolveDataPath('paper-trades.jsonl'), method: POSITION_COST_METHOD });
+
+// Admin endpoint authentication
+const requireAdmin = createAdminAuth({ apiKey: ADMIN_API_KEY });
+const requireReader = createAdminAuth({ apiKey: ADMIN_API_KEY, readApiKey: READ_API_KEY });
+
+// Persistent kill switch and per-agent pause controls
+const pauseControl = createPauseControl({ filePath: resolveDataPath('pause-state.json') });
+
+// Handlers for the event types the job queue runs - POST /webhook accepts all but the internal ones
+const eventRegistry = createEventRegistry();
+eventRegistry.register('agentTransactions', {
+    process: processAgentTransaction,
+    description: 'Mirror an agent swap (input_mint, output_mint, input_amount)',
+    idField: 'transactionId',
+    getMints: data => ({ inputMint: data.input_mint, outputMint: data.output_mint }),
+    getLocks: getJobLocks
+});
+eventRegistry.register('tradeSignals', {
+    process: processTradeSignal,
+    description: 'Buy token_address on a trade signal (trade_amount of input_mint, SOL by default)',
+    idField: 'signalId',
+    getMints: data => ({ inputMint: data.input_mint || SOL_MINT, outputMint: data.token_address }),
+    getLocks: getJobLocks
+});
+eventRegistry.register('exitTrigger', { process: processExitTrigger, idField: 'triggerId', internal: true });
+eventRegistry.register('limitOrder', { process: processLimitOrder, idField: 'limitOrderId', internal: true });
+eventRegistry.register('rebalanceSell', {
+    process: processRebalanceSell,
+    idField: 'rebalanceSellId',
+    getMints: data => ({ inputMint: data.input_mint, outputMint: data.output_mint }),
+    getLocks: getJobLocks,
+    internal: true,
+    pausable: false // An admin rebalance waits on it, so a pause rejects it instead of holding it
+});
+eventRegistry.register('testSwap', {
+    process: processTestSwap,
+    idField: 'testSwapId',
+    getMints: data => ({ inputMint: data.input_mint, outputMint: data.output_mint }),
+    getLocks: getJobLocks,
+    internal: true
+});
+for (const event of AGENT_LIFECYCLE_EVENTS) {
+    eventRegistry.register(event, {
+        process: processAgentLifecycle,
+        description: `${agentLifecycleActions[event] === 'liquidate' ? 'Sell the agent\'s positions and pause it' : 'Pause the agent, keeping its positions'} (AGENT_LIFECYCLE_ACTIONS)`,
+        pausable: false // Freezing an agent that is already paused must still go through
+    });
+}
+for (const event of AGENT_RESUME_EVENTS) {
+    eventRegistry.register(event, {
+        process: processAgentResume,
+        description: 'Lift the pause an agent lifecycle event set (admin pauses stay)',
+        pausable: false // It exists to end a pause
+    });
+}
+eventRegistry.register('balanceSync', {
+    process: processBalanceSync,
+    description: 'Nexgent changed the agent\'s virtual balances - reconcile them against the wallet now',
+    pausable: false // Read-only, so it runs while the agent is paused
+});
+
+// Webhooks for event types without a handler, kept for inspection instead of being dropped
+const unknownEvents = createUnknownEventStore({
+    filePath: resolveDataPath('unknown-events.jsonl'),
+    retentionMs: (parseFloat(process.env.UNKNOWN_EVENT_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000
+});
+
+// Persistent webhook job queue - orders are serialized per agent and per token mint
+const ASYNC_WEBHOOKS = process.env.ASYNC_WEBHOOKS === 'true'; // Respond 202 + job id instead of waiting for the swap
+const jobQueue = createJobQueue({
+    filePath: resolveDataPath('jobs.jsonl'),
+    concurrency: parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 2,
+    retentionMs: (parseFloat(process.env.JOB_RETENTION_HOURS) || 72) * 60 * 60 * 1000,
+    handler: runWebhookJob,
+    isHeld: job => eventRegistry.get(job.event)?.pausable !== false && !!pauseControl.getPause(job.agentId) // Jobs for paused agents wait for replay
+});
+
+// Jobs running sliced execution; a job's id is emitted when it switches, so the webhook waiting on it can stop waiting
+const slicingJobs = new EventEmitter();
+const slicingJobIds = new Set();
+
+// Prometheus metrics served on GET /metrics
+const metricsRegistry = createMetricsRegistry();
+const metrics = {
+    webhookRequests: metricsRegistry.counter('webhook_requests_total', 'Webhook deliveries by event and HTTP outcome', ['event', 'outcome']),
+    webhookProcessed: metricsRegistry.counter('webhook_events_processed_total', 'Webhook events processed by the job queue by event and outcome', ['event', 'outcome']),
+    swapStageDuration: metricsRegistry.histogram('swap_stage_duration_seconds', 'Swap pipeline stage latency', ['stage', 'outcome']),
+    apiRequests: metricsRegistry.counter('external_api_requests_total', 'Jupiter and Nexgent API calls by endpoint and status', ['api', 'endpoint', 'status']),
+    apiErrors: metricsRegistry.counter('external_api_errors_total', 'Failed Jupiter and Nexgent API calls by endpoint and status', ['api', 'endpoint', 'status']),
+    apiDuration: metricsRegistry.histogram('external_api_request_duration_seconds', 'Jupiter and Nexgent API latency', ['api', 'endpoint', 'status']),
+    exitStrategies: metricsRegistry.counter('exit_strategy_total', 'Exit strategies chosen for agent exits', ['strategy']),
+    slippageBps: metricsRegistry.histogram('swap_slippage_bps', 'Slippage of Jupiter orders in basis points', ['direction'],
+        [10, 25, 50, 100, 200, 300, 500, 800, 1000, 1500, 2500]),
+    priceImpactPct: metricsRegistry.histogram('swap_price_impact_pct', 'Quoted price impact of Jupiter orders in percent', ['direction'],
+        [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 25]),
+    trades: metricsRegistry.counter('trades_total', 'Journaled trades by source and status', ['source', 'status']),
+    volume: metricsRegistry.counter('trade_volume_base_units_total', 'Realized trade volume in token base units', ['agent_id', 'mint', 'side']),
+    volumeSol: metricsRegistry.counter('trade_volume_sol_total', 'Realized trade volume in SOL for trades with SOL on one side', ['agent_id', 'direction']),
+    notifications: metricsRegistry.counter('notifications_total', 'Outbound notification deliveries by target and outcome', ['target', 'outcome']),
+    paperTrades: metricsRegistry.counter('paper_trades_total', 'Paper-ledger trades by source and status', ['source', 'status'])
+};
+
+// Outbound notifications (trade outcomes, risk rejections, fallbacks, drift, pauses) with a persistent retry queue
+const notifier = createNotifier({
+    targets: notificationConfig.targets,
+    filePath: resolveDataPath('notifications.jsonl'),
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+    baseDelayMs: parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS) || 2000,
+    retentionMs: (parseFloat(process.env.NOTIFICATION_RETENTION_HOURS) || 72) * 60 * 60 * 1000,
+    onDelivery: ({ target, outcome }) => metrics.notifications.inc({ target, outcome })
+});
+// Scheduled virtual-vs-actual balance reconciliation with persistent drift snapshots
+const RECONCILE_INTERVAL_MINUTES = process.env.RECONCILE_INTERVAL_MINUTES !== undefined
+    ? parseFloat(process.env.RECONCILE_INTERVAL_MINUTES) || 0 // 0 disables the schedule
+    : 15;
+const RECONCILE_AGENT_IDS = (process.env.RECONCILE_AGENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const reconciler = createReconciler({
+    filePath: resolveDataPath('reconciliation.jsonl'),
+    intervalMs: RECONCILE_INTERVAL_MINUTES * 60 * 1000,
+    driftThresholdPct: BALANCE_DRIFT_ALERT_PCT,
+    realertMs: (parseFloat(process.env.RECONCILE_REALERT_HOURS) || 6) * 60 * 60 * 1000,
+    retentionMs: (parseFloat(process.env.RECONCILE_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    listAgents: listReconciledAgents,
+    // A shared wallet holds every one of its agents' tokens, so it is compared with their virtual balances combined
+    fetchBalances: async agentId => {
+        const wallet = walletRegistry.getWalletForAgent(agentId);
+        const agents = getWalletAgents(agentId);
+        const [virtualBalancesList, holdings] = await Promise.all([
+            Promise.all(agents.map(getVirtualAgentBalance)),
+            getWalletHoldings(wallet.publicKey)
+        ]);
+        const virtualBalances = agents.length === 1 ? virtualBalancesList[0] : sumVirtualBalances(virtualBalancesList);
+        return { wallet: wallet.publicKey, agents, virtualBalances, holdings };
+    },
+    resolveSymbol: mint => tokenMetadata.get(mint)?.symbol || null,
+    onDrift: notifyBalanceDrift
+});
+metricsRegistry.gauge('balance_drift_tokens', 'Tokens over the drift threshold in the latest reconciliation per agent', () =>
+    reconciler.latest().map(snapshot => ({ labels: { agent_id: snapshot.agentId }, value: snapshot.drifted.length })));
+metricsRegistry.gauge('exit_triggers', 'Exit triggers by status', () =>
+    Object.entries(exitTriggers.stats()).map(([status, value]) => ({ labels: { status }, value })));
+metricsRegistry.gauge('limit_orders', 'Limit orders by status', () =>
+    Object.entries(limitOrders.stats()).map(([status, value]) => ({ labels: { status }, value })));
+metricsRegistry.gauge('webhook_jobs', 'Webhook jobs by status', () => {
+    const stats = jobQueue.stats();
+    return ['queued', 'running', 'succeeded', 'failed'].map(status => ({ labels: { status }, value: stats[status] || 0 }));
+});
+
+// Function to call an external API with fetch, recording count, errors and latency
+async function fetchWithMetrics(api, endpoint, url, config) {
+    const labels = { api, endpoint: normalizeEndpoint(endpoint) };
+    const endTimer = metrics.apiDuration.startTimer(labels);
+    let status = 'network_error';
+    try {
+        const response = await fetch(url, config);
+        status = String(response.status);
+        return response;
+    } finally {
+        endTimer({ status });
+        metrics.apiRequests.inc({ ...labels, status });
+        if (!/^2/.test(status)) {
+            metrics.apiErrors.inc({ ...labels, status });
+        }
+    }
+}
+
+// Middleware to tag the request (and every log line it produces) with a request id, echoed as X-Request-Id
+// A caller-supplied X-Request-Id is reused so logs correlate across services.
+function assignRequestId(req, res, next) {
+    const supplied = req.get('x-request-id');
+    const requestId = supplied && /^[\w.:-]{1,128}$/.test(supplied) ? supplied : crypto.randomUUID();
+    const startedAt = Date.now();
+
+    res.locals.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    withLogContext({ requestId }, () => {
+        res.on('finish', () => {
+            // Probes and scrapes would drown everything else at info level
+            const quiet = req.path === '/health' || req.path === '/metrics';
+            logger[quiet ? 'debug' : 'info']('Request completed', {
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Date.now() - startedAt
+            });
+        });
+        next();
+    }, { inherit: false });
+}
+
+// Middleware to count webhook deliveries by event and outcome once the response is sent
+function countWebhookRequest(req, res, next) {
+    res.on('finish', () => {
+        const defaultOutcomes = { 400: 'invalid', 401: 'unauthorized' };
+        metrics.webhookRequests.inc({
+            event: res.locals.webhookOutcome === 'unknown_event' ? 'unknown' : (req.body?.event || 'unknown'), // Bounded label set
+            outcome: res.locals.webhookOutcome || defaultOutcomes[res.statusCode] || `http_${res.statusCode}`
+        });
+    });
+    next();
+}
+
 // Jupiter API base URLs
 const JUPITER_BASE_URL = JUPITER_API_KEY ? 'https://api.jup.ag' : 'https://lite-api.jup.ag';
 
+// Wrapped SOL mint - the quote currency for entries and exits
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Solana RPC connection shared by decimals lookups and settlement confirmation
+const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+
+// On-chain confirmation of executed swaps
+const { confirmSwap, checkDropped } = createSettlementConfirmer({
+    connection,
+    commitment: process.env.SWAP_CONFIRM_COMMITMENT || 'confirmed',
+    timeoutMs: parseInt(process.env.SWAP_CONFIRM_TIMEOUT_MS) || 60000,
+    pollIntervalMs: parseInt(process.env.SWAP_CONFIRM_POLL_MS) || 2000,
+    mockMode: MOCK_MODE
+});
+
+// Retry policy for failed or expired swaps
+const swapRetryPolicy = createRetryPolicy({
+    maxAttempts: parseInt(process.env.SWAP_MAX_ATTEMPTS) || 3,
+    maxElapsedMs: parseInt(process.env.SWAP_RETRY_MAX_ELAPSED_MS) || 45000,
+    baseDelayMs: parseInt(process.env.SWAP_RETRY_DELAY_MS) || 500,
+    slippageStepBps: parseInt(process.env.SLIPPAGE_RETRY_STEP_BPS) || 200,
+    slippageCeilingsBps: {
+        buy: parseInt(process.env.SLIPPAGE_CEILING_BUY_BPS) || 500,
+        sell: parseInt(process.env.SLIPPAGE_CEILING_SELL_BPS) || 1000,
+        exit: parseInt(process.env.SLIPPAGE_CEILING_EXIT_BPS) || 1500
+    }
+});
+
+// Decode, allowlist-check and simulate every Jupiter transaction before it is signed
+const transactionInspector = createTransactionInspector({
+    connection,
+    extraPrograms: (process.env.TRANSACTION_EXTRA_PROGRAMS || '').split(',').map(id => id.trim()).filter(Boolean),
+    maxSolOverheadLamports: parseInt(process.env.TRANSACTION_MAX_SOL_OVERHEAD_LAMPORTS) || 10000000, // fees + ATA rent
+    simulate: process.env.TRANSACTION_SIMULATION !== 'false',
+    mockMode: MOCK_MODE
+});
+
+// Token metadata (decimals, symbol, name, verified) from Jupiter's token API, then the mint account on-chain
+const tokenMetadata = createTokenMetadataCache({
+    filePath: resolveDataPath('token-metadata.json'),
+    ttlMs: (parseInt(process.env.TOKEN_METADATA_TTL_HOURS) || 24) * 60 * 60 * 1000,
+    sources: [
+        {
+            name: 'jupiter',
+            fetch: async mint => {
+                const results = await makeJupiterRequest(`/tokens/v2/search?query=${mint}`);
+                const token = (Array.isArray(results) ? results : []).find(result => result.id === mint);
+                return token && { decimals: token.decimals, symbol: token.symbol, name: token.name, verified: token.isVerified };
+            }
+        },
+        ...(MOCK_MODE ? [] : [{
+            name: 'rpc',
+            fetch: async mint => {
+                const mintInfo = await connection.getParsedAccountInfo(new PublicKey(mint));
+                const decimals = mintInfo.value?.data?.parsed?.info?.decimals;
+                return decimals === undefined ? null : { decimals };
+            }
+        }])
+    ]
+});
+if (!tokenMetadata.get(SOL_MINT)) {
+    tokenMetadata.seed(SOL_MINT, { decimals: 9, symbol: 'SOL', name: 'Wrapped SOL', verified: true });
+}
+
+// Pre-trade risk limits and guardrails
+const riskManager = createRiskManager({
+    config: riskConfig,
+    getSolBalance,
+    getHeldTokenMints,
+    getDailySpendSol,
+    getSolPriceUsd
+});
+
+// Sells off tokens the wallet holds beyond the agent's virtual balance (dry run, or queued sells that serialize with webhooks)
+const rebalancer = createRebalancer({
+    config: rebalanceConfig,
+    filePath: resolveDataPath('rebalances.jsonl'),
+    retentionMs: (parseFloat(process.env.REBALANCE_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000,
+    reconcile: agentId => reconciler.reconcile(agentId),
+    getDecimals: getTokenDecimals,
+    quoteSell: (agentId, tokenMint, amount) => getSwapOrder(tokenMint, SOL_MINT, amount, null, walletRegistry.getWalletForAgent(agentId).publicKey),
+    checkQuote: (agentId, tokenMint, order) => riskManager.checkQuote({ agentId, direction: getTradeDirection(tokenMint, SOL_MINT), tokenMint, sizeSol: null }, order),
+    getPause: agentId => pauseControl.getPause(agentId),
+    getWalletAgents,
+    executeSell: runRebalanceSell
+});
+
+// Server-side stop-loss, take-profit and trailing-stop levels on entered positions, fired by polling Jupiter quotes
+// A fired trigger sells through the job queue, so it serializes with webhooks for the same agent and token.
+const PRICE_MONITOR_INTERVAL_SECONDS = process.env.PRICE_MONITOR_INTERVAL_SECONDS !== undefined
+    ? parseFloat(process.env.PRICE_MONITOR_INTERVAL_SECONDS) || 0 // 0 disables the monitor
+    : 30;
+const exitTriggers = createExitTriggers({
+    filePath: resolveDataPath('exit-triggers.jsonl'),
+    intervalMs: PRICE_MONITOR_INTERVAL_SECONDS * 1000,
+    retentionMs: (parseFloat(process.env.EXIT_TRIGGER_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    maxAttempts: parseInt(process.env.EXIT_TRIGGER_MAX_ATTEMPTS) || 3,
+    quotePrice: quoteExitPrice,
+    onTrigger: enqueueExitTrigger,
+    isPaused: agentId => !!pauseControl.getPause(agentId)
+});
+
+// Triggers whose exit job died with the previous process may have sold already - never fire them again blindly
+for (const trigger of exitTriggers.list({ status: 'triggered' })) {
+    const job = trigger.jobId ? jobQueue.get(trigger.jobId) : null;
+    if (!job || (job.status === 'failed' && !job.result)) {
+        const abandoned = exitTriggers.abandon(trigger.id, 'INTERRUPTED: server restarted while this exit was running - check the wallet, the position may still be open');
+        notifier.notify('exit.abandoned', {
+            agentId: abandoned.agentId,
+            title: `Exit trigger for ${abandoned.tokenSymbol || abandoned.tokenMint} abandoned`,
+            message: abandoned.error,
+            fields: { Trigger: abandoned.id, 'Fired by': abandoned.firedBy, Token: abandoned.tokenMint, Amount: abandoned.amount, Job: abandoned.jobId }
+        });
+    }
+}
+
+// Trade signals quoted too far above their price_at_signal rest as limit orders, re-quoted until they fill or expire
+const LIMIT_ORDER_CHECK_INTERVAL_SECONDS = process.env.LIMIT_ORDER_CHECK_INTERVAL_SECONDS !== undefined
+    ? parseFloat(process.env.LIMIT_ORDER_CHECK_INTERVAL_SECONDS) || 0 // 0 disables the monitor
+    : 15;
+const limitOrders = createLimitOrderBook({
+    filePath: resolveDataPath('limit-orders.jsonl'),
+    intervalMs: LIMIT_ORDER_CHECK_INTERVAL_SECONDS * 1000,
+    retentionMs: (parseFloat(process.env.LIMIT_ORDER_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    quotePrice: async order => {
+        const quote = await getSwapOrder(order.inputMint, order.outputMint, order.amount, null, walletRegistry.getWalletForAgent(order.agentId).publicKey);
+        return getQuotedPriceUsd(quote);
+    },
+    onFill: enqueueLimitOrderFill,
+    isPaused: agentId => !!pauseControl.getPause(agentId)
+});
+
+// Orders whose buy job died with the previous process may have filled already - never buy them again blindly
+for (const order of limitOrders.list({ status: 'filling' })) {
+    const job = order.jobId ? jobQueue.get(order.jobId) : null;
+    if (!job || (job.status === 'failed' && !job.result)) {
+        limitOrders.abandon(order.id, 'INTERRUPTED: server restarted while this order was filling - check the trade journal and wallet');
+    }
+}
+
 // Function to make Nexgent API requests
 async function makeNexgentRequest(endpoint, method = 'GET', body = null) {
     if (MOCK_MODE) {
-        console.log(`🧪 Mock Nexgent API Call: ${method} ${endpoint}`);
+        logger.debug('Mock Nexgent API call', { method, endpoint });
         await new Promise(resolve => setTimeout(resolve, 300)); // Simulate network delay
         
         // Mock virtual agent balances
@@ -94,16 +681,16 @@ async function makeNexgentRequest(endpoint, method = 'GET', body = null) {
     }
 
     try {
-        const response = await fetch(`${NEXGENT_BASE_URL}${endpoint}`, config);
+        const response = await fetchWithMetrics('nexgent', endpoint, `${NEXGENT_BASE_URL}${endpoint}`, config);
         
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`Nexgent API error: ${response.status} - ${errorText}`);
+            throw new Error(`Nexgent API error: ${response.status} - ${errorText.slice(0, API_ERROR_BODY_LIMIT)}`);
         }
         
         return await response.json();
     } catch (error) {
-        console.error('Nexgent API request failed:', error);
+        logger.warn('Nexgent API request failed', { method, endpoint, error: error.message });
         throw error;
     }
 }
@@ -111,18 +698,17 @@ async function makeNexgentRequest(endpoint, method = 'GET', body = null) {
 // Function to get virtual agent's wallet balance
 async function getVirtualAgentBalance(agentId) {
     try {
-        console.log(`🔍 Fetching virtual balance for agent: ${agentId}`);
         const response = await makeNexgentRequest(`/agent/${agentId}/wallet/balance`);
         
-        console.log('📊 Virtual agent balances:', {
-            totalValue: response.total_value_usd,
+        logger.debug('Virtual agent balances fetched', {
+            totalValueUsd: response.total_value_usd,
             tokenCount: response.balances.length,
             balances: response.balances.map(b => ({ symbol: b.symbol, balance: b.balance }))
         });
         
         return response;
     } catch (error) {
-        console.error('Error fetching virtual agent balance:', error);
+        logger.warn('Error fetching virtual agent balance', { error: error.message });
         throw error;
     }
 }
@@ -140,37 +726,46 @@ function findVirtualTokenBalance(virtualBalances, tokenMint, tokenSymbol) {
     return virtualToken ? virtualToken.balance : 0;
 }
 
+// Function to build an unsigned v0 transaction paid by the taker, so mock swaps exercise real signing
+function buildMockTransaction(taker) {
+    const message = new TransactionMessage({
+        payerKey: new PublicKey(taker),
+        recentBlockhash: bs58.encode(Buffer.alloc(32, 1)),
+        instructions: [ComputeBudgetProgram.setComputeUnitLimit({ units: 200000 })]
+    }).compileToV0Message();
+    return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
 // Function to make Jupiter API requests
 async function makeJupiterRequest(endpoint, method = 'GET', body = null) {
     if (MOCK_MODE) {
-        console.log(`🧪 Mock Jupiter API Call: ${method} ${endpoint}`);
+        logger.debug('Mock Jupiter API call', { method, endpoint });
         await new Promise(resolve => setTimeout(resolve, 500)); // Simulate network delay
         
         if (endpoint.includes('/ultra/v1/holdings/')) {
+            // Same shape as the real API: native SOL at the top level, SPL token accounts per mint
             return {
-                holdings: [
-                    {
-                        mint: "So11111111111111111111111111111111111111112",
-                        symbol: "SOL",
-                        amount: "5000000000", // 5 SOL
-                        decimals: 9,
-                        uiAmount: 5.0
-                    },
-                    {
-                        mint: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
-                        symbol: "USDC", 
+                amount: "5000000000", // 5 SOL
+                uiAmount: 5.0,
+                uiAmountString: "5",
+                tokens: {
+                    "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v": [{
+                        account: "mockUsdcTokenAccount111111111111111111111111",
                         amount: "1000000000", // 1000 USDC (less than virtual's 1200)
+                        uiAmount: 1000.0,
+                        uiAmountString: "1000",
                         decimals: 6,
-                        uiAmount: 1000.0
-                    },
-                    {
-                        mint: "mockTokenMint123",
-                        symbol: "MOCK",
+                        isFrozen: false
+                    }],
+                    "mockTokenMint123": [{
+                        account: "mockTokenAccount1111111111111111111111111111",
                         amount: "750000000", // 750 tokens (less than virtual's 800)
+                        uiAmount: 750.0,
+                        uiAmountString: "750",
                         decimals: 6,
-                        uiAmount: 750.0
-                    }
-                ],
+                        isFrozen: false
+                    }]
+                },
                 mockData: true
             };
         }
@@ -183,11 +778,31 @@ async function makeJupiterRequest(endpoint, method = 'GET', body = null) {
                 outputMint: url.searchParams.get('outputMint'), 
                 inAmount: url.searchParams.get('amount'),
                 outAmount: Math.floor(parseInt(url.searchParams.get('amount')) * 0.98).toString(),
-                transaction: Buffer.from("mock-transaction").toString('base64'),
+                slippageBps: parseInt(url.searchParams.get('slippageBps')) || 50,
+                priceImpactPct: "0.0012",
+                transaction: buildMockTransaction(url.searchParams.get('taker')),
                 requestId: `mock-${Date.now()}`
             };
         }
         
+        if (endpoint.includes('/tokens/v2/search')) {
+            const url = new URL(`https://example.com${endpoint}`);
+            const mint = url.searchParams.get('query');
+            const known = {
+                So11111111111111111111111111111111111111112: { symbol: 'SOL', name: 'Wrapped SOL', decimals: 9 },
+                EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', name: 'USD Coin', decimals: 6 }
+            };
+            return [{ id: mint, isVerified: !!known[mint], ...(known[mint] || { symbol: 'MOCK', name: 'Mock Token', decimals: 6 }) }];
+        }
+        
+        if (endpoint.includes('/price/v3')) {
+            const url = new URL(`https://example.com${endpoint}`);
+            return Object.fromEntries(url.searchParams.get('ids').split(',').map(id => [
+                id,
+                { usdPrice: id === 'So11111111111111111111111111111111111111112' ? 150.0 : 0.5 }
+            ]));
+        }
+        
         if (endpoint === '/ultra/v1/execute') {
             return {
                 status: "success",
@@ -206,7 +821,6 @@ async function makeJupiterRequest(endpoint, method = 'GET', body = null) {
     
     if (JUPITER_API_KEY) {
         headers['X-API-Key'] = JUPITER_API_KEY;
-        console.log('🔑 Using Jupiter API Key');
     }
 
     const config = {
@@ -219,34 +833,32 @@ async function makeJupiterRequest(endpoint, method = 'GET', body = null) {
     }
 
     try {
-        const response = await fetch(`${JUPITER_BASE_URL}${endpoint}`, config);
+        const response = await fetchWithMetrics('jupiter', endpoint, `${JUPITER_BASE_URL}${endpoint}`, config);
         
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`Jupiter API error: ${response.status} - ${errorText}`);
+            throw new Error(`Jupiter API error: ${response.status} - ${errorText.slice(0, API_ERROR_BODY_LIMIT)}`);
         }
         
         return await response.json();
     } catch (error) {
-        console.error('Jupiter API request failed:', error);
+        logger.warn('Jupiter API request failed', { method, endpoint: normalizeEndpoint(endpoint), error: error.message });
         throw error;
     }
 }
 
+// Function to fetch and normalize a wallet's holdings (mint -> summed balance across token accounts)
+async function getWalletHoldings(walletAddress) {
+    return parseHoldings(await makeJupiterRequest(`/ultra/v1/holdings/${walletAddress}`));
+}
+
 // Function to get actual wallet balance for a specific token
-async function getActualTokenBalance(tokenMint) {
+async function getActualTokenBalance(tokenMint, walletAddress) {
     try {
-        const walletAddress = wallet.publicKey.toString();
-        console.log(`🔍 Fetching actual balance for token: ${tokenMint}`);
-        
-        const holdingsResponse = await makeJupiterRequest(`/ultra/v1/holdings/${walletAddress}`);
-        
-        // Handle the actual Jupiter API structure: holdings.tokens[tokenMint][0]
-        const tokens = holdingsResponse.tokens || {};
-        const tokenArray = tokens[tokenMint];
+        const holding = (await getWalletHoldings(walletAddress)).get(tokenMint);
         
-        if (!tokenArray || tokenArray.length === 0) {
-            console.log(`⚠️ Token ${tokenMint} not found in wallet holdings`);
+        if (!holding || holding.amount === "0") {
+            logger.info('Token not found in wallet holdings', { mint: tokenMint });
             return {
                 amount: "0",
                 uiAmount: 0,
@@ -255,88 +867,116 @@ async function getActualTokenBalance(tokenMint) {
             };
         }
         
-        // Get the first (and usually only) token account
-        const tokenHolding = tokenArray[0];
-        
-        console.log(`✅ Found actual token balance:`, {
+        logger.debug('Actual token balance found', {
             mint: tokenMint,
-            amount: tokenHolding.amount,
-            uiAmount: tokenHolding.uiAmount,
-            decimals: tokenHolding.decimals,
-            account: tokenHolding.account
+            amount: holding.amount,
+            uiAmount: holding.uiAmount,
+            decimals: holding.decimals,
+            accounts: holding.accounts
         });
         
         return {
-            amount: tokenHolding.amount,
-            uiAmount: tokenHolding.uiAmount,
-            decimals: tokenHolding.decimals,
-            account: tokenHolding.account,
+            amount: holding.amount,
+            uiAmount: holding.uiAmount,
+            decimals: holding.decimals,
+            account: holding.accounts[0] || null,
             found: true
         };
     } catch (error) {
-        console.error('Error fetching actual token balance:', error);
+        logger.warn('Error fetching actual token balance', { mint: tokenMint, error: error.message });
         throw error;
     }
 }
 
-// Function to get token decimals dynamically
+// Function to get what an agent holds of a token: its paper position for paper agents (paper buys never reach
+// the wallet), else its wallet's holding
+async function getAgentTokenBalance(tokenMint, agentId) {
+    if (!isPaperAgent(agentId)) {
+        return getActualTokenBalance(tokenMint, walletRegistry.getWalletForAgent(agentId).publicKey);
+    }
+    const amount = paperLedger.summary(agentId).positions.find(position => position.mint === tokenMint)?.amount || '0';
+    const decimals = await getTokenDecimals(tokenMint);
+    return { amount, uiAmount: Number(amount) / Math.pow(10, decimals), decimals, found: amount !== '0', paper: true };
+}
+
+// Function to get token decimals from the metadata cache - throws DECIMALS_UNKNOWN instead of guessing
 async function getTokenDecimals(tokenMint) {
-    try {
-        console.log(`🔍 Fetching decimals for token: ${tokenMint}`);
-        
-        const response = await fetch(`https://tokens.jup.ag/token/${tokenMint}`);
-        if (response.ok) {
-            const tokenInfo = await response.json();
-            console.log(`✅ Token info from Jupiter:`, tokenInfo);
-            return tokenInfo.decimals;
-        }
-    } catch (error) {
-        console.log('⚠️ Jupiter token API failed, trying alternative...');
+    return tokenMetadata.getDecimals(tokenMint);
+}
+
+// Function to get the native SOL balance of an agent's wallet
+async function getSolBalance(agentId) {
+    if (MOCK_MODE) {
+        return 5.0;
     }
+    const lamports = await connection.getBalance(new PublicKey(getTradingWallet(agentId).publicKey));
+    return lamports / Math.pow(10, 9);
+}
+
+// Function to list the token mints (other than SOL) an agent's wallet currently holds
+async function getHeldTokenMints(agentId) {
+    const holdings = await getWalletHoldings(getTradingWallet(agentId).publicKey);
     
-    try {
-        const response = await fetch('https://token.jup.ag/all');
-        if (response.ok) {
-            const allTokens = await response.json();
-            const token = allTokens.find(t => t.address === tokenMint);
-            if (token) {
-                console.log(`✅ Found token in Jupiter list:`, token);
-                return token.decimals;
-            }
-        }
-    } catch (error) {
-        console.log('⚠️ Jupiter token list failed');
-    }
+    return Array.from(holdings.values())
+        .filter(holding => holding.mint !== SOL_MINT && holding.uiAmount > 0)
+        .map(holding => holding.mint);
+}
+
+// Function to sum the SOL an agent has spent on buys since midnight UTC
+async function getDailySpendSol(agentId) {
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
     
-    try {
-        console.log('🔄 Querying Solana RPC for mint info...');
-        const connection = new Connection('https://api.mainnet-beta.solana.com');
-        
-        const mintInfo = await connection.getParsedAccountInfo(new PublicKey(tokenMint));
-        if (mintInfo.value && mintInfo.value.data.parsed) {
-            const decimals = mintInfo.value.data.parsed.info.decimals;
-            console.log(`✅ Got decimals from Solana RPC: ${decimals}`);
-            return decimals;
-        }
-    } catch (error) {
-        console.log('⚠️ Solana RPC failed:', error.message);
-    }
+    const trades = tradeJournal.filter(trade =>
+        trade.agentId === agentId &&
+        trade.success &&
+        trade.inputMint === SOL_MINT &&
+        Date.parse(trade.createdAt) >= startOfDay.getTime()
+    );
+    
+    const lamports = trades.reduce((total, trade) =>
+        total + Number(trade.actualInAmount ?? trade.quote?.inAmount ?? 0), 0);
+    return lamports / Math.pow(10, 9);
+}
+
+// Function to get the current SOL price in USD from Jupiter
+async function getSolPriceUsd() {
+    const price = await getTokenPriceUsd(SOL_MINT);
+    lastSolPriceUsd = price;
+    return price;
+}
+
+// Function to get a token's USD price from Jupiter
+async function getTokenPriceUsd(mint) {
+    const prices = await makeJupiterRequest(`/price/v3?ids=${mint}`);
+    const price = prices[mint]?.usdPrice;
     
-    console.log('⚠️ Using default 6 decimals');
-    return 6;
+    if (!price) {
+        throw new Error(`${mint === SOL_MINT ? 'SOL' : mint} price unavailable from Jupiter`);
+    }
+    return price;
+}
+
+// Function to get the USD price per output token a Jupiter order implies
+async function getQuotedPriceUsd(orderResponse) {
+    const [inputDecimals, outputDecimals, inputPriceUsd] = await Promise.all([
+        getTokenDecimals(orderResponse.inputMint),
+        getTokenDecimals(orderResponse.outputMint),
+        orderResponse.inputMint === SOL_MINT ? getSolPriceUsd() : getTokenPriceUsd(orderResponse.inputMint)
+    ]);
+    const inputUsd = Number(orderResponse.inAmount) / Math.pow(10, inputDecimals) * inputPriceUsd;
+    return inputUsd / (Number(orderResponse.outAmount) / Math.pow(10, outputDecimals));
 }
 
 // Function to determine if this is an exit transaction (selling tokens for SOL)
 function isExitTransaction(inputMint, outputMint) {
-    const SOL_MINT = 'So11111111111111111111111111111111111111112';
     return outputMint === SOL_MINT && inputMint !== SOL_MINT;
 }
 
 // Function to calculate exit strategy with simple fallback
 async function calculateExitStrategy(webhookAmount, tokenMint, tokenSymbol, agentId) {
     try {
-        console.log(`📊 Calculating exit strategy for ${tokenSymbol}`);
-        console.log(`   Webhook amount: ${webhookAmount}`);
+        logger.info('Calculating exit strategy', { tokenSymbol, tokenMint, webhookAmount });
         
         let virtualBalance = 0;
         let virtualBalanceFetchSuccess = false;
@@ -347,31 +987,26 @@ async function calculateExitStrategy(webhookAmount, tokenMint, tokenSymbol, agen
             virtualBalance = findVirtualTokenBalance(virtualBalances, tokenMint, tokenSymbol);
             virtualBalanceFetchSuccess = true;
             
-            console.log(`📈 Virtual agent balance fetched successfully:`, {
-                tokenMint: tokenMint,
-                tokenSymbol: tokenSymbol,
-                virtualBalance: virtualBalance,
-                webhookAmount: webhookAmount
-            });
+            logger.info('Virtual agent balance fetched', { tokenMint, virtualBalance, webhookAmount });
             
         } catch (virtualBalanceError) {
-            console.log(`⚠️ Failed to fetch virtual balance for agent ${agentId}:`, virtualBalanceError.message);
-            console.log(`🔄 Using simple fallback strategy: compare actual balance vs webhook amount`);
+            logger.warn('Failed to fetch virtual balance - using simple fallback strategy (actual balance vs webhook amount)', {
+                error: virtualBalanceError.message
+            });
             
             virtualBalance = 0; // Set to zero to trigger fallback logic
             virtualBalanceFetchSuccess = false;
         }
         
-        // Get actual wallet balance
-        const actualBalance = await getActualTokenBalance(tokenMint);
+        // Get actual balance of the agent's own wallet (its paper position for paper agents)
+        const actualBalance = await getAgentTokenBalance(tokenMint, agentId);
         
         if (!actualBalance.found || actualBalance.uiAmount === 0) {
-            console.log('⚠️ Token not found in Jupiter holdings API');
-            console.log('🔄 This could be due to: API lag, very small amounts, or new/unlisted token');
+            logger.warn('Token not found in Jupiter holdings (API lag, very small amount, or new/unlisted token)', { tokenMint });
             
             // In fallback mode, if token not found, skip the transaction gracefully
             if (!virtualBalanceFetchSuccess) {
-                console.log('📋 FALLBACK: Skipping transaction - token not found and virtual balance unavailable');
+                logger.warn('FALLBACK: skipping transaction - token not found and virtual balance unavailable', { tokenMint });
                 return {
                     success: false,
                     error: `Token ${tokenSymbol} not found in wallet holdings (Jupiter API). This could be due to API lag, very small amounts, or unlisted token.`,
@@ -394,25 +1029,18 @@ async function calculateExitStrategy(webhookAmount, tokenMint, tokenSymbol, agen
         let amountToSell;
         
         if (!virtualBalanceFetchSuccess) {
-            // SIMPLE FALLBACK STRATEGY: Virtual balance unavailable
-            console.log('🔄 FALLBACK: Virtual balance unavailable - using simple exit strategy');
-            console.log(`   Comparing: actual balance (${actualBalance.uiAmount}) vs webhook amount (${webhookAmount})`);
-            
+            // SIMPLE FALLBACK STRATEGY: Virtual balance unavailable - compare actual balance vs webhook amount
             if (actualBalance.uiAmount <= webhookAmount) {
                 // Actual balance is less than or equal to webhook amount - exit entire position
                 exitStrategy = 'FALLBACK_EXIT_ALL';
                 percentageToSell = 1.0;
                 amountToSell = actualBalance.uiAmount;
                 
-                console.log(`✅ Actual balance (${actualBalance.uiAmount}) ≤ webhook amount (${webhookAmount}) - exiting ALL actual balance`);
-                
             } else {
                 // Actual balance is greater than webhook amount - exit webhook amount
                 exitStrategy = 'FALLBACK_EXIT_WEBHOOK';
                 percentageToSell = webhookAmount / actualBalance.uiAmount;
                 amountToSell = webhookAmount;
-                
-                console.log(`✅ Actual balance (${actualBalance.uiAmount}) > webhook amount (${webhookAmount}) - exiting webhook amount`);
             }
             
         } else if (virtualBalance === 0) {
@@ -421,16 +1049,12 @@ async function calculateExitStrategy(webhookAmount, tokenMint, tokenSymbol, agen
             percentageToSell = 1.0;
             amountToSell = actualBalance.uiAmount;
             
-            console.log('🚨 Virtual balance is zero - executing FULL EXIT of actual position');
-            
         } else if (webhookAmount >= virtualBalance) {
             // Virtual agent wants to sell everything or more than it has
             exitStrategy = 'FULL_EXIT_COMPLETE';
             percentageToSell = 1.0;
             amountToSell = actualBalance.uiAmount;
             
-            console.log('🚨 Webhook amount >= virtual balance - executing FULL EXIT');
-            
         } else {
             // Partial exit - calculate percentage based on virtual agent's intent
             // The virtual agent has virtualBalance and wants to sell webhookAmount
@@ -438,20 +1062,13 @@ async function calculateExitStrategy(webhookAmount, tokenMint, tokenSymbol, agen
             percentageToSell = webhookAmount / virtualBalance;
             amountToSell = actualBalance.uiAmount * percentageToSell;
             exitStrategy = 'PARTIAL_EXIT';
-            
-            console.log(`📊 Partial exit calculated:`, {
-                virtualBalance: virtualBalance,
-                webhookAmount: webhookAmount,
-                percentageOfVirtual: `${(percentageToSell * 100).toFixed(2)}%`,
-                actualBalance: actualBalance.uiAmount,
-                amountToSell: amountToSell
-            });
         }
         
         // Convert to lamports for Jupiter API
         const amountInLamports = Math.floor(amountToSell * Math.pow(10, actualBalance.decimals));
         
-        console.log(`💰 Exit strategy determined: ${exitStrategy}`, {
+        logger.info('Exit strategy determined', {
+            strategy: exitStrategy,
             percentageToSell: `${(percentageToSell * 100).toFixed(2)}%`,
             amountToSellUI: amountToSell,
             amountInLamports: amountInLamports,
@@ -474,7 +1091,7 @@ async function calculateExitStrategy(webhookAmount, tokenMint, tokenSymbol, agen
         };
         
     } catch (error) {
-        console.error('Error calculating exit strategy:', error);
+        logger.error('Error calculating exit strategy', { tokenMint, error });
         return {
             success: false,
             error: error.message
@@ -483,22 +1100,23 @@ async function calculateExitStrategy(webhookAmount, tokenMint, tokenSymbol, agen
 }
 
 // Function to get Jupiter swap quote/order
-async function getSwapOrder(inputMint, outputMint, amount, slippageBps = null) {
+async function getSwapOrder(inputMint, outputMint, amount, slippageBps, taker) {
     try {
         const params = new URLSearchParams({
             inputMint,
             outputMint,
             amount: amount.toString(),
-            taker: wallet.publicKey.toString()
+            taker
         });
         
-        if (slippageBps !== null) {
+        if (slippageBps !== null && slippageBps !== undefined) {
             params.append('slippageBps', slippageBps.toString());
         }
 
         const orderResponse = await makeJupiterRequest(`/ultra/v1/order?${params}`);
         
-        console.log('Swap order received:', {
+        logger.info('Swap order received', {
+            jupiterRequestId: orderResponse.requestId,
             inputMint: orderResponse.inputMint,
             outputMint: orderResponse.outputMint,
             inAmount: orderResponse.inAmount,
@@ -509,7 +1127,7 @@ async function getSwapOrder(inputMint, outputMint, amount, slippageBps = null) {
         
         return orderResponse;
     } catch (error) {
-        console.error('Error getting swap order:', error);
+        logger.warn('Error getting swap order', { inputMint, outputMint, error: error.message });
         throw error;
     }
 }
@@ -522,68 +1140,560 @@ async function executeSwap(signedTransactionBase64, requestId) {
             requestId: requestId
         });
         
-        console.log('Swap execution result:', executeResponse);
+        logger.info('Swap execution result', {
+            status: executeResponse.status,
+            signature: executeResponse.signature,
+            ...(executeResponse.error && { error: executeResponse.error })
+        });
         return executeResponse;
     } catch (error) {
-        console.error('Error executing swap:', error);
+        logger.warn('Error executing swap', { error: error.message });
         throw error;
     }
 }
 
-// Function to sign transaction
-function signTransaction(transactionBase64) {
+// Function to confirm an executed swap on-chain and read the real fill amounts
+async function settleSwap(executeResponse, orderResponse, owner) {
+    const executed = !!executeResponse.signature && String(executeResponse.status).toLowerCase() === 'success';
+    
+    if (!executed) {
+        return {
+            confirmed: false,
+            confirmationStatus: 'not_executed',
+            slot: null,
+            actualInAmount: null,
+            actualOutAmount: null,
+            error: `Jupiter execution failed: ${executeResponse.error || executeResponse.status}`
+        };
+    }
+    
     try {
-        const transactionBuffer = Buffer.from(transactionBase64, 'base64');
+        const settlement = await confirmSwap({
+            signature: executeResponse.signature,
+            inputMint: orderResponse.inputMint,
+            outputMint: orderResponse.outputMint,
+            owner,
+            quotedInAmount: orderResponse.inAmount,
+            quotedOutAmount: orderResponse.outAmount
+        });
         
-        // Try versioned transaction first (Jupiter Ultra API uses these)
-        try {
-            const versionedTransaction = VersionedTransaction.deserialize(transactionBuffer);
-            versionedTransaction.sign([wallet]);
-            return Buffer.from(versionedTransaction.serialize()).toString('base64');
-        } catch (versionedError) {
-            console.log('Not a versioned transaction, trying legacy format...');
-            
-            // Fallback to legacy transaction
-            const transaction = Transaction.from(transactionBuffer);
-            transaction.sign(wallet);
-            return transaction.serialize().toString('base64');
+        if (settlement.confirmationStatus === 'failed') {
+            settlement.error = `Swap transaction failed on-chain: ${settlement.onChainError}`;
         }
+        
+        return settlement;
     } catch (error) {
-        console.error('Error signing transaction:', error);
-        throw error;
+        // RPC trouble doesn't mean the swap failed - report it as unconfirmed
+        logger.warn('Error confirming swap', { signature: executeResponse.signature, error: error.message });
+        return {
+            confirmed: false,
+            confirmationStatus: 'error',
+            confirmationError: error.message,
+            slot: null,
+            actualInAmount: null,
+            actualOutAmount: null
+        };
     }
 }
 
-// Main function to process agent transaction with virtual balance sync
-async function processAgentTransaction(eventData) {
-    const { agentId, data } = eventData;
+// Function to pick the settlement fields that go on a swap result
+function settlementFields(settlement) {
+    return {
+        confirmed: settlement.confirmed,
+        confirmationStatus: settlement.confirmationStatus,
+        slot: settlement.slot,
+        actualInAmount: settlement.actualInAmount,
+        actualOutAmount: settlement.actualOutAmount
+    };
+}
+
+// Function to classify a trade as buy, sell or exit (exits sell a token back into SOL)
+function getTradeDirection(inputMint, outputMint) {
+    if (isExitTransaction(inputMint, outputMint)) {
+        return 'exit';
+    }
+    return outputMint === SOL_MINT ? 'sell' : 'buy';
+}
+
+// Function to resolve slippage for a trade through the shared policy engine
+function resolveSlippage({ source, agentId, inputMint, outputMint, inputSymbol, outputSymbol, sizeSol, webhookSlippage }) {
+    const direction = getTradeDirection(inputMint, outputMint);
+    const buying = direction === 'buy';
+    const context = {
+        source,
+        agentId,
+        direction,
+        tokenMint: buying ? outputMint : inputMint,
+        tokenSymbol: buying ? outputSymbol : inputSymbol,
+        sizeSol: sizeSol ?? null,
+        webhookSlippage
+    };
+    const resolution = slippagePolicy.resolve(context);
     
-    console.log('🔄 Processing agent transaction:', {
-        id: data.id,
-        agentId: agentId,
-        transaction_type: data.transaction_type,
-        input_symbol: data.input_symbol,
-        output_symbol: data.output_symbol,
-        input_amount: data.input_amount,
-        input_mint: data.input_mint,
-        output_mint: data.output_mint
+    logger.info('Slippage strategy resolved', {
+        direction,
+        token: context.tokenSymbol || context.tokenMint,
+        rule: resolution.rule,
+        mode: resolution.mode,
+        slippageBps: resolution.slippageBps,
+        slippagePercent: resolution.slippageBps === null ? 'auto' : `${resolution.slippageBps / 100}%`
     });
     
-    try {
-        // Check if this is an exit transaction (selling tokens for SOL)
-        const isExit = isExitTransaction(data.input_mint, data.output_mint);
+    return { context, ...resolution };
+}
+
+// Function to build a RISK_REJECTED result naming the rule that blocked the trade
+function riskRejectedResult(base, rejection) {
+    logger.warn('RISK_REJECTED', { rule: rejection.rule, reason: rejection.message });
+    return {
+        ...base,
+        success: false,
+        status: 'RISK_REJECTED',
+        error: `RISK_REJECTED (${rejection.rule}): ${rejection.message}`,
+        risk: rejection
+    };
+}
+
+// Function to build an UNSAFE_TRANSACTION result listing every failed inspection check
+function unsafeTransactionResult(base, inspection) {
+    const reasons = inspection.violations.map(violation => violation.message).join('; ');
+    logger.error('UNSAFE_TRANSACTION', { violations: inspection.violations });
+    return {
+        ...base,
+        success: false,
+        status: 'UNSAFE_TRANSACTION',
+        error: `UNSAFE_TRANSACTION: ${reasons}`,
+        inspection
+    };
+}
+
+// Function to run order → inspect → sign → execute → confirm, re-quoting and retrying recoverable failures
+// Paper trades stop after the quote: nothing is signed or executed and the quoted amounts are the fill.
+async function runSwapPipeline({ wallet, inputMint, outputMint, amount, slippageBps, direction, checkQuote = null, paper = false }) {
+    const startedAt = Date.now();
+    const attempts = [];
+    let currentSlippageBps = slippageBps;
+    
+    for (let attemptNumber = 1; ; attemptNumber++) {
+        const attempt = {
+            attempt: attemptNumber,
+            slippageBps: currentSlippageBps,
+            startedAt: new Date().toISOString()
+        };
+        attempts.push(attempt);
         
-        // Dynamically fetch token decimals
-        console.log('🔍 Fetching token decimals...');
-        const inputDecimals = await getTokenDecimals(data.input_mint);
-        console.log(`💰 Token ${data.input_symbol} (${data.input_mint}) has ${inputDecimals} decimals`);
+        let stage = 'order';
+        let orderResponse = null;
+        let executeResponse = null;
+        let settlement = null;
+        let failureClass;
+        
+        const finish = (error, extra = {}) => {
+            attempt.durationMs = Date.now() - Date.parse(attempt.startedAt);
+            attempt.error = error;
+            return { orderResponse, executeResponse, settlement, attempts, error, ...extra };
+        };
+        
+        // Function to run one pipeline stage, recording its latency
+        const timeStage = async (name, run) => {
+            stage = name;
+            const endTimer = metrics.swapStageDuration.startTimer({ stage: name });
+            try {
+                const value = await run();
+                endTimer({ outcome: 'ok' });
+                return value;
+            } catch (error) {
+                endTimer({ outcome: 'error' });
+                throw error;
+            }
+        };
+        
+        try {
+            orderResponse = await timeStage('order', () => getSwapOrder(inputMint, outputMint, amount, currentSlippageBps, wallet.publicKey));
+            attempt.requestId = orderResponse.requestId;
+            setLogContext({ jupiterRequestId: orderResponse.requestId, swapAttempt: attemptNumber });
+            attempt.inAmount = orderResponse.inAmount;
+            attempt.outAmount = orderResponse.outAmount;
+            attempt.priceImpactPct = orderResponse.priceImpactPct;
+            metrics.slippageBps.observe({ direction }, Number(orderResponse.slippageBps));
+            metrics.priceImpactPct.observe({ direction }, Math.abs(parseFloat(orderResponse.priceImpactPct)) * 100);
+            
+            // A paper fill only needs a price; a live swap needs a transaction to sign
+            if (paper ? !orderResponse.outAmount : !orderResponse.transaction) {
+                // No route or insufficient funds - a re-quote won't change that
+                return finish(orderResponse.errorMessage || 'No executable transaction from Jupiter API', { noTransaction: true });
+            }
+            
+            // Every fresh quote is re-checked against the risk limits
+            const riskRejection = checkQuote ? await checkQuote(orderResponse) : null;
+            if (riskRejection) {
+                return finish(`RISK_REJECTED (${riskRejection.rule}): ${riskRejection.message}`, { riskRejection });
+            }
+            
+            if (paper) {
+                // errorMessage (e.g. insufficient funds) says the same trade would have failed live
+                executeResponse = { status: 'Paper', signature: null, ...(orderResponse.errorMessage && { error: orderResponse.errorMessage }) };
+                settlement = {
+                    confirmed: false,
+                    confirmationStatus: 'paper',
+                    slot: null,
+                    actualInAmount: orderResponse.inAmount,
+                    actualOutAmount: orderResponse.outAmount
+                };
+                attempt.executionStatus = executeResponse.status;
+                return finish(null, { paper: true });
+            }
+            
+            // Never sign a transaction that does more than the swap we asked for - and don't re-quote around it
+            const inspection = await timeStage('inspect', () => transactionInspector.inspect({
+                transactionBase64: orderResponse.transaction,
+                wallet: wallet.publicKey,
+                orderResponse
+            }));
+            attempt.inspection = { safe: inspection.safe, checksFailed: inspection.violations.map(violation => violation.check) };
+            if (!inspection.safe) {
+                return finish(`UNSAFE_TRANSACTION: ${inspection.violations.map(violation => violation.message).join('; ')}`, { unsafeTransaction: inspection });
+            }
+            
+            const signedTransaction = await timeStage('sign', () => signTransaction(orderResponse.transaction, wallet));
+            
+            executeResponse = await timeStage('execute', () => executeSwap(signedTransaction, orderResponse.requestId));
+            attempt.executionStatus = executeResponse.status;
+            attempt.code = executeResponse.code;
+            attempt.signature = executeResponse.signature;
+            
+            settlement = await timeStage('confirm', () => settleSwap(executeResponse, orderResponse, wallet.publicKey));
+            attempt.confirmationStatus = settlement.confirmationStatus;
+            
+            if (!settlement.error) {
+                return finish(null);
+            }
+            
+            attempt.error = settlement.error;
+            failureClass = classifyExecutionFailure({
+                code: executeResponse.code,
+                error: executeResponse.error,
+                onChainError: settlement.onChainError
+            });
+            
+            if (failureClass === FAILURE_CLASSES.AMBIGUOUS) {
+                // A timed-out swap may still land - re-quoting before it provably can't would fill twice
+                const dropCheck = await checkSwapDropped(signedTransaction);
+                attempt.dropCheck = dropCheck;
+                failureClass = dropCheck.dropped ? FAILURE_CLASSES.REQUOTE : FAILURE_CLASSES.FATAL;
+                if (!dropCheck.dropped) {
+                    attempt.error = `${attempt.error} (not re-quoted: transaction ${dropCheck.reason} - check the wallet before resending)`;
+                }
+            }
+        } catch (error) {
+            // Only order fetches are safe to repeat - a thrown sign/execute error may hide a landed swap
+            attempt.error = `${stage} failed: ${error.message}`;
+            failureClass = stage === 'order' ? FAILURE_CLASSES.REQUOTE : FAILURE_CLASSES.FATAL;
+        }
+        
+        attempt.classification = failureClass;
+        
+        if (failureClass === FAILURE_CLASSES.FATAL) {
+            return finish(attempt.error);
+        }
+        
+        if (!swapRetryPolicy.canRetry(attemptNumber, startedAt)) {
+            return finish(`${attempt.error} (gave up after ${attemptNumber} attempts in ${Date.now() - startedAt}ms)`);
+        }
+        
+        if (failureClass === FAILURE_CLASSES.SLIPPAGE) {
+            if (currentSlippageBps === null || currentSlippageBps === undefined) {
+                return finish(`SLIPPAGE_AUTO_NOT_ADJUSTABLE: ${attempt.error} (Jupiter picks the slippage for this trade, so there is no tolerance to raise)`);
+            }
+            const nextSlippageBps = swapRetryPolicy.nextSlippageBps(direction, currentSlippageBps);
+            if (nextSlippageBps === null) {
+                return finish(`${attempt.error} (slippage ceiling for ${direction} reached)`);
+            }
+            currentSlippageBps = nextSlippageBps;
+        }
+        
+        attempt.durationMs = Date.now() - Date.parse(attempt.startedAt);
+        logger.warn('Swap attempt failed - re-quoting', {
+            swapAttempt: attemptNumber,
+            failureClass,
+            error: attempt.error,
+            nextSlippageBps: currentSlippageBps ?? 'auto'
+        });
+        
+        await new Promise(resolve => setTimeout(resolve, swapRetryPolicy.delayMs(attemptNumber)));
+    }
+}
+
+// Function to check whether a swap that timed out or failed to land is dropped, treating an RPC error as not dropped
+async function checkSwapDropped(signedTransaction) {
+    try {
+        return await checkDropped(signedTransaction);
+    } catch (error) {
+        logger.warn('Error checking whether a swap was dropped', { error: error.message });
+        return { dropped: false, signature: null, reason: `status could not be checked (${error.message})` };
+    }
+}
+
+// Function to sign transaction with the configured signer (local keypair or remote signer)
+async function signTransaction(transactionBase64, wallet) {
+    try {
+        return await signer.signTransaction(transactionBase64, wallet);
+    } catch (error) {
+        // Only surface the message - never the keypair or the underlying error object
+        logger.error('Error signing transaction', { wallet: wallet.name, error: error.message });
+        throw new Error(`Failed to sign transaction: ${error.message}`);
+    }
+}
+
+// Function to record a swap attempt in the trade journal and tag the result with its id
+// Paper trades go to the paper ledger instead, so they never show up as live trades or volume.
+function recordTrade(trade, result) {
+    if (result.success) {
+        releaseExitTriggers(trade);
+    }
+    if (trade.paper) {
+        return recordPaperTrade(trade, result);
+    }
+    try {
+        const entry = tradeJournal.record({
+            source: trade.source,
+            agentId: trade.agentId || null,
+            wallet: trade.wallet || null,
+            eventId: trade.eventId ?? null,
+            inputMint: trade.inputMint,
+            outputMint: trade.outputMint,
+            payload: trade.payload,
+            exitStrategy: trade.exitStrategy || null,
+            slice: trade.slice || null,
+            requestedSlippageBps: trade.slippageBps ?? null,
+            quote: summarizeOrder(trade.order),
+            attempts: trade.attempts || [],
+            signature: result.signature || null,
+            executionStatus: result.executionStatus || null,
+            status: result.status || null,
+            risk: result.risk || null,
+            inspection: result.inspection || null,
+            pause: result.pause || null,
+            confirmed: result.confirmed ?? null,
+            slot: result.slot ?? null,
+            actualInAmount: result.actualInAmount ?? null,
+            actualOutAmount: result.actualOutAmount ?? null,
+            success: !!result.success,
+            error: result.error || null
+        });
+        result.tradeId = entry.id;
+        recordTradeMetrics(trade, result);
+        if (entry.success) {
+            recordPositionFill(entry);
+        }
+    } catch (error) {
+        // Never let journaling break trading
+        logger.error('Error recording trade in journal', { error });
+    }
+    if (!trade.slice) {
+        notifyTradeOutcome(trade, result);
+    }
+    return result;
+}
+
+// Function to record a paper trade in the paper ledger and tag the result with its fill id
+function recordPaperTrade(trade, result) {
+    result.paper = true;
+    try {
+        const fill = paperLedger.record({
+            source: trade.source,
+            agentId: trade.agentId || null,
+            wallet: trade.wallet || null,
+            eventId: trade.eventId ?? null,
+            inputMint: trade.inputMint,
+            outputMint: trade.outputMint,
+            inAmount: result.actualInAmount ?? trade.order?.inAmount ?? null,
+            outAmount: result.actualOutAmount ?? trade.order?.outAmount ?? null,
+            priceImpactPct: trade.order?.priceImpactPct ?? null,
+            jupiterRequestId: trade.order?.requestId ?? null,
+            slippageBps: trade.slippageBps ?? null,
+            exitStrategy: trade.exitStrategy || null,
+            slice: trade.slice || null,
+            fraction: trade.exitStrategy?.percentageToSell ?? null,
+            solPriceUsd: lastSolPriceUsd,
+            // Set when Jupiter quoted the trade but would not have built it for the real wallet
+            liveError: trade.order?.errorMessage || null,
+            status: result.status || null,
+            risk: result.risk || null,
+            success: !!result.success,
+            error: result.error || null
+        });
+        result.paperFillId = fill.id;
+        metrics.paperTrades.inc({ source: trade.source, status: result.status || (result.success ? 'SUCCESS' : 'FAILED') });
+        logger.info('Paper trade recorded', {
+            paperFillId: fill.id,
+            success: fill.success,
+            inputMint: fill.inputMint,
+            outputMint: fill.outputMint,
+            inAmount: fill.inAmount,
+            outAmount: fill.outAmount,
+            liveError: fill.liveError
+        });
+    } catch (error) {
+        logger.error('Error recording paper trade', { error });
+    }
+    return result;
+}
+
+// Function to turn a journaled trade into a position fill (null when it has no fill amounts)
+function positionFillFromTrade(entry) {
+    const inAmount = entry.actualInAmount ?? entry.quote?.inAmount;
+    const outAmount = entry.actualOutAmount ?? entry.quote?.outAmount;
+    if (inAmount === null || inAmount === undefined || outAmount === null || outAmount === undefined) {
+        return null;
+    }
+    return {
+        tradeId: entry.id,
+        agentId: entry.agentId,
+        source: entry.source,
+        inputMint: entry.inputMint,
+        outputMint: entry.outputMint,
+        inAmount: String(inAmount),
+        outAmount: String(outAmount),
+        // Exits sell a fraction of the wallet's balance; the position shrinks by the same fraction
+        fraction: entry.exitStrategy?.percentageToSell ?? null,
+        solPriceUsd: null,
+        createdAt: entry.createdAt
+    };
+}
+
+// Function to add an executed trade to the position ledger, priced in USD at the last known SOL price
+// The fill is recorded right away so /positions and /pnl match the webhook response; when no SOL price has been
+// seen yet, the USD price is filled in once one is fetched.
+function recordPositionFill(entry) {
+    const fill = positionFillFromTrade(entry);
+    if (!fill) {
+        return;
+    }
+    const recorded = positionLedger.record({ ...fill, solPriceUsd: lastSolPriceUsd });
+    if (recorded.solPriceUsd === null) {
+        getSolPriceUsd()
+            .then(solPriceUsd => positionLedger.priceFill(recorded.id, solPriceUsd))
+            .catch(error => logger.warn('Could not price position fill in USD', { tradeId: entry.id, error: error.message }));
+    }
+}
+
+// Function to describe a base-unit amount as "1.5 SOL" using cached token metadata (no fetch)
+function describeAmount(mint, baseUnits) {
+    const metadata = tokenMetadata.get(mint);
+    const label = metadata?.symbol || (mint ? `${mint.slice(0, 4)}…${mint.slice(-4)}` : 'unknown token');
+    if (baseUnits === null || baseUnits === undefined) {
+        return label;
+    }
+    return metadata ? `${Number(baseUnits) / Math.pow(10, metadata.decimals)} ${label}` : `${baseUnits} base units of ${label}`;
+}
+
+// Function to send the notification for a journaled trade (pause rejections are covered by service.paused,
+// and a signal resting as a limit order hasn't failed) - it never throws, so call sites need no guard
+function notifyTradeOutcome(trade, result) {
+    try {
+        if (result.status === 'PAUSED' || result.status === 'LIMIT_ORDER_PLACED') {
+            return;
+        }
+        
+        const direction = getTradeDirection(trade.inputMint, trade.outputMint);
+        const fields = {
+            Agent: trade.agentId,
+            Wallet: trade.wallet,
+            Source: trade.source,
+            Event: trade.eventId,
+            Signature: result.signature,
+            Trade: result.tradeId
+        };
+        
+        if (result.success) {
+            notifier.notify('trade.executed', {
+                agentId: trade.agentId,
+                title: `Trade executed (${direction})`,
+                message: `${describeAmount(trade.inputMint, result.actualInAmount ?? trade.order?.inAmount)} → ${describeAmount(trade.outputMint, result.actualOutAmount ?? trade.order?.outAmount)}`,
+                fields
+            });
+        } else if (result.status === 'RISK_REJECTED') {
+            notifier.notify('risk.rejected', {
+                agentId: trade.agentId,
+                title: `Trade rejected by risk limit ${result.risk?.rule}`,
+                message: result.error,
+                fields
+            });
+        } else {
+            notifier.notify('trade.failed', {
+                agentId: trade.agentId,
+                // A transaction that failed inspection may be an attack - page someone
+                severity: result.status === 'UNSAFE_TRANSACTION' ? 'critical' : undefined,
+                title: `${direction === 'exit' ? 'Exit' : 'Trade'} failed: ${describeAmount(trade.inputMint)} → ${describeAmount(trade.outputMint)}`,
+                message: result.error || 'Unknown error',
+                fields: { ...fields, Status: result.status }
+            });
+        }
+    } catch (error) {
+        // The trade is journaled - a notification problem must not fail it (and get it retried)
+        logger.error('Error sending trade notification', { tradeId: result.tradeId, error });
+    }
+}
+
+// Function to count a journaled trade and add its realized (settled, else quoted) volume
+function recordTradeMetrics(trade, result) {
+    metrics.trades.inc({ source: trade.source, status: result.status || (result.success ? 'SUCCESS' : 'FAILED') });
+    if (!result.success || !trade.order) {
+        return;
+    }
+    
+    const agentLabel = trade.agentId || 'none';
+    const inAmount = Number(result.actualInAmount ?? trade.order.inAmount);
+    const outAmount = Number(result.actualOutAmount ?? trade.order.outAmount);
+    metrics.volume.inc({ agent_id: agentLabel, mint: trade.inputMint, side: 'in' }, inAmount);
+    metrics.volume.inc({ agent_id: agentLabel, mint: trade.outputMint, side: 'out' }, outAmount);
+    
+    const direction = getTradeDirection(trade.inputMint, trade.outputMint);
+    if (trade.inputMint === SOL_MINT) {
+        metrics.volumeSol.inc({ agent_id: agentLabel, direction }, inAmount / Math.pow(10, 9));
+    } else if (trade.outputMint === SOL_MINT) {
+        metrics.volumeSol.inc({ agent_id: agentLabel, direction }, outAmount / Math.pow(10, 9));
+    }
+}
+
+// Main function to process agent transaction with virtual balance sync
+async function processAgentTransaction(eventData, { jobId = null } = {}) {
+    const { agentId, data } = eventData;
+    const trade = {
+        source: 'agentTransactions',
+        agentId,
+        paper: isPaperAgent(agentId),
+        eventId: data.id,
+        inputMint: data.input_mint,
+        outputMint: data.output_mint,
+        payload: eventData
+    };
+    
+    logger.info('Processing agent transaction', {
+        transaction_type: data.transaction_type,
+        input_symbol: data.input_symbol,
+        output_symbol: data.output_symbol,
+        input_amount: data.input_amount,
+        input_mint: data.input_mint,
+        output_mint: data.output_mint
+    });
+    
+    try {
+        // Route the trade to the agent's own wallet
+        const agentWallet = walletRegistry.getWalletForAgent(agentId);
+        trade.wallet = agentWallet.name;
+        
+        // Check if this is an exit transaction (selling tokens for SOL)
+        const isExit = isExitTransaction(data.input_mint, data.output_mint);
+        
+        // Dynamically fetch token decimals
+        const inputDecimals = await getTokenDecimals(data.input_mint);
         
         let inputAmountLamports;
         let exitStrategy = null;
         
         if (isExit) {
-            console.log('🚪 EXIT TRANSACTION DETECTED - Syncing with virtual agent balance');
-            
             // Calculate exit strategy based on virtual agent balance
             const exitCalculation = await calculateExitStrategy(
                 data.input_amount,
@@ -591,42 +1701,47 @@ async function processAgentTransaction(eventData) {
                 data.input_symbol,
                 agentId
             );
+            metrics.exitStrategies.inc({ strategy: exitCalculation.strategy || exitCalculation.reason || 'FAILED' });
+            
+            trade.exitStrategy = exitCalculation;
             
             if (!exitCalculation.success) {
-                return {
+                return recordTrade(trade, {
                     success: false,
                     transactionId: data.id,
                     error: `Exit strategy calculation failed: ${exitCalculation.error}`,
                     isExit: true
-                };
+                });
             }
             
             inputAmountLamports = exitCalculation.amountInLamports;
             exitStrategy = exitCalculation;
             
-            console.log('📊 EXIT STRATEGY APPLIED:', {
-                strategy: exitCalculation.strategy,
-                virtualBalance: exitCalculation.virtualBalance,
-                actualBalance: exitCalculation.actualBalance,
-                webhookAmount: exitCalculation.webhookAmount,
-                percentageToSell: `${(exitCalculation.percentageToSell * 100).toFixed(2)}%`,
-                amountToSell: exitCalculation.amountToSellUI,
-                willSellAll: exitCalculation.willSellAll,
-                virtualBalanceAvailable: exitCalculation.virtualBalanceAvailable,
-                fallbackMode: exitCalculation.fallbackMode
-            });
-            
             if (exitCalculation.fallbackMode) {
-                console.log('⚠️ SIMPLE FALLBACK MODE: Virtual balance unavailable');
-                console.log(`   → Exiting ${exitCalculation.strategy === 'FALLBACK_EXIT_ALL' ? 'ALL actual balance' : 'webhook amount'}`);
-                console.log(`   → Amount: ${exitCalculation.amountToSellUI} (${(exitCalculation.percentageToSell * 100).toFixed(1)}% of holdings)`);
+                logger.warn('SIMPLE FALLBACK MODE: virtual balance unavailable', {
+                    strategy: exitCalculation.strategy,
+                    amountToSell: exitCalculation.amountToSellUI,
+                    percentageOfHoldings: `${(exitCalculation.percentageToSell * 100).toFixed(1)}%`
+                });
+                notifier.notify('fallback.used', {
+                    agentId,
+                    title: `Exit fell back to ${exitCalculation.strategy}`,
+                    message: `Virtual balance for agent ${agentId} was unavailable - exiting ${exitCalculation.strategy === 'FALLBACK_EXIT_ALL' ? 'the whole actual balance' : 'the webhook amount'} of ${data.input_symbol || data.input_mint}`,
+                    fields: {
+                        Agent: agentId,
+                        Event: data.id,
+                        'Webhook amount': exitCalculation.webhookAmount,
+                        'Actual balance': exitCalculation.actualBalance,
+                        'Amount to sell': exitCalculation.amountToSellUI
+                    }
+                });
             }
             
         } else {
             // Regular transaction (entry) - use webhook amount as-is
             inputAmountLamports = Math.floor(data.input_amount * Math.pow(10, inputDecimals));
             
-            console.log('💱 ENTRY TRANSACTION:', {
+            logger.info('Entry transaction sized', {
                 originalAmount: data.input_amount,
                 decimals: inputDecimals,
                 convertedAmount: inputAmountLamports,
@@ -634,43 +1749,84 @@ async function processAgentTransaction(eventData) {
             });
         }
         
-        // Set slippage based on transaction type and direction
-        let slippageBps;
-        const isSellingToSOL = data.output_mint === 'So11111111111111111111111111111111111111112';
-        const isPumpFunToken = data.input_mint.endsWith('pump') || data.input_symbol.toLowerCase().includes('pump');
-
-        if (isSellingToSOL) {
-            // Higher slippage for selling tokens (especially exits)
-            if (isPumpFunToken) {
-                slippageBps = 1000; // 10% for pump.fun token sales
-            } else if (isExit) {
-                slippageBps = 800;  // 8% for exit transactions
-            } else {
-                slippageBps = 500;  // 5% for regular token sales
-            }
-        } else {
-            // Lower slippage for buying tokens with SOL  
-            slippageBps = data.slippage ? Math.floor(data.slippage * 10000) : 300; // 3%
+        // Resolve slippage through the shared policy engine
+        const slippage = resolveSlippage({
+            source: 'agentTransactions',
+            agentId,
+            inputMint: data.input_mint,
+            outputMint: data.output_mint,
+            inputSymbol: data.input_symbol,
+            outputSymbol: data.output_symbol,
+            sizeSol: data.input_mint === SOL_MINT ? data.input_amount : null,
+            webhookSlippage: data.slippage
+        });
+        const slippageBps = slippage.slippageBps;
+        trade.slippageBps = slippageBps;
+        
+        // Enforce risk limits before asking Jupiter for an order
+        const riskContext = slippage.context;
+        const preTradeRejection = await riskManager.checkPreTrade(riskContext);
+        if (preTradeRejection) {
+            return recordTrade(trade, riskRejectedResult(
+                { transactionId: data.id, isExit: isExit, agentId: agentId },
+                preTradeRejection
+            ));
         }
-
-        console.log(`📊 Slippage strategy:`, {
-            direction: isSellingToSOL ? 'SELL → SOL' : 'BUY with SOL',
-            isExit: isExit,
-            isPumpFun: isPumpFunToken,
-            slippageBps: slippageBps,
-            slippagePercent: `${slippageBps/100}%`
+        
+        const checkQuote = order => riskManager.checkQuote(riskContext, order);
+        const slicedTrade = plan => runSlicedTrade({
+            trade,
+            wallet: agentWallet,
+            amount: inputAmountLamports,
+            direction: riskContext.direction,
+            riskContext,
+            checkQuote,
+            plan,
+            jobId,
+            resultFields: { transactionId: data.id, isExit: isExit, agentId: agentId, ...(isExit && exitStrategy && { exitStrategyInfo: describeExitStrategy(exitStrategy) }) }
         });
         
-        // Get swap order from Jupiter
-        const orderResponse = await getSwapOrder(
-            data.input_mint,
-            data.output_mint,
-            inputAmountLamports,
-            slippageBps
-        );
+        // Large trades can be split into slices (twap_slices / max_slice_impact_pct in the webhook)
+        const slicePlan = getSlicePlan(data);
+        if (slicePlan) {
+            return slicedTrade(slicePlan);
+        }
         
-        if (!orderResponse.transaction) {
-            return {
+        // Get swap order from Jupiter, then sign, execute and confirm it (with retries)
+        const swap = await runSwapPipeline({
+            wallet: agentWallet,
+            inputMint: data.input_mint,
+            outputMint: data.output_mint,
+            amount: inputAmountLamports,
+            slippageBps,
+            direction: riskContext.direction,
+            checkQuote: checkQuoteForAutoSlicing(checkQuote),
+            paper: trade.paper
+        });
+        trade.order = swap.orderResponse;
+        trade.attempts = swap.attempts;
+        
+        if (swap.riskRejection?.rule === 'SLICING_REQUIRED') {
+            logger.info('Switching to sliced execution', { priceImpactPct: swap.riskRejection.actual });
+            return slicedTrade(getAutoSlicePlan());
+        }
+        
+        if (swap.riskRejection) {
+            return recordTrade(trade, riskRejectedResult(
+                { transactionId: data.id, isExit: isExit, agentId: agentId, attempts: swap.attempts },
+                swap.riskRejection
+            ));
+        }
+        
+        if (swap.unsafeTransaction) {
+            return recordTrade(trade, unsafeTransactionResult(
+                { transactionId: data.id, isExit: isExit, agentId: agentId, attempts: swap.attempts },
+                swap.unsafeTransaction
+            ));
+        }
+        
+        if (swap.noTransaction) {
+            return recordTrade(trade, {
                 success: false,
                 transactionId: data.id,
                 error: 'No executable transaction from Jupiter API',
@@ -679,20 +1835,30 @@ async function processAgentTransaction(eventData) {
                     inputAmount: data.input_amount,
                     convertedAmount: inputAmountLamports,
                     decimals: inputDecimals,
-                    priceImpact: orderResponse.priceImpactPct,
-                    hasRoute: !!orderResponse.routePlan,
+                    priceImpact: swap.orderResponse.priceImpactPct,
+                    hasRoute: !!swap.orderResponse.routePlan,
                     exitStrategy: exitStrategy
-                }
-            };
+                },
+                attempts: swap.attempts
+            });
+        }
+        
+        if (!swap.executeResponse) {
+            return recordTrade(trade, {
+                success: false,
+                transactionId: data.id,
+                isExit: isExit,
+                error: swap.error,
+                agentId: agentId,
+                attempts: swap.attempts
+            });
         }
         
-        // Sign and execute transaction
-        const signedTransaction = signTransaction(orderResponse.transaction);
-        const executeResponse = await executeSwap(signedTransaction, orderResponse.requestId);
+        const { orderResponse, executeResponse, settlement } = swap;
         
         // Prepare result
         const result = {
-            success: true,
+            success: !swap.error,
             transactionId: data.id,
             isExit: isExit,
             jupiterRequestId: orderResponse.requestId,
@@ -701,52 +1867,194 @@ async function processAgentTransaction(eventData) {
             inputAmount: orderResponse.inAmount,
             outputAmount: orderResponse.outAmount,
             priceImpact: orderResponse.priceImpactPct,
-            decimalsUsed: inputDecimals
+            decimalsUsed: inputDecimals,
+            ...settlementFields(settlement),
+            attempts: swap.attempts
         };
         
+        if (swap.error) {
+            result.error = swap.error;
+        }
+        
         // Add exit strategy info for exit transactions
         if (isExit && exitStrategy) {
-            result.exitStrategyInfo = {
-                strategy: exitStrategy.strategy,
-                virtualBalance: exitStrategy.virtualBalance,
-                actualBalance: exitStrategy.actualBalance,
-                webhookAmount: exitStrategy.webhookAmount,
-                percentageSold: `${(exitStrategy.percentageToSell * 100).toFixed(2)}%`,
-                amountSold: exitStrategy.amountToSellUI,
-                soldAll: exitStrategy.willSellAll,
-                virtualBalanceAvailable: exitStrategy.virtualBalanceAvailable,
-                fallbackMode: exitStrategy.fallbackMode
-            };
-            
-            if (exitStrategy.fallbackMode) {
-                result.exitStrategyInfo.fallbackReason = 'Virtual balance unavailable - exiting lower of (actual balance, webhook amount)';
-                result.exitStrategyInfo.fallbackLogic = exitStrategy.strategy === 'FALLBACK_EXIT_ALL' ? 
-                    'Actual ≤ Webhook → Exit all actual balance' : 
-                    'Actual > Webhook → Exit webhook amount';
-            }
+            result.exitStrategyInfo = describeExitStrategy(exitStrategy);
         }
         
-        return result;
+        return recordTrade(trade, result);
         
     } catch (error) {
-        console.error('❌ Error processing agent transaction:', error);
-        return {
+        logger.error('Error processing agent transaction', { error });
+        return recordTrade(trade, {
             success: false,
+            ...(error.code && { status: error.code }),
             transactionId: data.id,
             isExit: isExitTransaction(data.input_mint, data.output_mint),
             error: error.message,
             agentId: agentId
-        };
+        });
+    }
+}
+
+// Function to summarize an exit strategy for a webhook result
+function describeExitStrategy(exitStrategy) {
+    const info = {
+        strategy: exitStrategy.strategy,
+        virtualBalance: exitStrategy.virtualBalance,
+        actualBalance: exitStrategy.actualBalance,
+        webhookAmount: exitStrategy.webhookAmount,
+        percentageSold: `${(exitStrategy.percentageToSell * 100).toFixed(2)}%`,
+        amountSold: exitStrategy.amountToSellUI,
+        soldAll: exitStrategy.willSellAll,
+        virtualBalanceAvailable: exitStrategy.virtualBalanceAvailable,
+        fallbackMode: exitStrategy.fallbackMode
+    };
+    
+    if (exitStrategy.fallbackMode) {
+        info.fallbackReason = 'Virtual balance unavailable - exiting lower of (actual balance, webhook amount)';
+        info.fallbackLogic = exitStrategy.strategy === 'FALLBACK_EXIT_ALL' ? 
+            'Actual ≤ Webhook → Exit all actual balance' : 
+            'Actual > Webhook → Exit webhook amount';
+    }
+    return info;
+}
+
+// Function to get the slicing plan a webhook asks for (twap_slices, twap_window_seconds, max_slice_impact_pct)
+function getSlicePlan(data) {
+    return resolveSlicePlan(SLICING_DEFAULTS, {
+        slices: data.twap_slices,
+        windowSeconds: data.twap_window_seconds,
+        maxSliceImpactPct: data.max_slice_impact_pct
+    });
+}
+
+// Function to get the plan for a trade that switched to slicing because its quote's impact was too high
+function getAutoSlicePlan() {
+    return resolveSlicePlan(SLICING_DEFAULTS, { maxSliceImpactPct: SLICING_DEFAULTS.maxSliceImpactPct });
+}
+
+// Function to wrap a quote check so a trade quoted over TWAP_AUTO_IMPACT_PCT price impact switches to slicing
+function checkQuoteForAutoSlicing(checkQuote) {
+    if (!TWAP_AUTO_IMPACT_PCT) {
+        return checkQuote;
+    }
+    return async orderResponse => {
+        const impactPct = Math.abs(parseFloat(orderResponse.priceImpactPct)) * 100;
+        if (impactPct > TWAP_AUTO_IMPACT_PCT) {
+            return {
+                rule: 'SLICING_REQUIRED',
+                message: `Quoted price impact ${impactPct.toFixed(2)}% is over the ${TWAP_AUTO_IMPACT_PCT}% auto-slicing threshold`,
+                limit: TWAP_AUTO_IMPACT_PCT,
+                actual: impactPct
+            };
+        }
+        return checkQuote(orderResponse);
+    };
+}
+
+// Function to execute a trade in slices through the swap pipeline and aggregate them into one parent result
+// Every slice is journaled as its own trade (tagged with the parent id); exits carry each slice's share of the
+// position so the ledger and exit triggers shrink by the right amount even if the slicing stops part way.
+async function runSlicedTrade({ trade, wallet, amount, direction, riskContext, checkQuote, plan, jobId = null, resultFields }) {
+    const exitFraction = trade.exitStrategy?.percentageToSell ?? null;
+    
+    // Each slice is under maxTradeUsd on its own - the order as a whole has to be too
+    if (direction === 'buy') {
+        const fullOrder = await getSwapOrder(trade.inputMint, trade.outputMint, amount.toString(), trade.slippageBps, wallet.publicKey);
+        const sizeRejection = await riskManager.checkTradeUsd(riskContext, fullOrder);
+        if (sizeRejection) {
+            return recordTrade({ ...trade, order: fullOrder }, riskRejectedResult({ ...resultFields }, sizeRejection));
+        }
     }
+    
+    if (jobId) {
+        slicingJobIds.add(jobId);
+        slicingJobs.emit(jobId); // Lets a webhook waiting on this job answer 202 now
+    }
+    
+    const execution = await executeSlices({
+        amount,
+        plan,
+        sleep: ms => new Promise(resolve => setTimeout(resolve, ms)),
+        shouldStop: () => {
+            const pause = pauseControl.getPause(trade.agentId);
+            return pause ? `PAUSED: ${pause.scope === 'global' ? 'all trading' : `agent ${trade.agentId}`} paused during slicing - ${pause.reason}` : null;
+        },
+        quoteImpactPct: async sliceAmount => {
+            const order = await getSwapOrder(trade.inputMint, trade.outputMint, sliceAmount, trade.slippageBps, wallet.publicKey);
+            return Math.abs(parseFloat(order.priceImpactPct)) * 100;
+        },
+        executeSlice: async ({ index, amount: sliceAmount, soldBefore, parentId }) => {
+            const swap = await runSwapPipeline({
+                wallet,
+                inputMint: trade.inputMint,
+                outputMint: trade.outputMint,
+                amount: sliceAmount.toString(),
+                slippageBps: trade.slippageBps,
+                direction,
+                checkQuote,
+                paper: trade.paper
+            });
+            const sliceTrade = {
+                ...trade,
+                order: swap.orderResponse,
+                attempts: swap.attempts,
+                slice: { parentId, index, mode: plan.mode },
+                ...(exitFraction !== null && {
+                    exitStrategy: { ...trade.exitStrategy, percentageToSell: sliceFraction(exitFraction, sliceAmount, soldBefore, amount) }
+                })
+            };
+            const base = { ...resultFields, sliceParentId: parentId, slice: index, attempts: swap.attempts };
+            
+            if (swap.riskRejection) {
+                return recordTrade(sliceTrade, riskRejectedResult(base, swap.riskRejection));
+            }
+            if (swap.unsafeTransaction) {
+                return recordTrade(sliceTrade, unsafeTransactionResult(base, swap.unsafeTransaction));
+            }
+            if (!swap.executeResponse) {
+                return recordTrade(sliceTrade, { ...base, success: false, error: swap.error });
+            }
+            return recordTrade(sliceTrade, {
+                ...base,
+                success: !swap.error,
+                executionStatus: swap.executeResponse.status,
+                signature: swap.executeResponse.signature,
+                inputAmount: swap.orderResponse.inAmount,
+                outputAmount: swap.orderResponse.outAmount,
+                priceImpact: swap.orderResponse.priceImpactPct,
+                ...settlementFields(swap.settlement),
+                ...(swap.error && { error: swap.error })
+            });
+        }
+    });
+    
+    const lastSlice = execution.slices[execution.slices.length - 1];
+    const result = {
+        ...resultFields,
+        success: execution.status === 'COMPLETED',
+        ...(execution.status !== 'COMPLETED' && { status: execution.status === 'FAILED' ? lastSlice?.status || 'FAILED' : 'PARTIALLY_FILLED' }),
+        inputAmount: execution.filledAmount,
+        actualInAmount: execution.inAmount,
+        actualOutAmount: execution.outAmount,
+        sliced: execution,
+        ...(execution.stoppedReason && { error: execution.stoppedReason })
+    };
+    
+    // Slices don't notify one by one - the parent reports the aggregate
+    if (!trade.paper) {
+        notifyTradeOutcome(trade, result);
+    }
+    return result;
 }
 
 // Function to process trade signal event
-async function processTradeSignal(eventData) {
+// limitOrder is set when a resting limit order for the signal is being filled: its limit price replaces the
+// price_at_signal check and a quote over it puts the order back to rest instead of placing another one.
+async function processTradeSignal(eventData, { limitOrder = null, jobId = null } = {}) {
     const { agentId, data } = eventData;
     
-    console.log('🔄 Processing trade signal:', {
-        id: data.id,
-        agentId: agentId,
+    logger.info('Processing trade signal', {
         token_symbol: data.token_symbol,
         token_address: data.token_address,
         price_at_signal: data.price_at_signal,
@@ -764,11 +2072,28 @@ async function processTradeSignal(eventData) {
         inputMint = data.input_mint;
         inputSymbol = data.input_symbol || 'UNKNOWN';
         
-        // Get decimals for the input token
-        const decimals = await getTokenDecimals(data.input_mint);
+        // Get decimals for the input token - never guess, a wrong value mis-sizes the trade
+        let decimals;
+        try {
+            decimals = await getTokenDecimals(data.input_mint);
+        } catch (error) {
+            logger.error('Cannot size trade signal', { inputMint, error: error.message });
+            return recordTrade(
+                { source: 'tradeSignals', agentId, paper: isPaperAgent(agentId), eventId: data.id, inputMint, outputMint: data.token_address, payload: eventData },
+                {
+                    success: false,
+                    status: error.code || null,
+                    signalId: data.id,
+                    agentId: agentId,
+                    tokenSymbol: data.token_symbol,
+                    tokenAddress: data.token_address,
+                    error: error.message
+                }
+            );
+        }
         inputAmountLamports = Math.floor(data.trade_amount * Math.pow(10, decimals));
         
-        console.log('📊 Using webhook trade amount:', {
+        logger.info('Using webhook trade amount', {
             inputMint: inputMint,
             inputSymbol: inputSymbol,
             amount: data.trade_amount,
@@ -782,7 +2107,7 @@ async function processTradeSignal(eventData) {
         inputSymbol = 'SOL';
         inputAmountLamports = Math.floor(data.trade_amount * Math.pow(10, 9)); // SOL has 9 decimals
         
-        console.log('📊 Using webhook SOL amount:', {
+        logger.info('Using webhook SOL amount', {
             amount: data.trade_amount,
             amountInLamports: inputAmountLamports
         });
@@ -794,69 +2119,728 @@ async function processTradeSignal(eventData) {
         inputSymbol = 'SOL';
         inputAmountLamports = Math.floor(DEFAULT_SOL_AMOUNT * Math.pow(10, 9));
         
-        console.log('⚠️ No trade amount in webhook, using default:', {
+        logger.warn('No trade amount in webhook, using DEFAULT_TRADE_AMOUNT', {
             defaultAmount: DEFAULT_SOL_AMOUNT,
-            amountInLamports: inputAmountLamports,
-            note: 'Set DEFAULT_TRADE_AMOUNT env var to change default'
+            amountInLamports: inputAmountLamports
         });
     }
     
     const outputMint = data.token_address;
-    const slippageBps = data.slippage ? Math.floor(data.slippage * 10000) : 100; // Use webhook slippage or 1% default
+    const { slippageBps, context: riskContext } = resolveSlippage({
+        source: 'tradeSignals',
+        agentId,
+        inputMint,
+        outputMint,
+        inputSymbol,
+        outputSymbol: data.token_symbol,
+        sizeSol: inputMint === SOL_MINT ? inputAmountLamports / Math.pow(10, 9) : null,
+        webhookSlippage: data.slippage
+    });
+    const trade = {
+        source: 'tradeSignals',
+        agentId,
+        paper: isPaperAgent(agentId),
+        eventId: data.id,
+        inputMint,
+        outputMint,
+        payload: eventData,
+        slippageBps
+    };
+    
+    const signalInfo = {
+        signalId: data.id,
+        agentId: agentId,
+        tokenSymbol: data.token_symbol,
+        tokenAddress: data.token_address,
+        ...(limitOrder && { limitOrderId: limitOrder.id })
+    };
+    const priceLimit = limitOrder ? { limitPriceUsd: limitOrder.limitPriceUsd } : getSignalPriceLimit(data);
     
     try {
-        const orderResponse = await getSwapOrder(
+        // Enforce risk limits before asking Jupiter for an order
+        const preTradeRejection = await riskManager.checkPreTrade(riskContext);
+        if (preTradeRejection) {
+            return recordTrade(trade, riskRejectedResult(signalInfo, preTradeRejection));
+        }
+        
+        const agentWallet = walletRegistry.getWalletForAgent(agentId);
+        trade.wallet = agentWallet.name;
+        
+        const checkQuote = order => checkSignalQuote(riskContext, order, priceLimit);
+        const slicedTrade = async plan => {
+            const result = await runSlicedTrade({
+                trade,
+                wallet: agentWallet,
+                amount: inputAmountLamports,
+                direction: riskContext.direction,
+                riskContext,
+                checkQuote,
+                plan,
+                jobId,
+                resultFields: signalInfo
+            });
+            // A partly filled entry is still a position worth protecting
+            if (result.success || result.status === 'PARTIALLY_FILLED') {
+                await armExitTriggers(trade, result, data);
+            }
+            return result;
+        };
+        
+        // Large entries can be split into slices (twap_slices / max_slice_impact_pct in the webhook)
+        const slicePlan = getSlicePlan(data);
+        if (slicePlan) {
+            return slicedTrade(slicePlan);
+        }
+        
+        const swap = await runSwapPipeline({
+            wallet: agentWallet,
             inputMint,
             outputMint,
-            inputAmountLamports,
-            slippageBps
-        );
+            amount: inputAmountLamports,
+            slippageBps,
+            direction: riskContext.direction,
+            checkQuote: checkQuoteForAutoSlicing(checkQuote),
+            paper: trade.paper
+        });
+        trade.order = swap.orderResponse;
+        trade.attempts = swap.attempts;
+        
+        if (swap.riskRejection?.rule === 'SLICING_REQUIRED') {
+            logger.info('Switching to sliced execution', { priceImpactPct: swap.riskRejection.actual });
+            return slicedTrade(getAutoSlicePlan());
+        }
+        
+        if (swap.riskRejection?.rule === 'PRICE_DEVIATION') {
+            if (limitOrder) {
+                logger.info('Limit order price no longer reached', { limitOrderId: limitOrder.id, priceUsd: swap.riskRejection.actual });
+                return { ...signalInfo, success: false, status: 'LIMIT_NOT_REACHED', risk: swap.riskRejection, error: swap.riskRejection.message };
+            }
+            const order = limitOrders.place({
+                agentId,
+                signalId: data.id,
+                inputMint,
+                outputMint,
+                tokenSymbol: data.token_symbol,
+                amount: inputAmountLamports,
+                priceAtSignal: priceLimit.priceAtSignal,
+                maxDeviationPct: priceLimit.maxDeviationPct,
+                quotedPriceUsd: swap.riskRejection.actual,
+                ttlMs: LIMIT_ORDER_TTL_MINUTES * 60 * 1000,
+                eventData
+            });
+            return recordTrade(trade, {
+                ...signalInfo,
+                success: false,
+                status: 'LIMIT_ORDER_PLACED',
+                limitOrderId: order.id,
+                expiresAt: order.expiresAt,
+                risk: swap.riskRejection,
+                error: `LIMIT_ORDER_PLACED: ${swap.riskRejection.message} - resting until ${order.expiresAt}`,
+                attempts: swap.attempts
+            });
+        }
         
-        if (!orderResponse.transaction) {
-            throw new Error('No transaction received from Jupiter API');
+        if (swap.riskRejection) {
+            return recordTrade(trade, riskRejectedResult({ ...signalInfo, attempts: swap.attempts }, swap.riskRejection));
         }
         
-        const signedTransaction = signTransaction(orderResponse.transaction);
-        const executeResponse = await executeSwap(signedTransaction, orderResponse.requestId);
+        if (swap.unsafeTransaction) {
+            return recordTrade(trade, unsafeTransactionResult({ ...signalInfo, attempts: swap.attempts }, swap.unsafeTransaction));
+        }
         
-        return {
-            success: true,
-            signalId: data.id,
-            agentId: agentId,
-            tokenSymbol: data.token_symbol,
-            tokenAddress: data.token_address,
+        if (!swap.executeResponse) {
+            return recordTrade(trade, {
+                success: false,
+                signalId: data.id,
+                agentId: agentId,
+                tokenSymbol: data.token_symbol,
+                tokenAddress: data.token_address,
+                error: swap.error,
+                attempts: swap.attempts
+            });
+        }
+        
+        const { orderResponse, executeResponse, settlement } = swap;
+        
+        const result = recordTrade(trade, {
+            success: !swap.error,
+            ...signalInfo,
             jupiterRequestId: orderResponse.requestId,
             executionStatus: executeResponse.status,
             signature: executeResponse.signature,
             inputAmount: orderResponse.inAmount,
             outputAmount: orderResponse.outAmount,
-            priceImpact: orderResponse.priceImpactPct
-        };
+            priceImpact: orderResponse.priceImpactPct,
+            ...settlementFields(settlement),
+            ...(swap.error && { error: swap.error }),
+            attempts: swap.attempts
+        });
+        
+        if (result.success) {
+            await armExitTriggers(trade, result, data);
+        }
+        return result;
     } catch (error) {
-        console.error('❌ Error processing trade signal:', error);
-        return {
+        logger.error('Error processing trade signal', { error });
+        return recordTrade(trade, {
             success: false,
+            ...(error.code && { status: error.code }),
             signalId: data.id,
             agentId: agentId,
             tokenSymbol: data.token_symbol,
             tokenAddress: data.token_address,
             error: error.message
+        });
+    }
+}
+
+// Sells that must get out of a position whatever the market: fired exit triggers and agent liquidations
+const FORCED_EXIT_SOURCES = ['exitTrigger', 'liquidation'];
+
+// Function to sell an amount of a token back into SOL outside of a webhook (rebalances, exit triggers, liquidations),
+// journaled like any other trade; resultFields (e.g. the rebalance id) are copied onto the result
+async function executeTokenSell({ source, agentId, eventId, tokenMint, symbol, amount, resultFields = {} }) {
+    const agentWallet = walletRegistry.getWalletForAgent(agentId);
+    const trade = {
+        source,
+        agentId,
+        paper: isPaperAgent(agentId),
+        wallet: agentWallet.name,
+        eventId,
+        inputMint: tokenMint,
+        outputMint: SOL_MINT,
+        payload: { ...resultFields, tokenMint, symbol, amount }
+    };
+    
+    try {
+        const slippage = resolveSlippage({
+            source,
+            agentId,
+            inputMint: tokenMint,
+            outputMint: SOL_MINT,
+            inputSymbol: symbol,
+            outputSymbol: 'SOL'
+        });
+        trade.slippageBps = slippage.slippageBps;
+        
+        // Stop-losses and liquidations are capped by maxExitPriceImpactPct rather than maxPriceImpactPct
+        const riskContext = { ...slippage.context, forcedExit: FORCED_EXIT_SOURCES.includes(source) };
+        const preTradeRejection = await riskManager.checkPreTrade(riskContext);
+        if (preTradeRejection) {
+            return recordTrade(trade, riskRejectedResult({ ...resultFields }, preTradeRejection));
+        }
+        
+        const swap = await runSwapPipeline({
+            wallet: agentWallet,
+            inputMint: tokenMint,
+            outputMint: SOL_MINT,
+            amount: Number(amount),
+            slippageBps: slippage.slippageBps,
+            direction: riskContext.direction,
+            checkQuote: order => riskManager.checkQuote(riskContext, order),
+            paper: trade.paper
+        });
+        trade.order = swap.orderResponse;
+        trade.attempts = swap.attempts;
+        
+        if (swap.riskRejection) {
+            return recordTrade(trade, riskRejectedResult({ ...resultFields, attempts: swap.attempts }, swap.riskRejection));
+        }
+        
+        if (swap.unsafeTransaction) {
+            return recordTrade(trade, unsafeTransactionResult({ ...resultFields, attempts: swap.attempts }, swap.unsafeTransaction));
+        }
+        
+        if (!swap.executeResponse) {
+            return recordTrade(trade, { success: false, ...resultFields, error: swap.error, attempts: swap.attempts });
+        }
+        
+        return recordTrade(trade, {
+            success: !swap.error,
+            ...resultFields,
+            executionStatus: swap.executeResponse.status,
+            signature: swap.executeResponse.signature,
+            inputAmount: swap.orderResponse.inAmount,
+            outputAmount: swap.orderResponse.outAmount,
+            ...settlementFields(swap.settlement),
+            attempts: swap.attempts,
+            ...(swap.error && { error: swap.error })
+        });
+    } catch (error) {
+        logger.error('Error executing token sell', { source, eventId, tokenMint, error });
+        return recordTrade(trade, {
+            success: false,
+            ...(error.code && { status: error.code }),
+            ...resultFields,
+            error: error.message
+        });
+    }
+}
+
+// Function to run a rebalance sell through the job queue, behind other jobs for the agent and token, and wait for it
+async function runRebalanceSell({ agentId, rebalanceId, tokenMint, symbol, amount }) {
+    const data = { id: `${rebalanceId}:${tokenMint}`, rebalance_id: rebalanceId, input_mint: tokenMint, output_mint: SOL_MINT, symbol, amount };
+    const { job } = jobQueue.enqueue({
+        idempotencyKey: buildIdempotencyKey('rebalanceSell', agentId, data.id),
+        locks: getJobLocks(agentId, data),
+        payload: { event: 'rebalanceSell', timestamp: new Date().toISOString(), agentId, data },
+        meta: { event: 'rebalanceSell', agentId, dataId: data.id }
+    });
+    const finishedJob = await jobQueue.waitFor(job.id);
+    return finishedJob.result || { success: false, error: finishedJob.error };
+}
+
+// Function to process a queued rebalance sell - rejected if the agent was paused after the rebalance was planned
+async function processRebalanceSell(eventData) {
+    const { agentId, data } = eventData;
+    const pause = pauseControl.getPause(agentId);
+    if (pause) {
+        return {
+            success: false,
+            status: 'PAUSED',
+            rebalanceId: data.rebalance_id,
+            error: `PAUSED: ${pause.scope === 'global' ? 'all trading' : `agent ${agentId}`} paused since ${pause.since} - ${data.symbol || data.input_mint} was not sold`
+        };
+    }
+    
+    return executeTokenSell({
+        source: 'rebalance',
+        agentId,
+        eventId: data.rebalance_id,
+        tokenMint: data.input_mint,
+        symbol: data.symbol,
+        amount: data.amount,
+        resultFields: { rebalanceId: data.rebalance_id }
+    });
+}
+
+// Function to get the price limit a trade signal buys under: price_at_signal plus the allowed deviation
+// (max_deviation_pct from the webhook, else LIMIT_ORDER_MAX_DEVIATION_PCT); null when the check is off
+function getSignalPriceLimit(data) {
+    const priceAtSignal = parseFloat(data.price_at_signal);
+    const maxDeviationPct = data.max_deviation_pct !== undefined ? parseFloat(data.max_deviation_pct) : LIMIT_ORDER_MAX_DEVIATION_PCT;
+    if (!(priceAtSignal > 0) || !(maxDeviationPct > 0)) {
+        return null;
+    }
+    return { priceAtSignal, maxDeviationPct, limitPriceUsd: priceAtSignal * (1 + maxDeviationPct / 100) };
+}
+
+// Function to check a trade signal's quote against the risk limits, then against its price limit
+async function checkSignalQuote(riskContext, orderResponse, priceLimit) {
+    const rejection = await riskManager.checkQuote(riskContext, orderResponse);
+    if (rejection || !priceLimit) {
+        return rejection;
+    }
+    
+    const priceUsd = await getQuotedPriceUsd(orderResponse);
+    if (priceUsd > priceLimit.limitPriceUsd) {
+        return {
+            rule: 'PRICE_DEVIATION',
+            message: priceLimit.priceAtSignal
+                ? `Quoted price $${priceUsd} is more than ${priceLimit.maxDeviationPct}% above price_at_signal $${priceLimit.priceAtSignal}`
+                : `Quoted price $${priceUsd} is above the limit price $${priceLimit.limitPriceUsd}`,
+            limit: priceLimit.limitPriceUsd,
+            actual: priceUsd
         };
     }
+    return null;
+}
+
+// Function to queue the buy of a limit order whose price was reached, behind other jobs for the agent and token
+function enqueueLimitOrderFill(order) {
+    const data = { id: order.id, input_mint: order.inputMint, token_address: order.outputMint };
+    const { job } = jobQueue.enqueue({
+        // An order that goes back to rest and is reached again gets a fresh job
+        idempotencyKey: buildIdempotencyKey('limitOrder', order.agentId, `${order.id}:${order.checks}`),
+        locks: getJobLocks(order.agentId, data),
+        payload: { event: 'limitOrder', timestamp: new Date().toISOString(), agentId: order.agentId, data },
+        meta: { event: 'limitOrder', agentId: order.agentId, dataId: order.id }
+    });
+    return job.id;
+}
+
+// Function to process a limit order whose price was reached: run its trade signal against the limit price
+async function processLimitOrder(eventData, { jobId = null } = {}) {
+    const order = limitOrders.get(eventData.data.id);
+    
+    if (!order || order.status !== 'filling') {
+        return {
+            success: false,
+            status: 'ORDER_NOT_ACTIVE',
+            limitOrderId: eventData.data.id,
+            error: `ORDER_NOT_ACTIVE: limit order ${eventData.data.id} is ${order ? order.status : 'unknown'}`
+        };
+    }
+    
+    if (limitOrders.expireIfDue(order)) {
+        return { success: false, status: 'ORDER_EXPIRED', limitOrderId: order.id, error: `ORDER_EXPIRED: limit order expired at ${order.expiresAt}` };
+    }
+    
+    const result = await processTradeSignal(order.eventData, { limitOrder: order, jobId });
+    if (result.status === 'LIMIT_NOT_REACHED') {
+        limitOrders.resolve(order.id, { status: 'pending', priceUsd: result.risk.actual });
+    } else {
+        limitOrders.resolve(order.id, {
+            status: result.success ? 'filled' : 'failed',
+            tradeId: result.tradeId || result.paperFillId || null,
+            error: result.error || null
+        });
+    }
+    return result;
+}
+
+// Function to get the SOL per token that selling an exit trigger's whole amount would get right now
+async function quoteExitPrice(trigger) {
+    const decimals = await getTokenDecimals(trigger.tokenMint);
+    const order = await getSwapOrder(trigger.tokenMint, SOL_MINT, trigger.amount, null, walletRegistry.getWalletForAgent(trigger.agentId).publicKey);
+    return (Number(order.outAmount) / Math.pow(10, 9)) / (Number(trigger.amount) / Math.pow(10, decimals));
+}
+
+// Function to queue the exit of a fired trigger behind any webhook jobs for the same agent and token
+function enqueueExitTrigger(trigger) {
+    const data = { id: trigger.id, input_mint: trigger.tokenMint, output_mint: SOL_MINT };
+    const { job } = jobQueue.enqueue({
+        // A re-armed trigger that fires again gets a fresh job
+        idempotencyKey: buildIdempotencyKey('exitTrigger', trigger.agentId, `${trigger.id}:${trigger.attempts}`),
+        locks: getJobLocks(trigger.agentId, data),
+        payload: { event: 'exitTrigger', timestamp: new Date().toISOString(), agentId: trigger.agentId, data },
+        meta: { event: 'exitTrigger', agentId: trigger.agentId, dataId: trigger.id }
+    });
+    return job.id;
+}
+
+// Function to attach stop-loss / take-profit / trailing-stop levels to a filled trade signal entry
+// Levels come from the webhook (stop_loss_pct, take_profit_pct, trailing_stop_pct), then the agent's and the global defaults.
+async function armExitTriggers(trade, result, data) {
+    const amount = result.actualOutAmount ?? trade.order?.outAmount;
+    if (!amount || trade.outputMint === SOL_MINT) {
+        return;
+    }
+    
+    try {
+        const levels = resolveLevels(exitTriggerConfig, trade.agentId, {
+            stopLossPct: data.stop_loss_pct,
+            takeProfitPct: data.take_profit_pct,
+            trailingStopPct: data.trailing_stop_pct
+        });
+        
+        const decimals = await getTokenDecimals(trade.outputMint);
+        const baseTrigger = { agentId: trade.agentId, tokenMint: trade.outputMint, amount: String(amount) };
+        // Entries paid in SOL are priced at the fill; anything else at what the tokens would sell for now
+        const entryPriceSol = trade.inputMint === SOL_MINT
+            ? (Number(result.actualInAmount ?? trade.order.inAmount) / Math.pow(10, 9)) / (Number(amount) / Math.pow(10, decimals))
+            : await quoteExitPrice(baseTrigger);
+        
+        const trigger = exitTriggers.add({
+            ...baseTrigger,
+            tokenSymbol: data.token_symbol || null,
+            entryPriceSol,
+            entryTradeId: result.tradeId || result.paperFillId || result.sliced?.slices[0]?.tradeId || result.sliced?.slices[0]?.paperFillId || null,
+            paper: !!trade.paper,
+            levels
+        });
+        if (trigger) {
+            result.exitTriggerId = trigger.id;
+        }
+    } catch (error) {
+        logger.warn('Exit levels not armed', { tokenMint: trade.outputMint, error: error.message });
+        result.exitTriggerError = error.message;
+    }
+}
+
+// Function to shrink or cancel exit triggers when a position is sold down by something other than its trigger
+// Only exits sized as a fraction of the balance move the triggers; a trigger's own exit is capped at what is held.
+function releaseExitTriggers(trade) {
+    const fraction = trade.exitStrategy?.percentageToSell;
+    if (trade.source === 'exitTrigger' || trade.inputMint === SOL_MINT || fraction === null || fraction === undefined) {
+        return;
+    }
+    exitTriggers.reducePosition(trade.agentId, trade.inputMint, fraction, `Position exited by ${trade.source} ${trade.eventId}`);
+}
+
+// Function to process a fired exit trigger: sell the position (or what is left of it) into SOL
+async function processExitTrigger(eventData) {
+    const { agentId, data } = eventData;
+    const trigger = exitTriggers.get(data.id);
+    
+    if (!trigger || trigger.status !== 'triggered') {
+        return {
+            success: false,
+            status: 'TRIGGER_NOT_ACTIVE',
+            triggerId: data.id,
+            error: `TRIGGER_NOT_ACTIVE: exit trigger ${data.id} is ${trigger ? trigger.status : 'unknown'}`
+        };
+    }
+    
+    logger.info('Processing exit trigger', {
+        tokenMint: trigger.tokenMint,
+        firedBy: trigger.firedBy,
+        firedPriceSol: trigger.firedPriceSol,
+        entryPriceSol: trigger.entryPriceSol,
+        amount: trigger.amount
+    });
+    
+    // Never sell more than is still held - webhooks may have sold part of the position since it was entered
+    let held;
+    try {
+        held = (await getAgentTokenBalance(trigger.tokenMint, agentId)).amount;
+    } catch (error) {
+        exitTriggers.resolve(trigger.id, { success: false, error: `Balance check failed: ${error.message}` });
+        return { success: false, triggerId: trigger.id, error: `Balance check failed: ${error.message}` };
+    }
+    
+    const amount = BigInt(held) < BigInt(trigger.amount) ? BigInt(held) : BigInt(trigger.amount);
+    if (amount === 0n) {
+        exitTriggers.cancel(trigger.id, 'Position is no longer held');
+        return { success: false, status: 'POSITION_CLOSED', triggerId: trigger.id, error: 'POSITION_CLOSED: the wallet no longer holds this token' };
+    }
+    
+    const result = await executeTokenSell({
+        source: 'exitTrigger',
+        agentId,
+        eventId: trigger.id,
+        tokenMint: trigger.tokenMint,
+        symbol: trigger.tokenSymbol,
+        amount: amount.toString(),
+        resultFields: { triggerId: trigger.id, firedBy: trigger.firedBy }
+    });
+    exitTriggers.resolve(trigger.id, { success: !!result.success, tradeId: result.tradeId || result.paperFillId || null, error: result.error || null });
+    return result;
+}
+
+// Function to process an agent lifecycle event (agentPaused, agentStopped, agentDeleted) from Nexgent
+// Pending limit orders are cancelled and the agent is paused in reject mode; with the liquidate action its open
+// positions are sold into SOL first and the exit triggers on them cancelled. An agent paused by an admin (or under a
+// global pause) is not liquidated - that pause was put there to stop trading - and keeps the admin's pause, which
+// agentResumed won't lift.
+async function processAgentLifecycle(eventData) {
+    const { event, agentId, data } = eventData;
+    const action = agentLifecycleActions[event];
+    const pauseBefore = pauseControl.getPause(agentId);
+    const existingPause = pauseBefore?.source === 'lifecycle' ? null : pauseBefore;
+    
+    logger.info('Processing agent lifecycle event', { action, reason: data.reason });
+    
+    let liquidation = null;
+    if (action === 'liquidate') {
+        liquidation = existingPause
+            ? { status: 'PAUSED', error: `PAUSED: ${existingPause.scope === 'global' ? 'all trading' : `agent ${agentId}`} paused since ${existingPause.since} - positions were not sold`, results: [] }
+            : await liquidateAgentPositions(agentId, { event, eventId: data.id });
+    }
+    
+    const cancelledOrders = limitOrders.list({ agentId, status: 'pending' })
+        .filter(order => limitOrders.cancel(order.id, `Agent ${event}`)).map(order => order.id);
+    // Only triggers on positions that were sold - the rest keep guarding what is still held once the agent resumes
+    const soldMints = (liquidation?.results || []).filter(result => result.success).map(result => result.tokenMint);
+    const cancelledTriggers = exitTriggers.list({ agentId, status: 'active' })
+        .filter(trigger => soldMints.includes(trigger.tokenMint) && exitTriggers.cancel(trigger.id, `Agent ${event}`))
+        .map(trigger => trigger.id);
+    
+    let pause;
+    if (existingPause?.scope === 'agent') {
+        pause = existingPause;
+    } else {
+        pause = pauseControl.pause({ agentId, reason: `Nexgent ${event}${data.reason ? `: ${data.reason}` : ''}`, mode: 'reject', source: 'lifecycle' });
+        notifier.notify('service.paused', {
+            agentId,
+            title: `Agent ${agentId} paused`,
+            message: pause.reason,
+            fields: { Mode: pause.mode, Since: pause.since, Action: action }
+        });
+    }
+    
+    const success = !liquidation || liquidation.status === 'COMPLETED';
+    return {
+        success,
+        status: action === 'liquidate' ? `LIQUIDATION_${liquidation.status}` : 'FROZEN',
+        action,
+        pause,
+        cancelledLimitOrders: cancelledOrders,
+        cancelledExitTriggers: cancelledTriggers,
+        ...(liquidation && { liquidation }),
+        ...(!success && { error: liquidation.error || 'Some positions could not be sold - check the liquidation results' })
+    };
+}
+
+// Function to process agentResumed / agentStarted: lift the pause a lifecycle event put on the agent
+// Pauses set by an admin (and global pauses) stay until they are lifted through POST /admin/resume.
+async function processAgentResume(eventData) {
+    const { event, agentId } = eventData;
+    const pause = pauseControl.getPause(agentId);
+    
+    if (!pause) {
+        return { success: true, status: 'NOT_PAUSED', agentId };
+    }
+    if (pause.scope !== 'agent' || pause.source !== 'lifecycle') {
+        logger.warn('Agent resumed in Nexgent but its pause was not set by a lifecycle event - keeping it', { scope: pause.scope, reason: pause.reason });
+        return {
+            success: true,
+            status: 'PAUSE_KEPT',
+            agentId,
+            pause,
+            message: `${pause.scope === 'global' ? 'All trading is' : `Agent ${agentId} is`} paused by an admin - lift it with POST /admin/resume`
+        };
+    }
+    
+    pauseControl.resume({ agentId });
+    notifier.notify('service.resumed', {
+        agentId,
+        title: `Agent ${agentId} resumed`,
+        message: `Nexgent ${event} lifted: ${pause.reason}`
+    });
+    jobQueue.wake();
+    return { success: true, status: 'RESUMED', agentId, liftedPause: pause };
+}
+
+// Function to sell every open position of an agent into SOL (paper positions for paper agents)
+// Tracked amounts are capped at what the wallet holds, since positions opened before the ledger existed aren't tracked
+async function liquidateAgentPositions(agentId, { event, eventId }) {
+    const paper = isPaperAgent(agentId);
+    const positions = (paper ? paperLedger.summary(agentId).positions : positionLedger.book(agentId).openPositions())
+        .filter(position => position.mint !== SOL_MINT);
+    const results = [];
+    
+    for (const position of positions) {
+        let amount = BigInt(position.amount);
+        if (!paper) {
+            try {
+                const held = BigInt((await getActualTokenBalance(position.mint, walletRegistry.getWalletForAgent(agentId).publicKey)).amount);
+                amount = held < amount ? held : amount;
+            } catch (error) {
+                results.push({ success: false, tokenMint: position.mint, error: `Balance check failed: ${error.message}` });
+                continue;
+            }
+        }
+        if (amount === 0n) {
+            results.push({ success: true, tokenMint: position.mint, status: 'POSITION_CLOSED', amount: '0' });
+            continue;
+        }
+        
+        const result = await executeTokenSell({
+            source: 'liquidation',
+            agentId,
+            eventId,
+            tokenMint: position.mint,
+            symbol: tokenMetadata.get(position.mint)?.symbol || null,
+            amount: amount.toString(),
+            resultFields: { lifecycleEvent: event }
+        });
+        results.push({
+            success: !!result.success,
+            tokenMint: position.mint,
+            amount: amount.toString(),
+            status: result.status || null,
+            tradeId: result.tradeId || null,
+            paperFillId: result.paperFillId || null,
+            signature: result.signature || null,
+            error: result.error || null
+        });
+    }
+    
+    const sold = results.filter(result => result.success).length;
+    logger.info('Agent positions liquidated', { positions: positions.length, sold, failed: results.length - sold });
+    return {
+        status: sold === results.length ? 'COMPLETED' : (sold > 0 ? 'PARTIALLY_FILLED' : 'FAILED'),
+        positions: positions.length,
+        results
+    };
+}
+
+// Function to process a balanceSync event: Nexgent moved the agent's virtual balances, so reconcile them now
+async function processBalanceSync(eventData) {
+    const { agentId } = eventData;
+    const snapshot = await reconciler.reconcile(agentId);
+    return {
+        success: !snapshot.error,
+        status: snapshot.error ? 'RECONCILE_FAILED' : 'RECONCILED',
+        snapshotId: snapshot.id,
+        wallet: snapshot.wallet,
+        summary: snapshot.summary,
+        drifted: snapshot.drifted,
+        ...(snapshot.error && { error: snapshot.error })
+    };
+}
+
+// Function to compute the serialization locks for a webhook (one per agent and per non-SOL token mint)
+function getJobLocks(agentId, data) {
+    const mints = [data.input_mint, data.output_mint, data.token_address]
+        .filter(mint => mint && mint !== SOL_MINT);
+    return [`agent:${agentId}`, ...new Set(mints.map(mint => `mint:${mint}`))];
+}
+
+// Function to run a queued webhook job through the idempotent processor
+async function runWebhookJob(job) {
+    const { event, timestamp, agentId, data } = job.payload;
+    const handler = eventRegistry.get(event);
+    setLogContext({
+        requestId: job.requestId,
+        event,
+        agentId,
+        [handler.idField]: data.id
+    });
+    
+    const delivery = await idempotencyStore.run(
+        job.idempotencyKey,
+        // The job id is passed alongside the event, never inside it, so it isn't journaled or stored with a limit order
+        () => handler.process({ event, timestamp, agentId, data }, { jobId: job.id })
+    ).finally(() => slicingJobIds.delete(job.id));
+    
+    if (delivery.status === 'processing') {
+        metrics.webhookProcessed.inc({ event, outcome: 'in_progress' });
+        return {
+            success: false,
+            duplicate: true,
+            result: null,
+            error: 'IN_PROGRESS: a previous delivery of this event started but did not complete - check the wallet before resending'
+        };
+    }
+    
+    // Log a summary of the result (the full result is in the job and the trade journal)
+    logger.info('Webhook processing complete', {
+        duplicate: delivery.duplicate,
+        success: !!delivery.result?.success,
+        status: delivery.result?.status,
+        tradeId: delivery.result?.tradeId,
+        signature: delivery.result?.signature,
+        error: delivery.result?.error
+    });
+    
+    metrics.webhookProcessed.inc({
+        event,
+        outcome: delivery.duplicate ? 'duplicate' : (delivery.result?.status || (delivery.result?.success ? 'success' : 'failed'))
+    });
+    
+    return {
+        success: !!delivery.result?.success,
+        duplicate: delivery.duplicate,
+        result: delivery.result
+    };
 }
 
 // Main webhook endpoint
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', countWebhookRequest, verifyWebhookSignature, async (req, res) => {
     try {
         const { event, timestamp, agentId, data } = req.body;
+        const handler = eventRegistry.forWebhook(event);
         
-        console.log(`\n🎯 ===============================`);
-        console.log(`📨 Webhook Event Received`);
-        console.log(`   Event: ${event}`);
-        console.log(`   Timestamp: ${timestamp}`);
-        console.log(`   Agent ID: ${agentId}`);
-        console.log(`   Data ID: ${data?.id}`);
-        console.log(`🎯 ===============================\n`);
+        setLogContext({ event, agentId, [handler ? handler.idField : 'eventId']: data?.id });
+        logger.info('Webhook event received', { timestamp });
+        
+        // Event types without a handler are stored for inspection (GET /admin/events/unknown) - resending won't help
+        if (!handler) {
+            const stored = unknownEvents.record({ event, agentId, timestamp, requestId: res.locals.requestId, payload: req.body });
+            res.locals.webhookOutcome = 'unknown_event';
+            return res.status(202).json({
+                success: false,
+                event,
+                timestamp,
+                agentId,
+                stored: true,
+                unknownEventId: stored.id,
+                error: `Unknown event type: ${event}`,
+                supportedEvents: eventRegistry.list().map(entry => entry.event)
+            });
+        }
         
         if (!agentId) {
             return res.status(400).json({
@@ -865,43 +2849,127 @@ app.post('/webhook', async (req, res) => {
             });
         }
         
-        let result;
+        if (data?.id === undefined || data?.id === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'data.id is required for idempotent processing'
+            });
+        }
         
-        switch (event) {
-            case 'agentTransactions':
-                result = await processAgentTransaction({ event, timestamp, agentId, data });
-                break;
-            
-            case 'tradeSignals':
-                result = await processTradeSignal({ event, timestamp, agentId, data });
-                break;
-            
-            default:
-                console.log(`❌ Unknown event type: ${event}`);
-                return res.status(400).json({
+        if (!walletRegistry.hasAgent(agentId)) {
+            logger.warn('No wallet mapped to agent');
+            res.locals.webhookOutcome = 'unknown_agent';
+            return res.status(403).json({
+                success: false,
+                error: `Unknown agent ${agentId}: no wallet is mapped to it`
+            });
+        }
+        
+        // While paused, webhooks are either recorded and rejected, or held in the queue for replay
+        // (lifecycle and balance-sync events aren't pausable and always run)
+        const pause = handler.pausable ? pauseControl.getPause(agentId) : null;
+        if (pause && pause.mode === 'reject') {
+            logger.warn('Trading paused - rejecting webhook', { scope: pause.scope });
+            const result = recordTrade(
+                { source: event, agentId, paper: isPaperAgent(agentId), eventId: data.id, ...handler.getMints(data), payload: req.body },
+                {
                     success: false,
-                    error: `Unknown event type: ${event}`
-                });
+                    status: 'PAUSED',
+                    error: `PAUSED: ${pause.scope === 'global' ? 'all trading' : `agent ${agentId}`} paused since ${pause.since} - ${pause.reason}`,
+                    pause
+                }
+            );
+            res.locals.webhookOutcome = 'paused';
+            return res.status(200).json({
+                success: true,
+                event,
+                timestamp,
+                agentId,
+                result
+            });
         }
         
-        // Log the result
-        console.log('\n📊 ===============================');
-        console.log('✅ Webhook Processing Complete');
-        console.log('📊 ===============================');
-        console.log('Result:', JSON.stringify(result, null, 2));
-        console.log('📊 ===============================\n');
+        const { job, created } = jobQueue.enqueue({
+            idempotencyKey: buildIdempotencyKey(event, agentId, data.id),
+            locks: handler.getLocks(agentId, data),
+            payload: { event, timestamp, agentId, data },
+            meta: { event, agentId, dataId: data.id, requestId: res.locals.requestId }
+        });
+        
+        // Async mode: acknowledge now, the sender polls GET /jobs/:id (held jobs are always acknowledged)
+        const asyncRequested = req.query.async !== undefined ? req.query.async === 'true' : ASYNC_WEBHOOKS;
+        if (asyncRequested || pause) {
+            res.locals.webhookOutcome = !created ? 'duplicate' : (pause ? 'held' : 'queued');
+            return res.status(202).json({
+                success: true,
+                event,
+                timestamp,
+                agentId,
+                duplicate: !created,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/jobs/${job.id}`,
+                ...(pause && { paused: true, pause })
+            });
+        }
+        
+        // A job that switches to sliced execution would hold the response for the whole window - answer 202 instead
+        // (only this request's listener is removed - a redelivery of the same event may be waiting on the job too)
+        let onSlicing = null;
+        const slicingStarted = slicingJobIds.has(job.id) ? Promise.resolve() : new Promise(resolve => {
+            onSlicing = resolve;
+            slicingJobs.once(job.id, onSlicing);
+        });
+        const finishedJob = await Promise.race([jobQueue.waitFor(job.id), slicingStarted.then(() => null)]);
+        if (onSlicing) {
+            slicingJobs.off(job.id, onSlicing);
+        }
+        
+        if (!finishedJob) {
+            res.locals.webhookOutcome = 'sliced';
+            return res.status(202).json({
+                success: true,
+                event,
+                timestamp,
+                agentId,
+                duplicate: !created,
+                jobId: job.id,
+                status: 'running',
+                sliced: true,
+                statusUrl: `/jobs/${job.id}`
+            });
+        }
+        
+        if (!finishedJob.result) {
+            const inProgress = finishedJob.error?.startsWith('IN_PROGRESS');
+            res.locals.webhookOutcome = inProgress ? 'in_progress' : 'error';
+            return res.status(inProgress ? 409 : 500).json({
+                success: false,
+                event,
+                timestamp,
+                agentId,
+                duplicate: inProgress || !created,
+                jobId: finishedJob.id,
+                status: inProgress ? 'IN_PROGRESS' : finishedJob.status,
+                error: inProgress ? 'Previous delivery did not complete' : 'Internal server error',
+                message: finishedJob.error
+            });
+        }
         
         // Respond with the result
+        res.locals.webhookOutcome = !created || finishedJob.duplicate ? 'duplicate' : (finishedJob.result.success ? 'success' : 'failed');
         res.status(200).json({
             success: true,
             event,
             timestamp,
             agentId,
-            result
+            duplicate: !created || finishedJob.duplicate,
+            jobId: finishedJob.id,
+            result: finishedJob.result
         });
         
     } catch (error) {
-        console.error('❌ Webhook processing error:', error);
+        logger.error('Webhook processing error', { error });
         res.status(500).json({
             success: false,
             error: 'Internal server error',
@@ -910,29 +2978,295 @@ app.post('/webhook', async (req, res) => {
     }
 });
 
+// Pause all trading, or a single agent
+app.post('/admin/pause', requireAdmin, (req, res) => {
+    try {
+        const { agentId, reason, mode } = req.body;
+        const pause = pauseControl.pause({ agentId, reason, mode });
+        notifier.notify('service.paused', {
+            agentId: agentId || null,
+            title: agentId ? `Agent ${agentId} paused` : 'All trading paused',
+            message: pause.reason,
+            fields: { Mode: pause.mode, Since: pause.since }
+        });
+        
+        res.json({
+            success: true,
+            scope: agentId ? 'agent' : 'global',
+            agentId: agentId || null,
+            pause,
+            trading: pauseControl.getState()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Resume all trading, or a single agent - held webhooks replay unless discarded
+app.post('/admin/resume', requireAdmin, (req, res) => {
+    const { agentId, discardQueued } = req.body;
+    const wasPaused = pauseControl.resume({ agentId });
+    if (wasPaused) {
+        notifier.notify('service.resumed', {
+            agentId: agentId || null,
+            title: agentId ? `Agent ${agentId} resumed` : 'All trading resumed',
+            message: discardQueued ? 'Held webhooks were discarded' : 'Held webhooks will be replayed'
+        });
+    }
+    
+    let discarded = 0;
+    if (discardQueued) {
+        discarded = jobQueue.discard(
+            job => (!agentId || job.agentId === agentId) && !pauseControl.getPause(job.agentId),
+            'DISCARDED: dropped by admin when trading was resumed'
+        );
+    }
+    jobQueue.wake();
+    
+    res.json({
+        success: true,
+        scope: agentId ? 'agent' : 'global',
+        agentId: agentId || null,
+        wasPaused,
+        discardedJobs: discarded,
+        trading: pauseControl.getState(),
+        jobQueue: jobQueue.stats()
+    });
+});
+
+// Show the current pause state
+app.get('/admin/pause', requireAdmin, (req, res) => {
+    res.json({
+        ...pauseControl.getState(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// List webhooks stored because no handler is registered for their event type, newest first (filters: event, agentId, limit)
+app.get('/admin/events/unknown', requireAdmin, (req, res) => {
+    res.json({
+        ...unknownEvents.list({ event: req.query.event, agentId: req.query.agentId, limit: req.query.limit }),
+        supportedEvents: eventRegistry.list().map(entry => entry.event)
+    });
+});
+
+// Inspect one stored unknown webhook with its full payload
+app.get('/admin/events/unknown/:id', requireAdmin, (req, res) => {
+    const stored = unknownEvents.get(req.params.id);
+    if (!stored) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown event ${req.params.id} not found`
+        });
+    }
+    res.json(stored);
+});
+
+// List the token metadata cache
+app.get('/admin/tokens', requireAdmin, (req, res) => {
+    const tokens = tokenMetadata.list();
+    res.json({
+        count: tokens.length,
+        stale: tokens.filter(token => token.stale).length,
+        tokens
+    });
+});
+
+// Inspect one token's cached metadata (?refresh=true re-fetches it from the sources)
+app.get('/admin/tokens/:mint', requireAdmin, async (req, res) => {
+    const { mint } = req.params;
+    if (req.query.refresh === 'true') {
+        await tokenMetadata.getMetadata(mint, { forceRefresh: true });
+    }
+    
+    const token = tokenMetadata.get(mint);
+    if (!token) {
+        return res.status(404).json({
+            success: false,
+            error: `No metadata cached for ${mint}`
+        });
+    }
+    res.json(token);
+});
+
+// Seed token metadata by hand (body: mint, decimals, symbol?, name?, verified? - or tokens: [...])
+app.post('/admin/tokens', requireAdmin, (req, res) => {
+    const tokens = Array.isArray(req.body.tokens) ? req.body.tokens : [req.body];
+    
+    try {
+        tokens.forEach(token => {
+            if (!token.mint) {
+                throw new Error('mint is required');
+            }
+        });
+        const seeded = tokens.map(token => tokenMetadata.seed(token.mint, token));
+        res.json({
+            success: true,
+            seeded
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Show notification targets with delivery counts, and the most recent deliveries
+app.get('/admin/notifications', requireAdmin, (req, res) => {
+    res.json({
+        enabled: notifier.enabled,
+        targets: notifier.stats(),
+        recent: notifier.recent(Math.min(parseInt(req.query.limit) || 50, 500))
+    });
+});
+
+// Send a test notification to one target (body: target?) or to all of them
+app.post('/admin/notifications/test', requireAdmin, (req, res) => {
+    try {
+        const targets = notifier.sendTest(req.body.target || null);
+        res.json({
+            success: true,
+            targets
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Show the slippage rules and which one would match a given payload
+app.get('/config/slippage', (req, res) => {
+    const { event, agentId, input_mint, output_mint, input_symbol, output_symbol, token_address, token_symbol,
+        input_amount, trade_amount, slippage } = req.query;
+    
+    let evaluation = null;
+    if (event) {
+        const isSignal = event === 'tradeSignals';
+        const inputMint = input_mint || (isSignal ? SOL_MINT : undefined);
+        const outputMint = isSignal ? token_address : output_mint;
+        const amount = parseFloat(isSignal ? trade_amount : input_amount);
+        
+        if (!inputMint || !outputMint) {
+            return res.status(400).json({
+                error: isSignal ? 'token_address is required for tradeSignals' : 'input_mint and output_mint are required'
+            });
+        }
+        
+        evaluation = resolveSlippage({
+            source: event,
+            agentId,
+            inputMint,
+            outputMint,
+            inputSymbol: input_symbol || (isSignal && !input_mint ? 'SOL' : undefined),
+            outputSymbol: isSignal ? token_symbol : output_symbol,
+            sizeSol: inputMint === SOL_MINT && !Number.isNaN(amount) ? amount : null,
+            webhookSlippage: slippage ? parseFloat(slippage) : undefined
+        });
+    }
+    
+    res.json({
+        configPath: SLIPPAGE_CONFIG_PATH,
+        config: slippagePolicy.config,
+        evaluation,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Get the status and result of a webhook job
+app.get('/jobs/:id', requireReader, (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({
+            error: 'Job not found',
+            id: req.params.id
+        });
+    }
+    
+    res.json(job);
+});
+
 // Root endpoint - shows available routes
 app.get('/', (req, res) => {
     res.json({
         name: 'Jupiter Webhook Server with Virtual Balance Sync',
         status: 'running',
         timestamp: new Date().toISOString(),
-        wallet: wallet.publicKey.toString(),
+        wallets: walletRegistry.listWallets(),
         features: [
             'Virtual agent balance synchronization',
             'Simple fallback strategy when virtual balance unavailable', 
             'Exit strategy: min(actual balance, webhook amount)',
-            'Dynamic trade amounts for signals'
+            'Dynamic trade amounts for signals',
+            'HMAC-SHA256 webhook signatures with secret rotation',
+            'Idempotent processing of retried webhook deliveries',
+            'Persistent trade journal',
+            'Persistent webhook job queue serialized per agent and token',
+            'Per-agent wallet routing',
+            'Encrypted keystore (npm run keystore)',
+            'Pluggable remote signer over HTTP or a Unix socket (npm run signer)',
+            'Transaction inspection and simulation before signing',
+            'Persistent token metadata cache - trades with unknown decimals are refused',
+            'Structured JSON logs with request/job correlation ids and secret redaction (LOG_LEVEL, LOG_FORMAT)',
+            'Outbound notifications to webhook, Slack and Telegram targets with filters, rate limits and retries',
+            'Scheduled balance reconciliation with drift history and alerts (RECONCILE_INTERVAL_MINUTES)',
+            'Rebalancing of excess actual holdings back to the virtual balance, as a dry-run plan or through the swap pipeline',
+            'Paper trading against real balances and quotes, globally or per agent (PAPER_MODE, PAPER_AGENT_IDS, LIVE_AGENT_IDS)',
+            'Per-agent position ledger with FIFO or average cost and realized/unrealized PnL (POSITION_COST_METHOD)',
+            'Server-side stop-loss, take-profit and trailing-stop exits on trade signal entries, surviving restarts (PRICE_MONITOR_INTERVAL_SECONDS)',
+            'Limit orders for trade signals quoted too far above price_at_signal, re-quoted until filled or expired (LIMIT_ORDER_MAX_DEVIATION_PCT, LIMIT_ORDER_TTL_MINUTES)',
+            'TWAP / impact-sized slicing of large entries and exits, on request or when a quote\'s impact is too high (TWAP_AUTO_IMPACT_PCT)',
+            'Agent lifecycle events freeze or liquidate the agent (AGENT_LIFECYCLE_ACTIONS) until agentResumed, balanceSync events reconcile it, unknown events are stored for inspection'
         ],
+        events: eventRegistry.list(),
         endpoints: {
             'GET /': 'Server information and available endpoints',
             'GET /health': 'Health check endpoint',
-            'GET /balance': 'Get actual wallet token balances',
-            'GET /virtual-balance/:agentId': 'Get virtual agent balance',
-            'GET /balance-comparison/:agentId': 'Compare virtual vs actual balances',
-            'GET /debug-agent/:agentId': 'Debug agent access and API connectivity',
-            'POST /webhook': 'Main webhook endpoint for processing events',
-            'POST /test-swap': 'Test swap endpoint',
-            'POST /test-exit': 'Test exit strategy calculation'
+            'GET /metrics': 'Prometheus metrics',
+            'GET /balance': 'Get actual wallet token balances (admin or read key; ?agentId= or ?wallet= to pick a wallet)',
+            'GET /virtual-balance/:agentId': 'Get virtual agent balance (admin or read key)',
+            'GET /balance-comparison/:agentId': 'Compare virtual vs actual balances, combined for agents sharing a wallet (admin or read key; stored as a reconciliation snapshot)',
+            'GET /reconciliation/:agentId/history': 'Stored reconciliation snapshots, newest first (admin or read key; filters: since, until, limit)',
+            'GET /debug-agent/:agentId': 'Debug agent access and API connectivity (admin or read key)',
+            'GET /trades': 'List journaled trades (admin or read key; filters: agentId, mint, success, from, to, limit, offset)',
+            'GET /trades/:id': 'Get a single journaled trade (admin or read key)',
+            'GET /positions/:agentId': 'Open positions with cost basis, valued at Jupiter quotes (admin or read key; ?mark=false, ?closed=true)',
+            'GET /pnl/:agentId': 'Realized PnL in SOL and USD (filters: from, to; ?details=true) plus unrealized PnL (admin or read key)',
+            'GET /paper/:agentId': 'Paper positions and realized PnL (admin or read key; ?mark=true to quote unrealized PnL)',
+            'GET /paper/:agentId/fills': 'Paper fills, newest first (admin or read key; ?limit=)',
+            'GET /triggers': 'Exit triggers (stop-loss, take-profit, trailing stop), newest first (admin or read key; filters: agentId, mint, status)',
+            'GET /triggers/:id': 'Get a single exit trigger (admin or read key)',
+            'GET /orders': 'Resting, filled and expired limit orders, newest first (admin or read key; filters: agentId, status)',
+            'GET /orders/:id': 'Get a single limit order (admin or read key)',
+            'GET /jobs/:id': 'Get webhook job status and result (admin or read key)',
+            'POST /admin/pause': 'Pause all trading or one agent (admin; body: agentId?, reason?, mode: reject|queue)',
+            'POST /admin/resume': 'Resume all trading or one agent (admin; body: agentId?, discardQueued?)',
+            'GET /admin/pause': 'Show pause state (admin)',
+            'GET /admin/events/unknown': 'List webhooks with an unhandled event type, newest first (admin; filters: event, agentId, limit)',
+            'GET /admin/events/unknown/:id': 'Get a stored unknown webhook with its payload (admin)',
+            'GET /admin/tokens': 'List cached token metadata (admin)',
+            'GET /admin/tokens/:mint': 'Inspect cached token metadata (admin; ?refresh=true to re-fetch)',
+            'POST /admin/tokens': 'Seed token metadata (admin; body: mint, decimals, symbol?, name?, verified? or tokens: [...])',
+            'GET /admin/notifications': 'Notification targets, delivery counts and recent deliveries (admin)',
+            'POST /admin/notifications/test': 'Send a test notification (admin; body: target?)',
+            'POST /admin/reconciliation/run': 'Reconcile virtual vs actual balances now (admin; body: agentId?)',
+            'POST /admin/rebalance/:agentId': 'Plan or execute selling off tokens held beyond the virtual balance, for agents with a wallet of their own (admin; body: execute?, tokens?)',
+            'GET /admin/rebalances': 'List rebalance runs (admin; filters: agentId, limit)',
+            'GET /admin/rebalances/:id': 'Get a rebalance run with its plan and trade results (admin)',
+            'DELETE /admin/triggers/:id': 'Cancel an exit trigger that has not run its exit (admin; body: reason?)',
+            'DELETE /admin/orders/:id': 'Cancel a pending limit order (admin; body: reason?)',
+            'GET /config/slippage': 'Show slippage rules (pass webhook fields as query params to see the matching rule)',
+            'POST /webhook': 'Main webhook endpoint for processing events (?async=true to respond 202 with a job id; sliced trades always do)',
+            ...(TEST_ENDPOINTS && {
+                'POST /test-swap': 'Test swap endpoint, run through the job queue (admin; MOCK_MODE or INSECURE_DEV_MODE only)',
+                'POST /test-exit': 'Test exit strategy calculation (admin; MOCK_MODE or INSECURE_DEV_MODE only)'
+            })
         },
         sampleWebhookPayload: {
             agentTransactions: {
@@ -947,7 +3281,11 @@ app.get('/', (req, res) => {
                     input_amount: 500,
                     output_mint: 'So11111111111111111111111111111111111111112',
                     output_symbol: 'SOL',
-                    slippage: 0.005
+                    slippage: 0.005,
+                    // Optional slicing: twap_slices over twap_window_seconds, or slices sized to max_slice_impact_pct
+                    // (answered 202 with a job id; the trade holds a queue worker for the whole window)
+                    twap_slices: 4,
+                    twap_window_seconds: 120
                 }
             },
             tradeSignals: {
@@ -964,33 +3302,86 @@ app.get('/', (req, res) => {
                     trade_amount: 0.5,  // Amount to trade (0.5 SOL in this example)
                     input_mint: 'So11111111111111111111111111111111111111112',  // Token to trade with (SOL)
                     input_symbol: 'SOL',  // Symbol of input token
-                    slippage: 0.01  // 1% slippage tolerance
+                    slippage: 0.01,  // 1% slippage tolerance
+                    max_deviation_pct: 2,  // Rest as a limit order if quoted more than 2% above price_at_signal
+                    // Optional exit levels in percent (default to config/exit-triggers.json):
+                    stop_loss_pct: 15,
+                    take_profit_pct: 50,
+                    trailing_stop_pct: 20
+                }
+            },
+            agentStopped: {
+                event: 'agentStopped', // or agentPaused, agentDeleted - and agentResumed / agentStarted to lift the pause
+                timestamp: '2024-01-01T12:00:00.000Z',
+                agentId: 'agent-uuid-required',
+                data: {
+                    id: 'lifecycle-event-id',
+                    reason: 'Stopped by owner'
+                }
+            },
+            balanceSync: {
+                event: 'balanceSync',
+                timestamp: '2024-01-01T12:00:00.000Z',
+                agentId: 'agent-uuid-required',
+                data: {
+                    id: 'sync-event-id'
                 }
             }
         }
     });
 });
 
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metricsRegistry.render());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        wallet: wallet.publicKey.toString(),
+        wallets: walletRegistry.listWallets(),
+        signer: signer.type,
         nexgentApi: !!NEXGENT_API_KEY,
         jupiterApi: !!JUPITER_API_KEY,
-        mockMode: MOCK_MODE
+        mockMode: MOCK_MODE,
+        paperMode: PAPER_MODE,
+        paperAgents: PAPER_AGENT_IDS,
+        liveAgents: LIVE_AGENT_IDS,
+        webhookSignatures: WEBHOOK_SECRET ? (INSECURE_DEV_MODE ? 'optional' : 'required') : 'disabled',
+        asyncWebhooks: ASYNC_WEBHOOKS,
+        jobQueue: jobQueue.stats(),
+        exitTriggers: exitTriggers.stats(),
+        limitOrders: limitOrders.stats(),
+        trading: {
+            paused: !!pauseControl.getState().globalPause,
+            ...pauseControl.getState()
+        }
     });
 });
 
 // Get actual wallet balance endpoint
-app.get('/balance', async (req, res) => {
+app.get('/balance', requireReader, async (req, res) => {
     try {
-        const walletAddress = wallet.publicKey.toString();
+        const { agentId, wallet: walletName } = req.query;
+        let walletAddress;
+        try {
+            walletAddress = (walletName ? walletRegistry.getWallet(walletName) : getTradingWallet(agentId)).publicKey;
+        } catch (error) {
+            return res.status(404).json({ error: error.message });
+        }
+        
         const holdingsResponse = await makeJupiterRequest(`/ultra/v1/holdings/${walletAddress}`);
+        const balances = Array.from(parseHoldings(holdingsResponse).values()).map(holding => ({
+            ...holding,
+            symbol: tokenMetadata.get(holding.mint)?.symbol || null
+        }));
         
         res.json({
             wallet: walletAddress,
+            balances, // One entry per mint, summed across token accounts
             holdings: holdingsResponse, // Return raw structure for debugging
             timestamp: new Date().toISOString(),
             structure: {
@@ -1000,7 +3391,7 @@ app.get('/balance', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Error fetching actual balance:', error);
+        logger.error('Error fetching actual balance', { error });
         res.status(500).json({
             error: 'Failed to fetch actual wallet balance',
             message: error.message
@@ -1008,92 +3399,208 @@ app.get('/balance', async (req, res) => {
     }
 });
 
-// Get virtual agent balance endpoint
-app.get('/virtual-balance/:agentId', async (req, res) => {
+// Get virtual agent balance endpoint
+app.get('/virtual-balance/:agentId', requireReader, async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const virtualBalances = await getVirtualAgentBalance(agentId);
+        
+        res.json({
+            agentId: agentId,
+            virtualBalances: virtualBalances,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error fetching virtual balance', { error });
+        res.status(500).json({
+            error: 'Failed to fetch virtual agent balance',
+            message: error.message
+        });
+    }
+});
+
+// Compare virtual vs actual balances (runs a reconciliation now and stores the snapshot)
+app.get('/balance-comparison/:agentId', requireReader, async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const snapshot = await reconciler.reconcile(agentId);
+        
+        if (snapshot.error) {
+            return res.status(500).json({
+                error: 'Failed to compare balances',
+                message: snapshot.error,
+                snapshotId: snapshot.id
+            });
+        }
+        
+        res.json({
+            agentId: agentId,
+            wallet: snapshot.wallet,
+            agents: snapshot.agents,
+            timestamp: snapshot.timestamp,
+            snapshotId: snapshot.id,
+            driftThresholdPct: snapshot.driftThresholdPct,
+            comparison: snapshot.comparison,
+            summary: snapshot.summary
+        });
+        
+    } catch (error) {
+        logger.error('Error comparing balances', { error });
+        res.status(500).json({
+            error: 'Failed to compare balances',
+            message: error.message
+        });
+    }
+});
+
+// Stored reconciliation snapshots for an agent, newest first (filters: since, until, limit)
+app.get('/reconciliation/:agentId/history', requireReader, (req, res) => {
+    const { agentId } = req.params;
+    const { since, until, limit } = req.query;
+    
+    if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+        return res.status(400).json({
+            error: 'since and until must be ISO timestamps'
+        });
+    }
+    
+    const snapshots = reconciler.history(agentId, { since, until, limit });
+    res.json({
+        agentId,
+        count: snapshots.length,
+        snapshots,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Run a reconciliation now for one agent (body: agentId?) or for every reconciled agent
+app.post('/admin/reconciliation/run', requireAdmin, async (req, res) => {
     try {
-        const { agentId } = req.params;
-        const virtualBalances = await getVirtualAgentBalance(agentId);
+        const { agentId } = req.body;
+        if (agentId) {
+            const snapshot = await reconciler.reconcile(agentId);
+            return res.json({ success: !snapshot.error, snapshots: [snapshot] });
+        }
         
+        const agentIds = listReconciledAgents();
+        await reconciler.runAll();
         res.json({
-            agentId: agentId,
-            virtualBalances: virtualBalances,
-            timestamp: new Date().toISOString()
+            success: true,
+            snapshots: agentIds.map(id => reconciler.history(id, { limit: 1 })[0]).filter(Boolean)
         });
     } catch (error) {
-        console.error('Error fetching virtual balance:', error);
+        logger.error('Error running reconciliation', { error });
         res.status(500).json({
-            error: 'Failed to fetch virtual agent balance',
-            message: error.message
+            success: false,
+            error: error.message
         });
     }
 });
 
-// Compare virtual vs actual balances
-app.get('/balance-comparison/:agentId', async (req, res) => {
+// Plan (dry run, the default) or execute a rebalance selling off tokens held beyond the virtual balance
+app.post('/admin/rebalance/:agentId', requireAdmin, async (req, res) => {
+    const { agentId } = req.params;
+    const { execute = false, tokens = null } = req.body;
+    
+    if (tokens !== null && (!Array.isArray(tokens) || tokens.some(token => typeof token !== 'string'))) {
+        return res.status(400).json({
+            success: false,
+            error: 'tokens must be an array of token mints'
+        });
+    }
+    
+    if (!walletRegistry.hasAgent(agentId)) {
+        return res.status(403).json({
+            success: false,
+            error: `Unknown agent ${agentId}: no wallet is mapped to it`
+        });
+    }
+    
     try {
-        const { agentId } = req.params;
-        
-        // Get both virtual and actual balances
-        const [virtualBalances, actualHoldings] = await Promise.all([
-            getVirtualAgentBalance(agentId),
-            makeJupiterRequest(`/ultra/v1/holdings/${wallet.publicKey.toString()}`)
-        ]);
-        
-        const actualBalances = actualHoldings.holdings || [];
-        
-        // Compare balances
-        const comparison = virtualBalances.balances.map(virtualToken => {
-            const actualToken = actualBalances.find(actual => 
-                actual.mint === virtualToken.token || 
-                actual.symbol?.toLowerCase() === virtualToken.symbol?.toLowerCase()
-            );
-            
-            const actualAmount = actualToken ? actualToken.uiAmount : 0;
-            const difference = actualAmount - virtualToken.balance;
-            const diffPercent = virtualToken.balance > 0 ? 
-                ((difference / virtualToken.balance) * 100).toFixed(2) : 
-                (actualAmount > 0 ? '∞' : '0');
-            
-            return {
-                symbol: virtualToken.symbol,
-                token: virtualToken.token,
-                virtual: virtualToken.balance,
-                actual: actualAmount,
-                difference: difference,
-                diffPercent: diffPercent + '%',
-                status: Math.abs(difference) < 0.001 ? 'MATCHED' : 
-                        difference > 0 ? 'ACTUAL_HIGHER' : 'VIRTUAL_HIGHER'
-            };
+        const rebalance = await rebalancer.run(agentId, {
+            execute: execute === true,
+            tokens,
+            requestedBy: req.ip
         });
-        
-        res.json({
-            agentId: agentId,
-            timestamp: new Date().toISOString(),
-            comparison: comparison,
-            summary: {
-                totalTokens: comparison.length,
-                matched: comparison.filter(c => c.status === 'MATCHED').length,
-                actualHigher: comparison.filter(c => c.status === 'ACTUAL_HIGHER').length,
-                virtualHigher: comparison.filter(c => c.status === 'VIRTUAL_HIGHER').length
-            }
+        res.status(rebalance.status === 'failed' ? 500 : 200).json({
+            success: rebalance.status === 'completed' && (rebalance.results || []).every(result => result.success),
+            rebalance
         });
-        
     } catch (error) {
-        console.error('Error comparing balances:', error);
-        res.status(500).json({
-            error: 'Failed to compare balances',
-            message: error.message
+        const status = { REBALANCE_IN_PROGRESS: 409, WALLET_SHARED: 409, PAUSED: 423 }[error.code] || 500;
+        res.status(status).json({
+            success: false,
+            status: error.code,
+            error: error.message,
+            ...(error.pause && { pause: error.pause }),
+            ...(error.agents && { agents: error.agents })
+        });
+    }
+});
+
+// List rebalance runs, newest first (filters: agentId, limit)
+app.get('/admin/rebalances', requireAdmin, (req, res) => {
+    res.json({
+        rebalances: rebalancer.list({ agentId: req.query.agentId, limit: req.query.limit }),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Get a single rebalance run with its plan and trade results
+app.get('/admin/rebalances/:id', requireAdmin, (req, res) => {
+    const rebalance = rebalancer.get(req.params.id);
+    
+    if (!rebalance) {
+        return res.status(404).json({
+            error: 'Rebalance not found',
+            id: req.params.id
         });
     }
+    
+    res.json(rebalance);
 });
 
+// Function to list the agents the scheduled reconciliation covers: RECONCILE_AGENT_IDS, or every agent
+// routed to a wallet or seen in the trade journal
+function listReconciledAgents() {
+    return RECONCILE_AGENT_IDS.length > 0 ? RECONCILE_AGENT_IDS : listKnownAgents();
+}
+
+// Function to list the agents this server knows of: mapped to a wallet, named in RECONCILE_AGENT_IDS, or journaled
+function listKnownAgents() {
+    const agentIds = new Set([...walletRegistry.listWallets().flatMap(wallet => wallet.agents), ...RECONCILE_AGENT_IDS]);
+    tradeJournal.filter(trade => trade.agentId).forEach(trade => agentIds.add(trade.agentId));
+    return Array.from(agentIds).filter(agentId => walletRegistry.hasAgent(agentId));
+}
+
+// Function to list the live agents trading from the same wallet as an agent, the agent first
+// Without a wallet mapping every agent shares the default wallet; paper agents never move its balances.
+function getWalletAgents(agentId) {
+    const walletName = walletRegistry.getWalletForAgent(agentId).name;
+    const others = listKnownAgents().filter(id => id !== agentId && !isPaperAgent(id)
+        && walletRegistry.getWalletForAgent(id).name === walletName);
+    return [agentId, ...others];
+}
+
+// Function to notify when tokens drift from the virtual balance by more than BALANCE_DRIFT_ALERT_PCT
+function notifyBalanceDrift(snapshot, drifted) {
+    const shared = (snapshot.agents || []).length > 1;
+    notifier.notify('balance.drift', {
+        agentId: snapshot.agentId,
+        title: shared ? `Balance drift for wallet ${snapshot.wallet} (agents ${snapshot.agents.join(', ')})` : `Balance drift for agent ${snapshot.agentId}`,
+        message: `${drifted.length} token${drifted.length === 1 ? '' : 's'} differ from the ${shared ? 'combined virtual balances' : 'virtual balance'} by more than ${snapshot.driftThresholdPct}%`,
+        fields: Object.fromEntries(drifted.map(entry => [
+            entry.symbol || entry.token,
+            `actual ${entry.actual} vs virtual ${entry.virtual} (${entry.diffPercent}, ${entry.status})`
+        ]))
+    });
+}
+
 // Debug endpoint to check agent access
-app.get('/debug-agent/:agentId', async (req, res) => {
+app.get('/debug-agent/:agentId', requireReader, async (req, res) => {
     try {
         const { agentId } = req.params;
         
-        console.log(`🔍 Debug: Testing access to agent ${agentId}`);
-        
         const debugInfo = {
             agentId: agentId,
             timestamp: new Date().toISOString(),
@@ -1143,7 +3650,7 @@ app.get('/debug-agent/:agentId', async (req, res) => {
         res.json(debugInfo);
         
     } catch (error) {
-        console.error('Debug agent error:', error);
+        logger.error('Debug agent error', { error });
         res.status(500).json({
             error: 'Debug test failed',
             message: error.message
@@ -1151,66 +3658,355 @@ app.get('/debug-agent/:agentId', async (req, res) => {
     }
 });
 
-// Test exit strategy calculation  
-app.post('/test-exit', async (req, res) => {
+// Function to add symbol, UI amount and average entry price to positions from cached token metadata
+function describePositions(positions) {
+    return positions.map(position => {
+        const metadata = tokenMetadata.get(position.mint);
+        const uiAmount = metadata ? Number(position.amount) / Math.pow(10, metadata.decimals) : null;
+        return {
+            ...position,
+            symbol: metadata?.symbol || null,
+            uiAmount,
+            avgEntryPriceSol: uiAmount ? position.costSol / uiAmount : null
+        };
+    });
+}
+
+// Function to value open positions at Jupiter quotes (token → SOL), adding unrealized PnL in SOL and USD
+async function markPositions(agentId, positions) {
+    const taker = getTradingWallet(agentId).publicKey;
+    const solPriceUsd = await getSolPriceUsd().catch(() => null);
+    
+    for (const position of positions) {
+        try {
+            const order = await getSwapOrder(position.mint, SOL_MINT, position.amount, null, taker);
+            position.valueSol = Number(order.outAmount) / Math.pow(10, 9);
+            position.unrealizedPnlSol = position.valueSol - position.costSol;
+            position.valueUsd = solPriceUsd === null ? null : position.valueSol * solPriceUsd;
+            position.unrealizedPnlUsd = position.valueUsd === null || position.costUsd === null ? null : position.valueUsd - position.costUsd;
+        } catch (error) {
+            position.markError = error.message;
+        }
+    }
+    
+    const marked = positions.filter(position => position.markError === undefined);
+    return {
+        solPriceUsd,
+        valueSol: marked.reduce((total, position) => total + position.valueSol, 0),
+        unrealizedPnlSol: marked.reduce((total, position) => total + position.unrealizedPnlSol, 0),
+        unrealizedPnlUsd: marked.reduce((total, position) => (total === null || position.unrealizedPnlUsd === null ? null : total + position.unrealizedPnlUsd), 0),
+        unmarked: positions.length - marked.length
+    };
+}
+
+// Open positions with cost basis for an agent, valued at Jupiter quotes (?mark=false to skip quoting)
+app.get('/positions/:agentId', requireReader, async (req, res) => {
     try {
-        const { agentId, tokenMint, tokenSymbol, webhookAmount } = req.body;
+        const { agentId } = req.params;
+        const book = positionLedger.book(agentId);
+        const positions = describePositions(book.openPositions());
+        const valuation = req.query.mark === 'false' ? null : await markPositions(agentId, positions);
         
-        if (!agentId || !tokenMint || !webhookAmount) {
+        res.json({
+            agentId,
+            costMethod: positionLedger.method,
+            positions,
+            valuation,
+            closedPositions: req.query.closed === 'true' ? describePositions(book.closedPositions()) : undefined,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error reading positions', { error });
+        res.status(500).json({
+            error: 'Failed to read positions',
+            message: error.message
+        });
+    }
+});
+
+// Realized PnL (filters: from, to) plus unrealized PnL of open positions for an agent
+app.get('/pnl/:agentId', requireReader, async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const from = req.query.from ? Date.parse(req.query.from) : null;
+        const to = req.query.to ? Date.parse(req.query.to) : null;
+        if (Number.isNaN(from) || Number.isNaN(to)) {
             return res.status(400).json({
-                error: 'Missing required parameters: agentId, tokenMint, webhookAmount'
+                error: 'from and to must be ISO timestamps'
             });
         }
         
-        const exitStrategy = await calculateExitStrategy(
-            webhookAmount,
-            tokenMint,
-            tokenSymbol,
-            agentId
-        );
+        const book = positionLedger.book(agentId);
+        const realized = book.realized({ from, to });
+        const positions = describePositions(book.openPositions());
+        const unrealized = await markPositions(agentId, positions);
         
         res.json({
-            testParameters: {
-                agentId,
-                tokenMint,
-                tokenSymbol,
-                webhookAmount
+            agentId,
+            costMethod: positionLedger.method,
+            realized: {
+                pnlSol: realized.pnlSol,
+                pnlUsd: realized.pnlUsd,
+                tokens: realized.tokens,
+                closes: req.query.details === 'true' ? realized.closes : undefined
+            },
+            unrealized: {
+                ...unrealized,
+                tokens: positions.map(position => ({
+                    mint: position.mint,
+                    symbol: position.symbol,
+                    costSol: position.costSol,
+                    valueSol: position.valueSol ?? null,
+                    pnlSol: position.unrealizedPnlSol ?? null,
+                    pnlUsd: position.unrealizedPnlUsd ?? null,
+                    ...(position.markError && { markError: position.markError })
+                }))
             },
-            exitStrategy: exitStrategy,
+            totalPnlSol: realized.pnlSol + unrealized.unrealizedPnlSol,
             timestamp: new Date().toISOString()
         });
+    } catch (error) {
+        logger.error('Error computing PnL', { error });
+        res.status(500).json({
+            error: 'Failed to compute PnL',
+            message: error.message
+        });
+    }
+});
+
+// Paper positions and realized PnL for an agent (?mark=true quotes open positions for unrealized PnL)
+app.get('/paper/:agentId', requireReader, async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const summary = paperLedger.summary(agentId);
+        summary.positions = describePositions(summary.positions);
         
+        res.json({
+            agentId,
+            paper: isPaperAgent(agentId),
+            costMethod: POSITION_COST_METHOD,
+            ...summary,
+            valuation: req.query.mark === 'true' ? await markPositions(agentId, summary.positions) : null,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        console.error('Test exit strategy error:', error);
+        logger.error('Error reading paper positions', { error });
         res.status(500).json({
-            error: 'Test exit strategy failed',
+            error: 'Failed to read paper positions',
+            message: error.message
+        });
+    }
+});
+
+// Paper fills for an agent, newest first (?limit=)
+app.get('/paper/:agentId/fills', requireReader, (req, res) => {
+    const fills = paperLedger.listFills(req.params.agentId, { limit: req.query.limit });
+    res.json({
+        agentId: req.params.agentId,
+        count: fills.length,
+        fills,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// List exit triggers, newest first (filters: agentId, mint, status)
+app.get('/triggers', requireReader, (req, res) => {
+    const triggers = exitTriggers.list({ agentId: req.query.agentId, tokenMint: req.query.mint, status: req.query.status });
+    res.json({
+        count: triggers.length,
+        triggers,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Get a single exit trigger
+app.get('/triggers/:id', requireReader, (req, res) => {
+    const trigger = exitTriggers.get(req.params.id);
+    
+    if (!trigger) {
+        return res.status(404).json({
+            error: 'Exit trigger not found',
+            id: req.params.id
+        });
+    }
+    
+    res.json(trigger);
+});
+
+// Cancel an exit trigger that hasn't run its exit yet
+app.delete('/admin/triggers/:id', requireAdmin, (req, res) => {
+    const trigger = exitTriggers.get(req.params.id);
+    
+    if (!trigger) {
+        return res.status(404).json({
+            error: 'Exit trigger not found',
+            id: req.params.id
+        });
+    }
+    
+    const cancelled = exitTriggers.cancel(trigger.id, `Cancelled by admin: ${req.body?.reason || 'no reason given'}`);
+    if (!cancelled) {
+        return res.status(409).json({
+            error: `Exit trigger is already ${trigger.status}`,
+            trigger
+        });
+    }
+    
+    res.json({
+        success: true,
+        trigger: cancelled
+    });
+});
+
+// List limit orders, newest first (filters: agentId, status)
+app.get('/orders', requireReader, (req, res) => {
+    const orders = limitOrders.list({ agentId: req.query.agentId, status: req.query.status });
+    res.json({
+        count: orders.length,
+        orders,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Get a single limit order
+app.get('/orders/:id', requireReader, (req, res) => {
+    const order = limitOrders.get(req.params.id);
+    
+    if (!order) {
+        return res.status(404).json({
+            error: 'Limit order not found',
+            id: req.params.id
+        });
+    }
+    
+    res.json(order);
+});
+
+// Cancel a pending limit order
+app.delete('/admin/orders/:id', requireAdmin, (req, res) => {
+    const order = limitOrders.get(req.params.id);
+    
+    if (!order) {
+        return res.status(404).json({
+            error: 'Limit order not found',
+            id: req.params.id
+        });
+    }
+    
+    const cancelled = limitOrders.cancel(order.id, `Cancelled by admin: ${req.body?.reason || 'no reason given'}`);
+    if (!cancelled) {
+        return res.status(409).json({
+            error: `Limit order is already ${order.status}`,
+            order
+        });
+    }
+    
+    res.json({
+        success: true,
+        order: cancelled
+    });
+});
+
+// List journaled trades with filters and pagination
+app.get('/trades', requireReader, (req, res) => {
+    try {
+        const { agentId, mint, success, from, to, limit, offset } = req.query;
+        const page = tradeJournal.query({ agentId, mint, success, from, to, limit, offset });
+        
+        res.json({
+            ...page,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error querying trades', { error });
+        res.status(400).json({
+            error: 'Failed to query trades',
             message: error.message
         });
     }
 });
 
-// Test endpoint for manual swap execution
-app.post('/test-swap', async (req, res) => {
+// Get a single journaled trade
+app.get('/trades/:id', requireReader, (req, res) => {
+    const trade = tradeJournal.get(req.params.id);
+    
+    if (!trade) {
+        return res.status(404).json({
+            error: 'Trade not found',
+            id: req.params.id
+        });
+    }
+    
+    res.json(trade);
+});
+
+// Function to run a manual swap queued by POST /test-swap
+async function processTestSwap(eventData) {
+    const { agentId, data } = eventData;
+    const amount = data.amount;
+    let trade = null;
     try {
-        const { inputMint, outputMint, amount, slippageBps } = req.body;
+        // Trade from the agent's wallet when agentId is given, otherwise the default wallet
+        const tradingWallet = getTradingWallet(agentId);
         
-        if (!inputMint || !outputMint || !amount) {
-            return res.status(400).json({
-                error: 'Missing required parameters: inputMint, outputMint, amount'
-            });
+        trade = {
+            source: 'test-swap',
+            agentId: agentId || null,
+            paper: isPaperAgent(agentId || null),
+            wallet: tradingWallet.name,
+            eventId: data.id,
+            inputMint: data.input_mint,
+            outputMint: data.output_mint,
+            payload: data,
+            slippageBps: data.slippage_bps
+        };
+        
+        const direction = getTradeDirection(trade.inputMint, trade.outputMint);
+        const riskContext = {
+            agentId: agentId || null,
+            direction,
+            tokenMint: direction === 'buy' ? trade.outputMint : trade.inputMint,
+            sizeSol: trade.inputMint === SOL_MINT ? amount / Math.pow(10, 9) : null
+        };
+        
+        const preTradeRejection = await riskManager.checkPreTrade(riskContext);
+        if (preTradeRejection) {
+            return recordTrade(trade, riskRejectedResult({}, preTradeRejection));
         }
         
-        const orderResponse = await getSwapOrder(inputMint, outputMint, amount, slippageBps);
+        const swap = await runSwapPipeline({
+            wallet: tradingWallet,
+            inputMint: trade.inputMint,
+            outputMint: trade.outputMint,
+            amount,
+            slippageBps: data.slippage_bps ?? null,
+            direction,
+            checkQuote: order => riskManager.checkQuote(riskContext, order),
+            paper: trade.paper
+        });
+        trade.order = swap.orderResponse;
+        trade.attempts = swap.attempts;
         
-        if (!orderResponse.transaction) {
-            throw new Error('No transaction received from Jupiter API');
+        if (swap.riskRejection) {
+            return recordTrade(trade, riskRejectedResult({ attempts: swap.attempts }, swap.riskRejection));
         }
         
-        const signedTransaction = signTransaction(orderResponse.transaction);
-        const executeResponse = await executeSwap(signedTransaction, orderResponse.requestId);
+        if (swap.unsafeTransaction) {
+            return recordTrade(trade, unsafeTransactionResult({ attempts: swap.attempts }, swap.unsafeTransaction));
+        }
         
-        res.json({
-            success: true,
+        if (!swap.executeResponse) {
+            return recordTrade(trade, { success: false, error: swap.error, attempts: swap.attempts });
+        }
+        
+        const { orderResponse, executeResponse, settlement } = swap;
+        
+        return recordTrade(trade, {
+            success: !swap.error,
+            executionStatus: executeResponse.status,
+            signature: executeResponse.signature,
+            ...settlementFields(settlement),
+            ...(swap.error && { error: swap.error }),
             orderResponse: {
                 inputMint: orderResponse.inputMint,
                 outputMint: orderResponse.outputMint,
@@ -1219,64 +4015,190 @@ app.post('/test-swap', async (req, res) => {
                 slippageBps: orderResponse.slippageBps,
                 priceImpactPct: orderResponse.priceImpactPct
             },
-            executeResponse
+            executeResponse,
+            settlement,
+            attempts: swap.attempts
         });
         
     } catch (error) {
-        console.error('Test swap error:', error);
-        res.status(500).json({
-            error: 'Test swap failed',
-            message: error.message
-        });
+        logger.error('Test swap error', { error });
+        return trade ? recordTrade(trade, { success: false, error: error.message }) : { success: false, error: error.message };
     }
-});
+}
+
+// Manual test endpoints - development only (MOCK_MODE or INSECURE_DEV_MODE), and admin-only even then
+if (TEST_ENDPOINTS) {
+    // Test exit strategy calculation
+    app.post('/test-exit', requireAdmin, async (req, res) => {
+        try {
+            const { agentId, tokenMint, tokenSymbol, webhookAmount } = req.body;
+            
+            if (!agentId || !tokenMint || !webhookAmount) {
+                return res.status(400).json({
+                    error: 'Missing required parameters: agentId, tokenMint, webhookAmount'
+                });
+            }
+            
+            const exitStrategy = await calculateExitStrategy(
+                webhookAmount,
+                tokenMint,
+                tokenSymbol,
+                agentId
+            );
+            
+            res.json({
+                testParameters: {
+                    agentId,
+                    tokenMint,
+                    tokenSymbol,
+                    webhookAmount
+                },
+                exitStrategy: exitStrategy,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            logger.error('Test exit strategy error', { error });
+            res.status(500).json({
+                error: 'Test exit strategy failed',
+                message: error.message
+            });
+        }
+    });
+    
+    // Test endpoint for manual swap execution - queued like a webhook, behind other jobs for the agent and tokens
+    app.post('/test-swap', requireAdmin, async (req, res) => {
+        try {
+            const { inputMint, outputMint, amount, slippageBps, agentId } = req.body;
+            
+            if (!inputMint || !outputMint || !amount) {
+                return res.status(400).json({
+                    error: 'Missing required parameters: inputMint, outputMint, amount'
+                });
+            }
+            
+            if (agentId && !walletRegistry.hasAgent(agentId)) {
+                return res.status(403).json({
+                    error: `Unknown agent ${agentId}: no wallet is mapped to it`
+                });
+            }
+            
+            const pause = pauseControl.getPause(agentId || null);
+            if (pause) {
+                return res.status(423).json({
+                    error: 'Trading is paused',
+                    status: 'PAUSED',
+                    pause
+                });
+            }
+            
+            const data = { id: crypto.randomUUID(), input_mint: inputMint, output_mint: outputMint, amount, slippage_bps: slippageBps };
+            const { job } = jobQueue.enqueue({
+                idempotencyKey: buildIdempotencyKey('testSwap', agentId || 'default', data.id),
+                locks: getJobLocks(agentId || 'default', data),
+                payload: { event: 'testSwap', timestamp: new Date().toISOString(), agentId: agentId || null, data },
+                meta: { event: 'testSwap', agentId: agentId || null, dataId: data.id, requestId: res.locals.requestId }
+            });
+            
+            const finishedJob = await jobQueue.waitFor(job.id);
+            const result = finishedJob.result;
+            if (!result) {
+                return res.status(500).json({
+                    error: 'Test swap failed',
+                    message: finishedJob.error,
+                    jobId: job.id
+                });
+            }
+            
+            if (result.status === 'RISK_REJECTED') {
+                return res.status(403).json({ ...result, jobId: job.id, error: 'Test swap rejected by risk limits', message: result.error });
+            }
+            
+            if (result.status === 'UNSAFE_TRANSACTION') {
+                return res.status(422).json({ ...result, jobId: job.id, error: 'Test swap aborted: unsafe transaction', message: result.error });
+            }
+            
+            if (!result.executeResponse) {
+                return res.status(500).json({
+                    error: 'Test swap failed',
+                    message: result.error,
+                    jobId: job.id,
+                    tradeId: result.tradeId,
+                    attempts: result.attempts
+                });
+            }
+            
+            res.json({ ...result, jobId: job.id });
+            
+        } catch (error) {
+            logger.error('Test swap error', { error });
+            res.status(500).json({
+                error: 'Test swap failed',
+                message: error.message
+            });
+        }
+    });
+}
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`\n🚀 ===============================`);
-    console.log(`📡 Jupiter Webhook Server Started`);
-    console.log(`🚀 ===============================`);
-    console.log(`Port: ${PORT}`);
-    console.log(`Wallet: ${wallet.publicKey.toString()}`);
-    console.log(`Jupiter API: ${JUPITER_BASE_URL}`);
-    console.log(`Nexgent API: ${NEXGENT_BASE_URL}`);
-    console.log(`Jupiter API Key: ${JUPITER_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
-    console.log(`Nexgent API Key: ${NEXGENT_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
-    console.log(`Mock Mode: ${MOCK_MODE ? '🧪 ENABLED (safe testing)' : '⚡ DISABLED (real transactions)'}`);
-    console.log(`🚀 ===============================`);
+// Start server once the wallets are unlocked
+initializeWallets().then(() => app.listen(PORT, () => {
+    logger.info('Jupiter webhook server started', {
+        port: PORT,
+        wallets: walletRegistry.listWallets().map(({ name, publicKey }) => `${name} (${publicKey})`),
+        signer: signer.type === 'local' ? 'local keystore' : SIGNER_SOCKET || SIGNER_URL,
+        jupiterApi: JUPITER_BASE_URL,
+        nexgentApi: NEXGENT_BASE_URL,
+        solanaRpc: SOLANA_RPC_URL,
+        jupiterApiKey: !!JUPITER_API_KEY,
+        nexgentApiKey: !!NEXGENT_API_KEY,
+        mockMode: MOCK_MODE,
+        paperMode: PAPER_MODE,
+        paperAgents: PAPER_AGENT_IDS,
+        liveAgents: LIVE_AGENT_IDS,
+        webhookSignatures: INSECURE_DEV_MODE ? 'insecure-dev-mode' : 'required'
+    });
+    
+    if (PAPER_MODE || PAPER_AGENT_IDS.length > 0) {
+        logger.warn('PAPER TRADING ACTIVE - paper agents are quoted against real balances but never signed or executed', {
+            paperAgents: PAPER_MODE ? 'all' : PAPER_AGENT_IDS,
+            liveAgents: PAPER_MODE ? LIVE_AGENT_IDS : 'all others'
+        });
+    }
     
     if (MOCK_MODE) {
-        console.log('\n🧪 MOCK MODE ACTIVE - All transactions are simulated!');
-        console.log('• Virtual agent balance calls are mocked');
-        console.log('• Jupiter API calls are mocked');
-        console.log('• No real transactions will be executed');
-        console.log(`• Visit http://localhost:${PORT} for testing endpoints`);
+        logger.warn(`MOCK MODE ACTIVE - Nexgent and Jupiter calls are mocked and no real transactions are executed (test endpoints at http://localhost:${PORT})`);
     } else {
-        console.log('\n⚡ LIVE MODE ACTIVE');
-        console.log('• Real virtual agent balance integration');
-        console.log('• Real Jupiter API transactions');  
-        console.log('• Transactions will be executed on-chain');
+        logger.info('LIVE MODE ACTIVE - transactions will be executed on-chain');
         
         if (!NEXGENT_API_KEY) {
-            console.log('\n❌ WARNING: NEXGENT_API_KEY not configured!');
-            console.log('• Virtual balance sync will not work');
-            console.log('• Enable mock mode with: MOCK_MODE=true');
+            logger.warn('NEXGENT_API_KEY not configured - virtual balance sync will not work (enable mock mode with MOCK_MODE=true)');
         }
         
         if (!JUPITER_API_KEY) {
-            console.log('\n⚠️  WARNING: No Jupiter API key configured');
-            console.log('• You may encounter rate limits');
-            console.log('• Get a free API key at: https://portal.jup.ag');
+            logger.warn('No Jupiter API key configured - you may encounter rate limits (get a free key at https://portal.jup.ag)');
         }
     }
     
-    console.log(`\n🎯 Ready to process webhooks with virtual balance synchronization!`);
-    console.log(`🎯 ===============================\n`);
+    jobQueue.start();
+    notifier.start();
+    reconciler.start();
+    exitTriggers.start();
+    limitOrders.start();
+    
+    // Warm the token cache with every mint we have traded, plus TOKEN_METADATA_WARM_MINTS
+    const warmMints = [
+        ...tradeJournal.filter(() => true).flatMap(trade => [trade.inputMint, trade.outputMint]),
+        ...(process.env.TOKEN_METADATA_WARM_MINTS || '').split(',').map(mint => mint.trim())
+    ].filter(Boolean);
+    tokenMetadata.warm(warmMints).catch(error => logger.error('Error warming token metadata cache', { error: error.message }));
+})).catch(error => {
+    logger.error('Error initializing wallets', { error: error.message });
+    process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down server...');
+    logger.info('Shutting down server');
     process.exit(0);
 });
 
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendJsonLine } = require('../lib/storage');
+const { buildIdempotencyKey, createIdempotencyStore } = require('../lib/idempotencyStore');
+
+const TTL_MS = 60 * 60 * 1000;
+
+function tempFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-')), 'idempotency.jsonl');
+}
+
+test('builds one key per event, agent and event id', () => {
+    assert.strictEqual(buildIdempotencyKey('tradeSignals', 'agent-1', 42), 'tradeSignals:agent-1:42');
+    assert.notStrictEqual(buildIdempotencyKey('tradeSignals', 'agent-1', 42), buildIdempotencyKey('tradeSignals', 'agent-2', 42));
+});
+
+test('runs a delivery once and returns the stored result for a redelivery', async () => {
+    const store = createIdempotencyStore({ filePath: tempFile(), ttlMs: TTL_MS });
+    let runs = 0;
+    const processor = async () => ({ success: true, run: ++runs });
+
+    const first = await store.run('key', processor);
+    const second = await store.run('key', processor);
+
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual(first, { duplicate: false, status: 'completed', result: { success: true, run: 1 } });
+    assert.strictEqual(second.duplicate, true);
+    assert.deepStrictEqual(second.result, { success: true, run: 1 });
+});
+
+test('makes a concurrent redelivery wait for the first one', async () => {
+    const store = createIdempotencyStore({ filePath: tempFile(), ttlMs: TTL_MS });
+    let runs = 0;
+    let finish;
+    const processor = () => new Promise(resolve => { runs++; finish = resolve; });
+
+    const first = store.run('key', processor);
+    const second = store.run('key', processor);
+    finish({ success: true });
+
+    assert.strictEqual((await first).duplicate, false);
+    assert.deepStrictEqual(await second, { duplicate: true, status: 'completed', result: { success: true }, firstSeenAt: store.get('key').createdAt });
+    assert.strictEqual(runs, 1);
+});
+
+test('releases the key when the processor throws so the sender can retry', async () => {
+    const filePath = tempFile();
+    const store = createIdempotencyStore({ filePath, ttlMs: TTL_MS });
+
+    await assert.rejects(store.run('key', async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(store.get('key'), null);
+    assert.strictEqual((await store.run('key', async () => ({ success: true }))).duplicate, false);
+
+    // A restart doesn't bring the released attempt back either
+    const reloaded = createIdempotencyStore({ filePath, ttlMs: TTL_MS });
+    assert.strictEqual(reloaded.get('key').status, 'completed');
+});
+
+test('keeps completed results across a restart', async () => {
+    const filePath = tempFile();
+    await createIdempotencyStore({ filePath, ttlMs: TTL_MS }).run('key', async () => ({ success: true }));
+
+    let ran = false;
+    const result = await createIdempotencyStore({ filePath, ttlMs: TTL_MS }).run('key', async () => { ran = true; });
+    assert.strictEqual(ran, false);
+    assert.deepStrictEqual(result.result, { success: true });
+});
+
+test('refuses to re-run a delivery interrupted by a restart', async () => {
+    const filePath = tempFile();
+    appendJsonLine(filePath, { key: 'key', status: 'processing', createdAt: Date.now(), updatedAt: Date.now() });
+
+    let ran = false;
+    const result = await createIdempotencyStore({ filePath, ttlMs: TTL_MS }).run('key', async () => { ran = true; });
+    assert.strictEqual(ran, false);
+    assert.strictEqual(result.status, 'processing');
+    assert.strictEqual(result.interrupted, true);
+});
+
+test('forgets records older than the TTL on load', async () => {
+    const filePath = tempFile();
+    const longAgo = Date.now() - 2 * TTL_MS;
+    appendJsonLine(filePath, { key: 'key', status: 'completed', result: { success: true }, createdAt: longAgo, updatedAt: longAgo });
+
+    const store = createIdempotencyStore({ filePath, ttlMs: TTL_MS });
+    assert.strictEqual(store.get('key'), null);
+    assert.strictEqual((await store.run('key', async () => ({ success: true }))).duplicate, false);
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendJsonLine, readJsonLines } = require('../lib/storage');
+const { createJobQueue } = require('../lib/jobQueue');
+
+const RETENTION_MS = 60 * 60 * 1000;
+
+function tempFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-')), 'jobs.jsonl');
+}
+
+// Function to create a queue whose handler records run order and finishes only when told to
+function createTestQueue({ filePath = tempFile(), concurrency = 4, isHeld } = {}) {
+    const started = [];
+    const release = new Map();
+    const queue = createJobQueue({
+        filePath,
+        concurrency,
+        retentionMs: RETENTION_MS,
+        isHeld,
+        handler: job => new Promise(resolve => {
+            started.push(job.payload.name);
+            release.set(job.payload.name, () => resolve({ success: true, result: { name: job.payload.name } }));
+        })
+    });
+    return { queue, started, finish: name => release.get(name)() };
+}
+
+test('serializes jobs that share a lock and runs the others alongside', async () => {
+    const { queue, started, finish } = createTestQueue();
+    queue.start();
+
+    const first = queue.enqueue({ locks: ['agent:a', 'mint:x'], payload: { name: 'first' } }).job;
+    queue.enqueue({ locks: ['agent:b', 'mint:x'], payload: { name: 'same-mint' } });
+    queue.enqueue({ locks: ['agent:c'], payload: { name: 'unrelated' } });
+
+    assert.deepStrictEqual(started, ['first', 'unrelated']);
+
+    finish('first');
+    await queue.waitFor(first.id);
+    assert.deepStrictEqual(started, ['first', 'unrelated', 'same-mint']);
+});
+
+test('never runs more jobs than the concurrency allows', async () => {
+    const { queue, started, finish } = createTestQueue({ concurrency: 1 });
+    queue.start();
+
+    const first = queue.enqueue({ locks: ['agent:a'], payload: { name: 'first' } }).job;
+    queue.enqueue({ locks: ['agent:b'], payload: { name: 'second' } });
+    assert.deepStrictEqual(started, ['first']);
+    assert.strictEqual(queue.stats().activeWorkers, 1);
+
+    finish('first');
+    await queue.waitFor(first.id);
+    assert.deepStrictEqual(started, ['first', 'second']);
+});
+
+test('returns the existing job for a repeated idempotency key', async () => {
+    const { queue, finish } = createTestQueue();
+    queue.start();
+
+    const first = queue.enqueue({ idempotencyKey: 'key', payload: { name: 'first' } });
+    const repeat = queue.enqueue({ idempotencyKey: 'key', payload: { name: 'first' } });
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(repeat.created, false);
+    assert.strictEqual(repeat.job.id, first.job.id);
+
+    finish('first');
+    const finished = await queue.waitFor(first.job.id);
+    assert.strictEqual(finished.status, 'succeeded');
+    assert.deepStrictEqual(finished.result, { name: 'first' });
+});
+
+test('leaves held jobs queued until woken', async () => {
+    let held = true;
+    const { queue, started, finish } = createTestQueue({ isHeld: () => held });
+    queue.start();
+
+    const job = queue.enqueue({ locks: ['agent:a'], payload: { name: 'held' } }).job;
+    assert.deepStrictEqual(started, []);
+
+    held = false;
+    queue.wake();
+    assert.deepStrictEqual(started, ['held']);
+    finish('held');
+    await queue.waitFor(job.id);
+});
+
+test('fails discarded jobs without running them', async () => {
+    const { queue, started } = createTestQueue({ isHeld: () => true });
+    queue.start();
+
+    const job = queue.enqueue({ payload: { name: 'discarded' } }).job;
+    assert.strictEqual(queue.discard(() => true, 'DISCARDED: test'), 1);
+
+    const finished = await queue.waitFor(job.id);
+    assert.strictEqual(finished.status, 'failed');
+    assert.strictEqual(finished.error, 'DISCARDED: test');
+    assert.deepStrictEqual(started, []);
+});
+
+test('marks jobs that were running at a restart as interrupted instead of re-running them', () => {
+    const filePath = tempFile();
+    appendJsonLine(filePath, { id: 'job-1', status: 'running', idempotencyKey: 'key', locks: [], payload: { name: 'lost' }, finishedAt: null });
+
+    const { queue, started } = createTestQueue({ filePath });
+    queue.start();
+
+    assert.deepStrictEqual(started, []);
+    assert.strictEqual(queue.get('job-1').status, 'failed');
+    assert.match(queue.get('job-1').error, /^INTERRUPTED/);
+});
+
+test('prunes finished jobs past retention and compacts the file', async () => {
+    const filePath = tempFile();
+    const longAgo = new Date(Date.now() - 2 * RETENTION_MS).toISOString();
+    appendJsonLine(filePath, { id: 'old', status: 'succeeded', idempotencyKey: 'old-key', locks: [], payload: {}, finishedAt: longAgo });
+
+    const { queue, finish } = createTestQueue({ filePath });
+    assert.strictEqual(queue.get('old'), null);
+
+    queue.start();
+    const job = queue.enqueue({ idempotencyKey: 'new-key', payload: { name: 'new' } }).job;
+    finish('new');
+    await queue.waitFor(job.id);
+    assert.ok(readJsonLines(filePath).length > 1);
+
+    assert.strictEqual(queue.prune(), 0);
+    assert.strictEqual(readJsonLines(filePath).length, 1);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPauseControl } = require('../lib/pauseControl');
+
+function tempFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pause-')), 'pause-state.json');
+}
+
+test('pauses are recorded as admin pauses unless a source is given', () => {
+    const control = createPauseControl({ filePath: tempFile() });
+    control.pause({ agentId: 'agent-1', reason: 'maintenance' });
+    control.pause({ agentId: 'agent-2', reason: 'Nexgent agentStopped', source: 'lifecycle' });
+
+    assert.strictEqual(control.getPause('agent-1').source, 'admin');
+    assert.strictEqual(control.getPause('agent-2').source, 'lifecycle');
+    assert.strictEqual(control.getPause('agent-2').scope, 'agent');
+    assert.strictEqual(control.getPause('agent-3'), null);
+});
+
+test('the pause source survives a restart', () => {
+    const filePath = tempFile();
+    createPauseControl({ filePath }).pause({ agentId: 'agent-1', reason: 'Nexgent agentPaused', mode: 'queue', source: 'lifecycle' });
+
+    const pause = createPauseControl({ filePath }).getPause('agent-1');
+    assert.strictEqual(pause.source, 'lifecycle');
+    assert.strictEqual(pause.mode, 'queue');
+    assert.strictEqual(pause.reason, 'Nexgent agentPaused');
+});
+
+test('a global pause wins over an agent lifecycle pause until it is lifted', () => {
+    const control = createPauseControl({ filePath: tempFile() });
+    control.pause({ agentId: 'agent-1', reason: 'Nexgent agentStopped', source: 'lifecycle' });
+    control.pause({ reason: 'incident' });
+
+    const pause = control.getPause('agent-1');
+    assert.strictEqual(pause.scope, 'global');
+    assert.strictEqual(pause.source, 'admin');
+
+    assert.strictEqual(control.resume({}), true);
+    assert.strictEqual(control.getPause('agent-1').source, 'lifecycle');
+});
+
+test('resuming an agent lifts only its own pause', () => {
+    const control = createPauseControl({ filePath: tempFile() });
+    control.pause({ agentId: 'agent-1', source: 'lifecycle' });
+    control.pause({ agentId: 'agent-2' });
+
+    assert.strictEqual(control.resume({ agentId: 'agent-1' }), true);
+    assert.strictEqual(control.resume({ agentId: 'agent-1' }), false);
+    assert.strictEqual(control.getPause('agent-1'), null);
+    assert.strictEqual(control.getPause('agent-2').source, 'admin');
+    assert.deepStrictEqual(Object.keys(control.getState().pausedAgents), ['agent-2']);
+});
+
+test('rejects an unknown pause mode', () => {
+    const control = createPauseControl({ filePath: tempFile() });
+    assert.throws(() => control.pause({ agentId: 'agent-1', mode: 'drop' }), /Pause mode must be one of: reject, queue/);
+    assert.strictEqual(control.getPause('agent-1'), null);
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonLines } = require('../lib/storage');
+const { createPositionBook, createPositionLedger } = require('../lib/positionLedger');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN = 'TokenMint1111111111111111111111111111111111';
+const SOL = 1000000000n;
+
+let sequence = 0;
+
+// Function to build a fill buying tokens with SOL (amounts in base units)
+function buyFill(tokens, lamports, extra = {}) {
+    sequence++;
+    return { id: `fill-${sequence}`, createdAt: new Date(Date.UTC(2026, 0, 1, 0, sequence)).toISOString(), inputMint: SOL_MINT, outputMint: TOKEN, inAmount: String(lamports), outAmount: String(tokens), ...extra };
+}
+
+// Function to build a fill selling tokens into SOL
+function sellFill(tokens, lamports, extra = {}) {
+    return { ...buyFill(lamports, tokens, extra), inputMint: TOKEN, outputMint: SOL_MINT };
+}
+
+function tempFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'positions-')), 'positions.jsonl');
+}
+
+test('FIFO sells release the oldest lots first', () => {
+    const book = createPositionBook('fifo');
+    book.apply(buyFill(100, SOL));
+    book.apply(buyFill(100, 3n * SOL));
+    book.apply(sellFill(150, 3n * SOL));
+
+    // 100 tokens at 1 SOL + 50 at 1.5 SOL = 2.5 SOL cost for 3 SOL of proceeds
+    const [close] = book.realized().closes;
+    assert.strictEqual(close.costSol, 2.5);
+    assert.strictEqual(close.pnlSol, 0.5);
+
+    const [position] = book.openPositions();
+    assert.strictEqual(position.amount, '50');
+    assert.strictEqual(position.costSol, 1.5);
+    assert.strictEqual(position.lots, 1);
+});
+
+test('average cost sells release the blended cost', () => {
+    const book = createPositionBook('average');
+    book.apply(buyFill(100, SOL));
+    book.apply(buyFill(100, 3n * SOL));
+    book.apply(sellFill(150, 3n * SOL));
+
+    // 150 tokens at the 2 SOL / 100 tokens average = 3 SOL cost
+    assert.strictEqual(book.realized().pnlSol, 0);
+    const [position] = book.openPositions();
+    assert.strictEqual(position.costSol, 1);
+    assert.strictEqual(position.lots, 1);
+});
+
+test('rejects an unknown cost method', () => {
+    assert.throws(() => createPositionBook('lifo'), /Unknown cost method "lifo"/);
+});
+
+test('an exit sized as a fraction of the wallet closes that fraction of the tracked position', () => {
+    const book = createPositionBook('fifo');
+    book.apply(buyFill(100, SOL));
+    // The wallet held 400 tokens (300 untracked) and sold half of them
+    book.apply(sellFill(200, 2n * SOL, { fraction: 0.5 }));
+
+    const [close] = book.realized().closes;
+    assert.strictEqual(close.amount, '50');
+    assert.strictEqual(close.untrackedAmount, '150');
+    assert.strictEqual(close.proceedsSol, 0.5);
+    assert.strictEqual(close.pnlSol, 0);
+    assert.strictEqual(book.openPositions()[0].amount, '50');
+});
+
+test('selling everything moves the position to the closed list', () => {
+    const book = createPositionBook('fifo');
+    book.apply(buyFill(100, SOL));
+    book.apply(sellFill(100, 2n * SOL, { fraction: 1 }));
+
+    assert.deepStrictEqual(book.openPositions(), []);
+    const [closed] = book.closedPositions();
+    assert.strictEqual(closed.realizedPnlSol, 1);
+});
+
+test('realized USD PnL uses the SOL price of each fill and is null when one is unknown', () => {
+    const priced = createPositionBook('fifo');
+    priced.apply(buyFill(100, SOL, { solPriceUsd: 100 }));
+    priced.apply(sellFill(100, SOL, { solPriceUsd: 150 }));
+    assert.strictEqual(priced.realized().pnlUsd, 50);
+    assert.strictEqual(priced.realized().pnlSol, 0);
+
+    const unpriced = createPositionBook('fifo');
+    unpriced.apply(buyFill(100, SOL));
+    unpriced.apply(sellFill(100, SOL, { solPriceUsd: 150 }));
+    assert.strictEqual(unpriced.realized().pnlUsd, null);
+});
+
+test('the ledger keeps one book per agent and replays fills after a restart', () => {
+    const filePath = tempFile();
+    const ledger = createPositionLedger({ filePath, method: 'fifo' });
+    ledger.record({ agentId: 'agent-1', ...buyFill(100, SOL) });
+    ledger.record({ agentId: 'agent-2', ...buyFill(50, SOL) });
+
+    const reloaded = createPositionLedger({ filePath, method: 'fifo' });
+    assert.strictEqual(reloaded.book('agent-1').openPositions()[0].amount, '100');
+    assert.strictEqual(reloaded.book('agent-2').openPositions()[0].amount, '50');
+});
+
+test('pricing a fill later fills in USD cost and compacts to one line per fill on load', () => {
+    const filePath = tempFile();
+    const ledger = createPositionLedger({ filePath, method: 'fifo' });
+    const fill = ledger.record({ agentId: 'agent-1', ...buyFill(100, SOL) });
+    assert.strictEqual(ledger.book('agent-1').openPositions()[0].costUsd, null);
+
+    ledger.priceFill(fill.id, 150);
+    assert.strictEqual(ledger.book('agent-1').openPositions()[0].costUsd, 150);
+    // A fill that already has a price keeps it
+    assert.strictEqual(ledger.priceFill(fill.id, 200), null);
+
+    const reloaded = createPositionLedger({ filePath, method: 'fifo' });
+    assert.strictEqual(reloaded.book('agent-1').openPositions()[0].costUsd, 150);
+    assert.strictEqual(readJsonLines(filePath).length, 1);
+});
+
+test('a new ledger is seeded from past fills once', () => {
+    const filePath = tempFile();
+    createPositionLedger({ filePath, method: 'fifo', seedFills: () => [{ agentId: 'agent-1', ...buyFill(100, SOL) }] });
+    const reloaded = createPositionLedger({ filePath, method: 'fifo', seedFills: () => { throw new Error('seeded twice'); } });
+    assert.strictEqual(reloaded.book('agent-1').openPositions()[0].amount, '100');
+});
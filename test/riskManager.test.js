@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRiskConfig, createRiskManager } = require('../lib/riskManager');
+
+const TOKEN = 'TokenMint1111111111111111111111111111111111';
+
+// Function to create a risk manager with the given limits over a fixed wallet
+function createManager(limits, { agents = {}, solBalance = 10, heldMints = [], spentToday = 0, solPriceUsd = 150 } = {}) {
+    return createRiskManager({
+        config: { limits, agents },
+        getSolBalance: async () => solBalance,
+        getHeldTokenMints: async () => heldMints,
+        getDailySpendSol: async () => spentToday,
+        getSolPriceUsd: async () => solPriceUsd
+    });
+}
+
+function buy(sizeSol, overrides = {}) {
+    return { agentId: 'agent-1', direction: 'buy', tokenMint: TOKEN, sizeSol, ...overrides };
+}
+
+test('rejects a config naming an unknown limit', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'risk-')), 'risk.json');
+    fs.writeFileSync(filePath, JSON.stringify({ limits: { maxTradeSol: 1 }, agents: { 'agent-1': { maxTradeSoll: 2 } } }));
+    assert.throws(() => loadRiskConfig(filePath), /agents\.agent-1: unknown limits maxTradeSoll/);
+});
+
+test('the shipped config loads', () => {
+    const config = loadRiskConfig(path.join(__dirname, '..', 'config', 'risk.json'));
+    assert.strictEqual(typeof config.limits.maxExitPriceImpactPct, 'number');
+});
+
+test('rejects buys over the size, daily spend and reserve limits', async () => {
+    const manager = createManager({ maxTradeSol: 2, maxDailySpendSol: 5, minSolReserve: 0.5 }, { spentToday: 4, solBalance: 1.2 });
+    assert.strictEqual((await manager.checkPreTrade(buy(3))).rule, 'maxTradeSol');
+    assert.strictEqual((await manager.checkPreTrade(buy(1.5))).rule, 'maxDailySpendSol');
+    assert.strictEqual((await manager.checkPreTrade(buy(0.8))).rule, 'minSolReserve');
+    assert.strictEqual(await manager.checkPreTrade(buy(0.5)), null);
+});
+
+test('applies the token lists and the open position cap', async () => {
+    assert.strictEqual((await createManager({ tokenDenylist: [TOKEN] }).checkPreTrade(buy(1))).rule, 'tokenDenylist');
+    assert.strictEqual((await createManager({ tokenAllowlist: ['OtherMint'] }).checkPreTrade(buy(1))).rule, 'tokenAllowlist');
+
+    const full = createManager({ maxOpenPositions: 1 }, { heldMints: ['OtherMint'] });
+    assert.strictEqual((await full.checkPreTrade(buy(1))).rule, 'maxOpenPositions');
+    // Adding to a position already held doesn't open a new one
+    assert.strictEqual(await createManager({ maxOpenPositions: 1 }, { heldMints: [TOKEN] }).checkPreTrade(buy(1)), null);
+});
+
+test('never blocks exits with spending limits', async () => {
+    const manager = createManager({ maxTradeSol: 0, tokenDenylist: [TOKEN], maxOpenPositions: 0 });
+    assert.strictEqual(await manager.checkPreTrade(buy(5, { direction: 'exit' })), null);
+});
+
+test('per-agent limits override the global ones, and null disables a limit', async () => {
+    const manager = createManager({ maxTradeSol: 1 }, { agents: { 'agent-2': { maxTradeSol: null } } });
+    assert.strictEqual((await manager.checkPreTrade(buy(2))).rule, 'maxTradeSol');
+    assert.strictEqual(await manager.checkPreTrade(buy(2, { agentId: 'agent-2' })), null);
+});
+
+test('caps quoted price impact, with a separate cap for forced exits', async () => {
+    const manager = createManager({ maxPriceImpactPct: 1, maxExitPriceImpactPct: 30 });
+    const order = { priceImpactPct: '0.05' }; // 5%
+
+    const rejection = await manager.checkQuote(buy(null, { direction: 'exit' }), order);
+    assert.strictEqual(rejection.rule, 'maxPriceImpactPct');
+    assert.strictEqual(rejection.actual, 5);
+    assert.strictEqual(await manager.checkQuote(buy(null, { direction: 'exit', forcedExit: true }), order), null);
+    assert.strictEqual((await manager.checkQuote(buy(null, { direction: 'exit', forcedExit: true }), { priceImpactPct: '0.4' })).rule, 'maxExitPriceImpactPct');
+});
+
+test('a null exit impact cap lets forced exits sell at any impact', async () => {
+    const manager = createManager({ maxPriceImpactPct: 1, maxExitPriceImpactPct: null });
+    assert.strictEqual(await manager.checkQuote(buy(null, { direction: 'exit', forcedExit: true }), { priceImpactPct: '0.9' }), null);
+});
+
+test('checks the USD value of buys from the quote, else from the SOL size', async () => {
+    const manager = createManager({ maxTradeUsd: 100 }, { solPriceUsd: 150 });
+    assert.strictEqual((await manager.checkQuote(buy(1), { swapUsdValue: '120' })).rule, 'maxTradeUsd');
+    assert.strictEqual(await manager.checkQuote(buy(1), { swapUsdValue: '80' }), null);
+    assert.strictEqual((await manager.checkTradeUsd(buy(1), {})).actual, 150);
+    assert.strictEqual((await manager.checkTradeUsd(buy(null), {})).actual, null);
+    assert.strictEqual(await manager.checkTradeUsd(buy(1, { direction: 'exit' }), {}), null);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveSlicePlan, splitAmount, sliceFraction, executeSlices } = require('../lib/slicedExecution');
+
+const DEFAULTS = { windowSeconds: 60, maxSliceImpactPct: 1, maxSlices: 10 };
+
+// Function to run executeSlices with instant sleeps, recording the slice amounts it executes
+async function runSlices({ amount, plan, fail = () => false, quoteImpactPct = async () => 0, shouldStop }) {
+    const executed = [];
+    const sleeps = [];
+    const execution = await executeSlices({
+        amount,
+        plan,
+        sleep: async ms => { sleeps.push(ms); },
+        shouldStop,
+        quoteImpactPct,
+        executeSlice: async ({ index, amount: sliceAmount }) => {
+            executed.push(sliceAmount);
+            return fail(index)
+                ? { success: false, status: 'FAILED', error: `slice ${index} failed` }
+                : { success: true, actualInAmount: sliceAmount.toString(), actualOutAmount: (sliceAmount * 2n).toString() };
+        }
+    });
+    return { execution, executed, sleeps };
+}
+
+test('splits an amount into equal slices with the remainder on the last', () => {
+    assert.deepStrictEqual(splitAmount(10, 3), [3n, 3n, 4n]);
+    assert.deepStrictEqual(splitAmount('1000000000000000000001', 2), [500000000000000000000n, 500000000000000000001n]);
+    assert.strictEqual(splitAmount(999, 4).reduce((total, slice) => total + slice, 0n), 999n);
+});
+
+test('resolves fixed and impact plans and no plan without slicing fields', () => {
+    assert.strictEqual(resolveSlicePlan(DEFAULTS, {}), null);
+    assert.deepStrictEqual(resolveSlicePlan(DEFAULTS, { slices: '4', windowSeconds: 30 }), { mode: 'fixed', slices: 4, windowMs: 30000, maxSliceImpactPct: 1, maxSlices: 10 });
+    assert.strictEqual(resolveSlicePlan(DEFAULTS, { maxSliceImpactPct: 0.5 }).mode, 'impact');
+});
+
+test('rejects invalid plans with SLICING_INVALID', () => {
+    assert.throws(() => resolveSlicePlan(DEFAULTS, { slices: 1 }), error => error.code === 'SLICING_INVALID');
+    assert.throws(() => resolveSlicePlan(DEFAULTS, { slices: 11 }), /between 2 and 10/);
+    assert.throws(() => resolveSlicePlan(DEFAULTS, { slices: 2, windowSeconds: -1 }), /non-negative/);
+    assert.throws(() => resolveSlicePlan(DEFAULTS, { maxSliceImpactPct: 0 }), /positive percentage/);
+});
+
+test('fixed slicing executes every slice, remainder last, spread over the window', async () => {
+    const { execution, executed, sleeps } = await runSlices({ amount: 1001, plan: resolveSlicePlan(DEFAULTS, { slices: 4, windowSeconds: 30 }) });
+    assert.deepStrictEqual(executed, [250n, 250n, 250n, 251n]);
+    assert.deepStrictEqual(sleeps, [10000, 10000, 10000]);
+    assert.strictEqual(execution.status, 'COMPLETED');
+    assert.strictEqual(execution.filledAmount, '1001');
+    assert.strictEqual(execution.inAmount, '1001');
+    assert.strictEqual(execution.outAmount, '2002');
+});
+
+test('an amount smaller than the slice count is sliced one base unit at a time', async () => {
+    const { executed } = await runSlices({ amount: 3, plan: resolveSlicePlan(DEFAULTS, { slices: 5 }) });
+    assert.deepStrictEqual(executed, [1n, 1n, 1n]);
+});
+
+test('stops at the first failed slice and reports the partial fill', async () => {
+    const { execution, executed } = await runSlices({ amount: 900, plan: resolveSlicePlan(DEFAULTS, { slices: 3 }), fail: index => index === 1 });
+    assert.strictEqual(executed.length, 2);
+    assert.strictEqual(execution.status, 'PARTIALLY_FILLED');
+    assert.strictEqual(execution.filledAmount, '300');
+    assert.match(execution.stoppedReason, /^Slice 2 failed/);
+});
+
+test('a failed first slice fails the whole order', async () => {
+    const { execution } = await runSlices({ amount: 900, plan: resolveSlicePlan(DEFAULTS, { slices: 3 }), fail: () => true });
+    assert.strictEqual(execution.status, 'FAILED');
+    assert.strictEqual(execution.filledAmount, '0');
+});
+
+test('shouldStop ends slicing between slices', async () => {
+    const { execution, executed } = await runSlices({ amount: 900, plan: resolveSlicePlan(DEFAULTS, { slices: 3 }), shouldStop: () => 'PAUSED: test' });
+    assert.strictEqual(executed.length, 1);
+    assert.strictEqual(execution.status, 'PARTIALLY_FILLED');
+    assert.strictEqual(execution.stoppedReason, 'PAUSED: test');
+});
+
+test('impact slicing halves slices towards the impact cap but never below what the remaining slices can carry', async () => {
+    // 1% impact per 100 units
+    const quoteImpactPct = async amount => Number(amount) / 100;
+    const plan = { ...resolveSlicePlan(DEFAULTS, { maxSliceImpactPct: 1 }), maxSlices: 3 };
+    const { execution, executed } = await runSlices({ amount: 400, plan, quoteImpactPct });
+    // 400 halves to 200 (100 would leave more than two slices' worth), then 200 halves to 100, the last takes the rest
+    assert.deepStrictEqual(executed, [200n, 100n, 100n]);
+    assert.strictEqual(execution.filledAmount, '400');
+
+    const { executed: small } = await runSlices({ amount: 400, plan: { ...plan, maxSlices: 10 }, quoteImpactPct });
+    assert.ok(small.every(amount => amount <= 100n));
+    assert.strictEqual(small.reduce((total, amount) => total + amount, 0n), 400n);
+});
+
+test('rescales an exit fraction to each slice of the remaining position', () => {
+    // Selling 50% of the position in two equal slices: the first sells 25% of it, the second a third of what is left
+    assert.strictEqual(sliceFraction(0.5, 50, 0, 100), 0.25);
+    assert.strictEqual(sliceFraction(0.5, 50, 50, 100), 0.25 / 0.75);
+    assert.strictEqual(sliceFraction(1, 50, 50, 100), 1);
+});
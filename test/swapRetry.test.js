@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const { FAILURE_CLASSES, classifyExecutionFailure, createRetryPolicy } = require('../lib/swapRetry');
+const { createSettlementConfirmer } = require('../lib/settlement');
+
+test('classifies slippage failures by code and by message', () => {
+    assert.strictEqual(classifyExecutionFailure({ onChainError: '{"InstructionError":[3,{"Custom":6001}]}' }), FAILURE_CLASSES.SLIPPAGE);
+    assert.strictEqual(classifyExecutionFailure({ error: 'Slippage tolerance exceeded' }), FAILURE_CLASSES.SLIPPAGE);
+});
+
+test('re-quotes expired orders and failures Jupiter reports as not landed', () => {
+    for (const code of [-1, -1000, -1004, -1005, -2000, -2003, -2004]) {
+        assert.strictEqual(classifyExecutionFailure({ code }), FAILURE_CLASSES.REQUOTE, `code ${code}`);
+    }
+    assert.strictEqual(classifyExecutionFailure({ error: 'Blockhash not found' }), FAILURE_CLASSES.REQUOTE);
+});
+
+test('treats timeouts and unlanded messages as ambiguous', () => {
+    assert.strictEqual(classifyExecutionFailure({ code: -1006 }), FAILURE_CLASSES.AMBIGUOUS);
+    assert.strictEqual(classifyExecutionFailure({ code: '-1006' }), FAILURE_CLASSES.AMBIGUOUS);
+    assert.strictEqual(classifyExecutionFailure({ error: 'Transaction timed out' }), FAILURE_CLASSES.AMBIGUOUS);
+    assert.strictEqual(classifyExecutionFailure({ error: 'Transaction failed to land' }), FAILURE_CLASSES.AMBIGUOUS);
+});
+
+test('treats anything else as fatal', () => {
+    assert.strictEqual(classifyExecutionFailure({ code: -3 }), FAILURE_CLASSES.FATAL);
+    assert.strictEqual(classifyExecutionFailure({ error: 'Insufficient funds' }), FAILURE_CLASSES.FATAL);
+    assert.strictEqual(classifyExecutionFailure({ onChainError: '{"InstructionError":[2,{"Custom":1}]}' }), FAILURE_CLASSES.FATAL);
+});
+
+test('retry policy stops at the attempt and time limits', () => {
+    const policy = createRetryPolicy({ maxAttempts: 3, maxElapsedMs: 1000, baseDelayMs: 200, slippageStepBps: 50, slippageCeilingsBps: {} });
+    assert.strictEqual(policy.canRetry(2, Date.now()), true);
+    assert.strictEqual(policy.canRetry(3, Date.now()), false);
+    assert.strictEqual(policy.canRetry(1, Date.now() - 1000), false);
+    assert.strictEqual(policy.delayMs(1), 200);
+    assert.strictEqual(policy.delayMs(3), 600);
+});
+
+test('retry policy steps slippage up to the ceiling for the direction', () => {
+    const policy = createRetryPolicy({ maxAttempts: 3, maxElapsedMs: 1000, baseDelayMs: 0, slippageStepBps: 50, slippageCeilingsBps: { buy: 120, exit: 500 } });
+    assert.strictEqual(policy.nextSlippageBps('buy', 50), 100);
+    assert.strictEqual(policy.nextSlippageBps('buy', 100), 120);
+    assert.strictEqual(policy.nextSlippageBps('buy', 120), null);
+    assert.strictEqual(policy.nextSlippageBps('exit', 100), 150);
+    // Auto slippage (null) has nothing to step - the pipeline reports SLIPPAGE_AUTO_NOT_ADJUSTABLE
+    assert.strictEqual(policy.nextSlippageBps('buy', null), null);
+});
+
+// Function to build a signed transaction the way a swap would be sent
+function signedTransaction() {
+    const payer = Keypair.generate();
+    const message = new TransactionMessage({
+        payerKey: payer.publicKey,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: payer.publicKey, lamports: 1 })]
+    }).compileToV0Message();
+    const transaction = new VersionedTransaction(message);
+    transaction.sign([payer]);
+    return Buffer.from(transaction.serialize()).toString('base64');
+}
+
+// Function to create a settlement confirmer over a fake RPC connection
+function createConfirmer({ status = null, blockhashValid = false }) {
+    const connection = {
+        getSignatureStatuses: async () => ({ value: [status] }),
+        isBlockhashValid: async () => ({ value: blockhashValid })
+    };
+    return createSettlementConfirmer({ connection, commitment: 'confirmed', timeoutMs: 0, pollIntervalMs: 0, mockMode: false });
+}
+
+test('an ambiguous swap is dropped once its blockhash expired unseen', async () => {
+    assert.strictEqual((await createConfirmer({ blockhashValid: false }).checkDropped(signedTransaction())).dropped, true);
+});
+
+test('an ambiguous swap may still land while its blockhash is valid', async () => {
+    assert.strictEqual((await createConfirmer({ blockhashValid: true }).checkDropped(signedTransaction())).dropped, false);
+});
+
+test('an ambiguous swap the network has seen is not re-quoted unless it failed', async () => {
+    const landed = await createConfirmer({ status: { slot: 10, err: null, confirmationStatus: 'confirmed' } }).checkDropped(signedTransaction());
+    assert.strictEqual(landed.dropped, false);
+
+    const failed = await createConfirmer({ status: { slot: 10, err: { InstructionError: [0, 'Custom'] } } }).checkDropped(signedTransaction());
+    assert.strictEqual(failed.dropped, true);
+});
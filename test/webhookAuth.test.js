@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { computeSignature, createWebhookVerifier } = require('../lib/webhookAuth');
+
+const SECRET = 'current-secret';
+const PREVIOUS_SECRET = 'previous-secret';
+
+// Function to run the verifier against a fake request and report whether it let the request through
+function verify(verifier, { body, signature, rawBody }) {
+    const raw = rawBody ?? Buffer.from(JSON.stringify(body));
+    const headers = signature !== undefined ? { 'x-webhook-signature': signature } : {};
+    const req = { rawBody: raw, body, get: name => headers[name.toLowerCase()] };
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.body = payload; return this; }
+    };
+    let passed = false;
+    verifier(req, res, () => { passed = true; });
+    return { passed, statusCode: res.statusCode, reason: res.body?.reason };
+}
+
+function createVerifier(options = {}) {
+    return createWebhookVerifier({
+        secrets: [SECRET, PREVIOUS_SECRET],
+        headerName: 'X-Webhook-Signature',
+        toleranceSeconds: 300,
+        allowUnsigned: false,
+        ...options
+    });
+}
+
+function signedRequest(body, secret = SECRET) {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { body, rawBody, signature: computeSignature(secret, rawBody) };
+}
+
+test('accepts a body signed with the current or the previous secret', () => {
+    const body = { event: 'tradeSignals', timestamp: new Date().toISOString() };
+    assert.strictEqual(verify(createVerifier(), signedRequest(body)).passed, true);
+    assert.strictEqual(verify(createVerifier(), signedRequest(body, PREVIOUS_SECRET)).passed, true);
+});
+
+test('accepts the sha256= prefixed form of the signature', () => {
+    const request = signedRequest({ timestamp: new Date().toISOString() });
+    assert.strictEqual(verify(createVerifier(), { ...request, signature: `sha256=${request.signature}` }).passed, true);
+});
+
+test('rejects a body that does not match its signature', () => {
+    const request = signedRequest({ timestamp: new Date().toISOString(), amount: 1 });
+    const tampered = { ...request, rawBody: Buffer.from(JSON.stringify({ ...request.body, amount: 100 })) };
+    const result = verify(createVerifier(), tampered);
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.statusCode, 401);
+    assert.strictEqual(result.reason, 'INVALID_SIGNATURE');
+});
+
+test('rejects a signature made with an unknown secret', () => {
+    const result = verify(createVerifier(), signedRequest({ timestamp: new Date().toISOString() }, 'someone-else'));
+    assert.strictEqual(result.reason, 'INVALID_SIGNATURE');
+});
+
+test('rejects malformed and missing signatures', () => {
+    const body = { timestamp: new Date().toISOString() };
+    assert.strictEqual(verify(createVerifier(), { body, signature: 'not-hex' }).reason, 'MALFORMED_SIGNATURE');
+    assert.strictEqual(verify(createVerifier(), { body }).reason, 'MISSING_SIGNATURE');
+});
+
+test('lets unsigned requests through only when allowUnsigned is set', () => {
+    const body = { timestamp: new Date().toISOString() };
+    assert.strictEqual(verify(createVerifier({ allowUnsigned: true }), { body }).passed, true);
+});
+
+test('rejects signed requests when no secret is configured', () => {
+    const result = verify(createVerifier({ secrets: [undefined, null] }), signedRequest({ timestamp: new Date().toISOString() }));
+    assert.strictEqual(result.reason, 'NO_SECRET_CONFIGURED');
+});
+
+test('rejects a signed body without a valid timestamp', () => {
+    assert.strictEqual(verify(createVerifier(), signedRequest({ event: 'tradeSignals' })).reason, 'MISSING_TIMESTAMP');
+    assert.strictEqual(verify(createVerifier(), signedRequest({ timestamp: 'yesterday' })).reason, 'MISSING_TIMESTAMP');
+});
+
+test('rejects timestamps outside the tolerance in either direction', () => {
+    const stale = new Date(Date.now() - 301 * 1000).toISOString();
+    const future = new Date(Date.now() + 301 * 1000).toISOString();
+    assert.strictEqual(verify(createVerifier(), signedRequest({ timestamp: stale })).reason, 'TIMESTAMP_OUT_OF_TOLERANCE');
+    assert.strictEqual(verify(createVerifier(), signedRequest({ timestamp: future })).reason, 'TIMESTAMP_OUT_OF_TOLERANCE');
+});
+
+test('accepts unix second and millisecond timestamps', () => {
+    assert.strictEqual(verify(createVerifier(), signedRequest({ timestamp: Math.floor(Date.now() / 1000) })).passed, true);
+    assert.strictEqual(verify(createVerifier(), signedRequest({ timestamp: String(Date.now()) })).passed, true);
+});